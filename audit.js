@@ -0,0 +1,79 @@
+// ==================== TRILHA DE AUDITORIA ====================
+// Cada alteração em usuários, empresas, oportunidades e matches vira uma linha em audit_log com
+// o autor, a ação e a diferença campo a campo; a tabela só aceita inclusões (ver migration 010)
+
+const AUDIT_ENTITY_TYPES = ['user', 'business', 'opportunity', 'match'];
+
+const AUDIT_ACTIONS = [
+  'create', 'update', 'delete', 'import', 'status_change', 'deadline_extend', 'respond',
+  'verify', 'moderate', 'role_change', 'email_verify', 'password_reset', 'expire'
+];
+
+// Segredos e campos que mudam sozinhos (contadores, carimbos de data, pontuação recalculada)
+const AUDIT_IGNORED_FIELDS = [
+  'id', 'password', 'created_at', 'updated_at', 'view_count', 'deadline_reminder_sent_at', 'score_breakdown'
+];
+
+// Compara pelo JSON: datas, listas e objetos iguais não contam como alteração
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+// Diferença { campo: { before, after } } entre duas versões do registro
+// Sem before (criação) entram os campos preenchidos; sem after (exclusão), os que existiam;
+// nas alterações só os campos presentes nas duas versões
+function diffRecords(before, after) {
+  const fields = before && after
+    ? Object.keys(after).filter(field => field in before)
+    : Object.keys(before || after || {});
+
+  const changes = {};
+  for (const field of fields) {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) continue;
+
+    const previous = before ? before[field] : null;
+    const current = after ? after[field] : null;
+    if (serialize(previous) === serialize(current)) continue;
+
+    changes[field] = { before: previous === undefined ? null : previous, after: current === undefined ? null : current };
+  }
+
+  return changes;
+}
+
+// Grava uma ou várias entradas:
+// { actorId, action, entityType, entityId, before, after, changes, context, ip, userAgent }
+// changes substitui o cálculo por before/after; alterações sem diferença não são gravadas
+async function recordAudit(queryable, entries) {
+  const rows = (Array.isArray(entries) ? entries : [entries])
+    .map(entry => ({
+      actor_id: entry.actorId || null,
+      action: entry.action,
+      entity_type: entry.entityType,
+      entity_id: parseInt(entry.entityId),
+      changes: entry.changes || diffRecords(entry.before, entry.after),
+      context: entry.context || null,
+      ip: entry.ip || null,
+      user_agent: entry.userAgent || null
+    }))
+    .filter(row => row.action !== 'update' || Object.keys(row.changes).length > 0);
+
+  if (rows.length === 0) return 0;
+
+  await queryable.query(
+    `INSERT INTO audit_log (actor_id, action, entity_type, entity_id, changes, context, ip, user_agent)
+     SELECT actor_id, action, entity_type, entity_id, changes, context, ip, user_agent
+     FROM jsonb_to_recordset($1::jsonb) AS entry(
+       actor_id INTEGER, action VARCHAR, entity_type VARCHAR, entity_id INTEGER,
+       changes JSONB, context JSONB, ip VARCHAR, user_agent TEXT
+     )`,
+    [JSON.stringify(rows)]
+  );
+
+  return rows.length;
+}
+
+module.exports = {
+  AUDIT_ENTITY_TYPES,
+  AUDIT_ACTIONS,
+  diffRecords,
+  recordAudit
+};
@@ -0,0 +1,146 @@
+require('dotenv').config();
+const { createPool } = require('./migrate');
+const { createMailer } = require('./mailer');
+const { recordAudit } = require('./audit');
+
+// ==================== EXPIRAÇÃO DE OPORTUNIDADES ====================
+// Avisa os donos antes do prazo e marca como "expired" as oportunidades vencidas
+// Roda dentro do servidor (a cada EXPIRY_JOB_INTERVAL_MINUTES) ou via CLI: node expiry.js
+
+// Dias de antecedência para avisar o dono do prazo da oportunidade
+const DEADLINE_REMINDER_DAYS = parseInt(process.env.DEADLINE_REMINDER_DAYS) || 3;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Lembra os donos de oportunidades ativas com prazo próximo (uma vez por prazo)
+async function sendDeadlineReminders(db, mailer, { days = DEADLINE_REMINDER_DAYS } = {}) {
+  const result = await db.query(
+    `SELECT o.id, o.title, o.deadline, u.email, u.name as user_name
+     FROM opportunities o
+     JOIN users u ON o.user_id = u.id
+     LEFT JOIN notification_preferences np ON np.user_id = u.id
+     WHERE o.status = 'active'
+     AND o.deadline IS NOT NULL
+     AND o.deadline BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+     AND o.deadline_reminder_sent_at IS NULL
+     AND COALESCE(np.deadline_reminders, true) = true`,
+    [days]
+  );
+
+  for (const opportunity of result.rows) {
+    const sent = await mailer.send({
+      to: opportunity.email,
+      subject: `Prazo se aproximando: ${opportunity.title}`,
+      text: `Olá ${opportunity.user_name},\n\n` +
+        `O prazo da sua oportunidade "${opportunity.title}" termina em ${formatDate(opportunity.deadline)}.\n` +
+        'Depois dessa data ela será marcada como expirada e sairá das buscas.\n\n' +
+        `Para continuar recebendo propostas, estenda o prazo: ${FRONTEND_URL}/opportunities/${opportunity.id}\n\n` +
+        'Equipe BBH Business Hub'
+    });
+
+    if (sent) {
+      await db.query(
+        'UPDATE opportunities SET deadline_reminder_sent_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [opportunity.id]
+      );
+    }
+  }
+
+  return result.rows.length;
+}
+
+// Marca como expiradas as oportunidades ativas/pausadas com prazo vencido e avisa os donos
+// A mudança entra na auditoria sem autor (rotina do sistema), na mesma transação; os e-mails saem
+// depois do COMMIT
+async function expireOpportunities(db, mailer) {
+  const client = await db.connect();
+  let result;
+
+  try {
+    await client.query('BEGIN');
+    result = await client.query(
+      `WITH expired AS (
+         UPDATE opportunities o
+         SET status = 'expired'
+         FROM (
+           SELECT id, status FROM opportunities
+           WHERE status IN ('active', 'paused')
+           AND deadline < CURRENT_DATE
+           FOR UPDATE
+         ) previous
+         WHERE o.id = previous.id
+         RETURNING o.id, o.title, o.deadline, o.user_id, previous.status as previous_status
+       )
+       SELECT e.*, u.email, u.name as user_name, COALESCE(np.deadline_reminders, true) as notify
+       FROM expired e
+       JOIN users u ON e.user_id = u.id
+       LEFT JOIN notification_preferences np ON np.user_id = u.id`
+    );
+
+    await recordAudit(client, result.rows.map(opportunity => ({
+      action: 'expire',
+      entityType: 'opportunity',
+      entityId: opportunity.id,
+      changes: { status: { before: opportunity.previous_status, after: 'expired' } }
+    })));
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const opportunity of result.rows.filter(row => row.notify)) {
+    await mailer.send({
+      to: opportunity.email,
+      subject: `Oportunidade expirada: ${opportunity.title}`,
+      text: `Olá ${opportunity.user_name},\n\n` +
+        `O prazo da sua oportunidade "${opportunity.title}" terminou em ${formatDate(opportunity.deadline)} ` +
+        'e ela foi marcada como expirada.\n\n' +
+        `Você pode estender o prazo para reativá-la: ${FRONTEND_URL}/opportunities/${opportunity.id}\n\n` +
+        'Equipe BBH Business Hub'
+    });
+  }
+
+  return result.rows.length;
+}
+
+// Uma rodada completa: avisos de prazo e depois expiração
+async function runExpiryJob(db, mailer, options = {}) {
+  const reminded = await sendDeadlineReminders(db, mailer, options);
+  const expired = await expireOpportunities(db, mailer);
+  return { reminded, expired };
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL não encontrada');
+    process.exit(1);
+  }
+
+  const db = createPool();
+
+  try {
+    const { reminded, expired } = await runExpiryJob(db, createMailer());
+    console.log(`✅ ${reminded} aviso(s) de prazo enviado(s), ${expired} oportunidade(s) expirada(s)`);
+  } catch (error) {
+    console.error('❌ Erro na expiração de oportunidades:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  DEADLINE_REMINDER_DAYS,
+  sendDeadlineReminders,
+  expireOpportunities,
+  runExpiryJob
+};
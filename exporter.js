@@ -0,0 +1,95 @@
+const { csvRow } = require('./spreadsheet');
+
+// ==================== EXPORTAÇÃO EM STREAMING ====================
+// Percorre o resultado de uma consulta com um cursor do PostgreSQL, EXPORT_FETCH_SIZE linhas por vez,
+// e escreve direto na resposta em CSV, JSON (lista) ou NDJSON (um objeto por linha)
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Linhas buscadas no banco a cada rodada
+const EXPORT_FETCH_SIZE = 500;
+
+// Escreve respeitando o buffer da resposta: com o cliente lendo devagar, espera o "drain"
+// Retorna false se a conexão foi encerrada antes
+function write(res, chunk) {
+  if (res.destroyed) return Promise.resolve(false);
+  if (res.write(chunk)) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve(true);
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      resolve(false);
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+// Trechos de cada formato: abertura, uma linha (index = posição no resultado) e fechamento
+const FORMAT_WRITERS = {
+  csv: {
+    start: (columns) => '\uFEFF' + csvRow(columns),
+    row: (columns, row) => csvRow(columns.map(column => row[column])),
+    end: () => ''
+  },
+  json: {
+    start: () => '[',
+    row: (columns, row, index) => (index === 0 ? '\n' : ',\n') + JSON.stringify(row),
+    end: () => '\n]\n'
+  },
+  ndjson: {
+    start: () => '',
+    row: (columns, row) => JSON.stringify(row) + '\n',
+    end: () => ''
+  }
+};
+
+// Envia o resultado de sql como arquivo para download
+// columns: colunas do CSV (JSON/NDJSON trazem o objeto inteiro) | transform: ajusta cada linha antes de escrever
+// Erros antes do primeiro byte sobem para a rota; depois disso a resposta é interrompida
+async function streamExport(pool, res, { sql, params = [], format, filename, columns, transform = (row) => row }) {
+  const writer = FORMAT_WRITERS[format];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, params);
+
+    res.set('Content-Type', EXPORT_FORMATS[format]);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    let index = 0;
+    let open = await write(res, writer.start(columns));
+
+    while (open) {
+      const { rows } = await client.query(`FETCH ${EXPORT_FETCH_SIZE} FROM export_cursor`);
+      if (rows.length === 0) break;
+
+      const chunk = rows.map(row => writer.row(columns, transform(row), index++)).join('');
+      open = await write(res, chunk);
+    }
+
+    if (open) res.end(writer.end(columns));
+
+    await client.query('COMMIT');
+    return index;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
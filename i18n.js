@@ -0,0 +1,81 @@
+// ==================== INTERNACIONALIZAÇÃO ====================
+// As mensagens da API são escritas em português no código e usadas como chave dos catálogos
+// em locales/<idioma>.js; textos sem tradução caem no original em português
+// Modelos aceitam parâmetros no formato {nome}: t('Limite de {max} buscas salvas atingido', { max: 20 })
+
+const SUPPORTED_LOCALES = ['pt', 'en', 'es', 'ru', 'zh'];
+const DEFAULT_LOCALE = 'pt';
+
+const CATALOGS = Object.fromEntries(
+  SUPPORTED_LOCALES.map(locale => [locale, require(`./locales/${locale}`)])
+);
+
+// "pt-BR", "ZH_cn" -> "pt", "zh"; null se o idioma não for suportado
+function normalizeLocale(tag) {
+  if (typeof tag !== 'string') return null;
+  const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+}
+
+// Escolhe o idioma pelo cabeçalho Accept-Language, respeitando os pesos (q)
+// Ex.: "ru;q=0.5, en-US, *;q=0.1" -> "en"
+function negotiateLocale(header) {
+  if (!header) return DEFAULT_LOCALE;
+
+  const candidates = String(header).split(',')
+    .map((part, index) => {
+      const [tag, ...options] = part.trim().split(';');
+      const quality = options.map(option => option.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+      return { tag, q: quality ? parseFloat(quality[1]) : 1, index };
+    })
+    .filter(candidate => candidate.tag && candidate.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of candidates) {
+    const locale = normalizeLocale(tag);
+    if (locale) return locale;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+function interpolate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+  );
+}
+
+function translate(locale, template, params) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  return interpolate(catalog.messages[template] || template, params);
+}
+
+// Função t() presa a um idioma, usada como req.t nas rotas
+function createTranslator(locale) {
+  return (template, params) => translate(locale, template, params);
+}
+
+// Nome do país no idioma pedido a partir do código ISO 3166 (via Intl), com o nome cadastrado como reserva
+function countryName(locale, code, fallback) {
+  try {
+    return new Intl.DisplayNames([locale], { type: 'region' }).of(code) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Categoria da tabela categories: tradução cadastrada pelo admin, depois o catálogo, depois o nome
+function categoryName(locale, category) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  return (category.translations && category.translations[locale]) || catalog.categories[category.name] || category.name;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  negotiateLocale,
+  createTranslator,
+  countryName,
+  categoryName
+};
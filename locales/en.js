@@ -0,0 +1,206 @@
+// English
+module.exports = {
+  messages: {
+    // Autenticação e permissões
+    'Token de acesso requerido': 'Access token required',
+    'Token inválido ou expirado': 'Invalid or expired token',
+    'Erro interno do servidor': 'Internal server error',
+    'Acesso restrito a: {roles}': 'Access restricted to: {roles}',
+    'Confirme seu e-mail para realizar esta ação': 'Confirm your email to perform this action',
+    '🚀 BBH Backend API - BRICS Business Hub': '🚀 BBH Backend API - BRICS Business Hub',
+    '🚀 BBH Backend API Online!': '🚀 BBH Backend API Online!',
+    'Serviço de banco de dados indisponível': 'Database service unavailable',
+    'Muitas requisições. Tente novamente em {seconds} segundos': 'Too many requests. Try again in {seconds} seconds',
+
+    // Conta
+    'Usuário já cadastrado com este email': 'A user with this email is already registered',
+    'Usuário registrado com sucesso! 🎉': 'User registered successfully! 🎉',
+    'Credenciais inválidas': 'Invalid credentials',
+    'Muitas tentativas de login sem sucesso. Tente novamente em {minutes} minutos': 'Too many unsuccessful login attempts. Try again in {minutes} minutes',
+    'Login realizado com sucesso! 👋': 'Logged in successfully! 👋',
+    'Refresh token inválido ou expirado': 'Invalid or expired refresh token',
+    'Refresh token revogado. Faça login novamente.': 'Refresh token revoked. Please log in again.',
+    'Refresh token inválido': 'Invalid refresh token',
+    'Todas as sessões foram encerradas': 'All sessions have been ended',
+    'Logout realizado com sucesso': 'Logged out successfully',
+    'Usuário não encontrado': 'User not found',
+    'Perfil atualizado': 'Profile updated',
+    'E-mail confirmado com sucesso! ✅': 'Email confirmed successfully! ✅',
+    'E-mail já confirmado': 'Email already confirmed',
+    'Enviamos um novo link de confirmação para o seu e-mail': 'We sent a new confirmation link to your email',
+    'Se o e-mail estiver cadastrado, você receberá as instruções para redefinir a senha': 'If the email is registered, you will receive instructions to reset your password',
+    'Senha redefinida com sucesso! Faça login com a nova senha.': 'Password reset successfully! Log in with your new password.',
+    'Token de confirmação inválido ou expirado': 'Invalid or expired confirmation token',
+    'Token de redefinição inválido ou expirado': 'Invalid or expired reset token',
+
+    // Empresas
+    'Empresa não encontrada': 'Business not found',
+    'Empresa cadastrada com sucesso! 🎉': 'Business registered successfully! 🎉',
+    'Você não tem permissão para alterar esta empresa': 'You are not allowed to change this business',
+    'Nenhum campo para atualizar. Campos editáveis: {fields}': 'No fields to update. Editable fields: {fields}',
+    'Empresa atualizada com sucesso!': 'Business updated successfully!',
+    'Empresa atualizada. Os dados de identificação mudaram e a verificação foi removida; solicite uma nova verificação': 'Business updated. Its identification data changed and the verification was removed; request a new verification',
+    'Empresa reativada com sucesso!': 'Business reactivated successfully!',
+    'Empresa desativada com sucesso': 'Business deactivated successfully',
+    'Você não tem permissão para solicitar a verificação desta empresa': 'You are not allowed to request verification for this business',
+    'Empresa já verificada': 'Business already verified',
+    'Já existe uma solicitação de verificação em análise para esta empresa': 'A verification request for this business is already under review',
+    'Solicitação de verificação enviada! Nossa equipe fará a análise.': 'Verification request sent! Our team will review it.',
+    'Você não tem permissão para ver a verificação desta empresa': 'You are not allowed to view the verification of this business',
+
+    // Importação de empresas
+    'Arquivo maior que o limite de {max} MB': 'File exceeds the {max} MB limit',
+    'Formato não suportado. Envie um arquivo CSV ou XLSX': 'Unsupported format. Please upload a CSV or XLSX file',
+    'Envie o arquivo no corpo da requisição': 'Send the file in the request body',
+    'Não foi possível ler o arquivo {format}': 'Could not read the {format} file',
+    'O arquivo precisa de uma linha de cabeçalho e pelo menos uma linha de dados': 'The file needs a header row and at least one data row',
+    'Colunas repetidas no cabeçalho: {columns}': 'Repeated columns in the header: {columns}',
+    'O arquivo tem {count} linhas; o limite por importação é {max}': 'The file has {count} rows; the limit per import is {max}',
+    'Arquivo recebido! Confira o mapeamento das colunas e faça uma simulação antes de importar': 'File received! Review the column mapping and run a dry run before importing',
+    'Importação não encontrada': 'Import not found',
+    'Você não tem permissão para acessar esta importação': 'You do not have permission to access this import',
+    'Esta importação já foi iniciada (status "{status}")': 'This import has already been started (status "{status}")',
+    'Simulação concluída: {valid} linha(s) válida(s), {duplicates} duplicada(s) e {invalid} com erro': 'Dry run finished: {valid} valid row(s), {duplicates} duplicate(s) and {invalid} with errors',
+    'Importação iniciada! Acompanhe o andamento pelo status': 'Import started! Follow its progress through the status endpoint',
+    'O campo {target} está mapeado para mais de uma coluna': 'Field {target} is mapped to more than one column',
+    'Empresa repetida no arquivo (linha {other})': 'Company repeated in the file (row {other})',
+    'Empresa já cadastrada em {country}': 'Company already registered in {country}',
+
+    // Oportunidades
+    'Oportunidade não encontrada': 'Opportunity not found',
+    'Oportunidade criada com sucesso! 🎉': 'Opportunity created successfully! 🎉',
+    'Você não tem permissão para alterar esta oportunidade': 'You are not allowed to change this opportunity',
+    'Oportunidade atualizada com sucesso!': 'Opportunity updated successfully!',
+    'Transição de "{from}" para "{to}" não permitida': 'Transition from "{from}" to "{to}" is not allowed',
+    'O prazo desta oportunidade já passou. Estenda o prazo para reativá-la': 'The deadline of this opportunity has passed. Extend the deadline to reactivate it',
+    'Status alterado para "{status}"': 'Status changed to "{status}"',
+    'Não é possível estender o prazo de uma oportunidade "{status}"': 'Cannot extend the deadline of an opportunity with status "{status}"',
+    'Prazo estendido e oportunidade reativada! 🎉': 'Deadline extended and opportunity reactivated! 🎉',
+    'Prazo estendido com sucesso!': 'Deadline extended successfully!',
+    'O novo prazo não pode estar no passado': 'The new deadline cannot be in the past',
+    'Você não tem permissão para excluir esta oportunidade': 'You are not allowed to delete this opportunity',
+    'Oportunidade excluída com sucesso': 'Opportunity deleted successfully',
+
+    // Matches
+    'Você não tem permissão para gerar matches desta oportunidade': 'You are not allowed to generate matches for this opportunity',
+    'Apenas oportunidades ativas geram matches': 'Only active opportunities can generate matches',
+    '{count} match(es) novo(s) gerado(s)': '{count} new match(es) generated',
+    'Match não encontrado': 'Match not found',
+    'Você não participa deste match': 'You are not part of this match',
+    'Resposta ao match registrada': 'Match response recorded',
+    'Status inválido. Status válidos: {values}': 'Invalid status. Valid statuses: {values}',
+
+    // Buscas salvas
+    'Limite de {max} buscas salvas atingido': 'Limit of {max} saved searches reached',
+    'Busca salva! Avisaremos quando surgirem novas oportunidades. 🔔': 'Search saved! We will let you know when new opportunities appear. 🔔',
+    'Busca salva não encontrada': 'Saved search not found',
+    'Busca salva atualizada': 'Saved search updated',
+    'Busca salva excluída': 'Saved search deleted',
+    'Oportunidades marcadas como vistas': 'Opportunities marked as seen',
+    'Informe pelo menos um filtro: type, category, country, search ou tags': 'Provide at least one filter: type, category, country, search or tags',
+
+    // Consultas
+    'Você não pode enviar uma consulta para si mesmo': 'You cannot send an inquiry to yourself',
+    'Consulta enviada! ✉️': 'Inquiry sent! ✉️',
+    'Mensagem adicionada à conversa existente': 'Message added to the existing conversation',
+    'Conversa não encontrada': 'Conversation not found',
+    'Mensagem enviada': 'Message sent',
+    'Conversa arquivada': 'Conversation archived',
+    'Conversa movida para a caixa de entrada': 'Conversation moved to the inbox',
+    'Informe opportunity_id ou business_id (apenas um)': 'Provide opportunity_id or business_id (only one)',
+
+    // Notificações
+    'Nenhuma preferência para atualizar. Preferências: {preferences}': 'No preferences to update. Preferences: {preferences}',
+    'Preferências atualizadas': 'Preferences updated',
+
+    // Administração
+    'Você não pode remover seu próprio acesso de admin': 'You cannot remove your own admin access',
+    'Papel alterado para "{role}"': 'Role changed to "{role}"',
+    'Empresa verificada': 'Business verified',
+    'Verificação da empresa removida': 'Business verification removed',
+    'Oportunidade verificada': 'Opportunity verified',
+    'Verificação da oportunidade removida': 'Opportunity verification removed',
+    'Solicitação pendente não encontrada': 'Pending request not found',
+    'Empresa verificada com sucesso!': 'Business verified successfully!',
+    'Solicitação de verificação rejeitada': 'Verification request rejected',
+    'Informe o motivo da rejeição': 'Provide the reason for rejection',
+    'Empresa reativada pela moderação': 'Business reactivated by moderation',
+    'Empresa desativada pela moderação': 'Business deactivated by moderation',
+    'Status alterado para "{status}" pela moderação': 'Status changed to "{status}" by moderation',
+    'Esta empresa foi desativada pela moderação e não pode ser reativada pelo dono': 'This business was deactivated by moderation and cannot be reactivated by its owner',
+    'O status desta oportunidade foi definido pela moderação e não pode ser alterado pelo dono': 'This opportunity\'s status was set by moderation and cannot be changed by its owner',
+    'Bloqueio não encontrado': 'Lockout not found',
+    'Este bloqueio não está mais ativo': 'This lockout is no longer active',
+    'Bloqueio liberado': 'Lockout released',
+    'Você não tem permissão para ver o histórico deste registro': 'You are not allowed to view this record\'s history',
+    'Você não tem permissão para ver as estatísticas desta listagem': 'You are not allowed to view the statistics of this listing',
+
+    // Dados de referência
+    'Já existe um país com este código ou nome': 'A country with this code or name already exists',
+    'País cadastrado': 'Country created',
+    'País não encontrado': 'Country not found',
+    'País atualizado': 'Country updated',
+    'País em uso por {count} registro(s). Desative-o em vez de excluir': 'Country in use by {count} record(s). Deactivate it instead of deleting',
+    'País excluído': 'Country deleted',
+    'Já existe uma categoria com este nome': 'A category with this name already exists',
+    'Categoria cadastrada': 'Category created',
+    'Categoria não encontrada': 'Category not found',
+    'Categoria atualizada': 'Category updated',
+    'Categoria em uso por {count} registro(s). Desative-a em vez de excluir': 'Category in use by {count} record(s). Deactivate it instead of deleting',
+    'Categoria excluída': 'Category deleted',
+
+    // Câmbio
+    '{currency} é a moeda de referência e não pode ser alterada': '{currency} is the reference currency and cannot be changed',
+    'Cotação atualizada': 'Exchange rate updated',
+    'Moeda em uso por {count} registro(s) e não pode ser excluída': 'Currency in use by {count} record(s) and cannot be deleted',
+    'Cotação não encontrada': 'Exchange rate not found',
+    'Cotação excluída': 'Exchange rate deleted',
+
+    // Validação (validation.js)
+    '{field} é obrigatório': '{field} is required',
+    '{field} deve ser um texto': '{field} must be a string',
+    '{field} deve ser um e-mail válido': '{field} must be a valid email',
+    '{field} deve ser um link http(s) válido': '{field} must be a valid http(s) link',
+    '{field} deve ter pelo menos {min} caracteres': '{field} must have at least {min} characters',
+    '{field} deve ter no máximo {max} caracteres': '{field} must have at most {max} characters',
+    '{field} deve ser um número inteiro': '{field} must be an integer',
+    '{field} deve estar entre {min} e {max}': '{field} must be between {min} and {max}',
+    '{field} deve ser true ou false': '{field} must be true or false',
+    '{field} deve ser uma data no formato AAAA-MM-DD': '{field} must be a date in the YYYY-MM-DD format',
+    '{field} deve ser uma lista': '{field} must be a list',
+    '{field} aceita no máximo {max} itens': '{field} accepts at most {max} items',
+    '{field} inválido. Valores aceitos: {values}': 'Invalid {field}. Accepted values: {values}',
+    '{field} deve ser um objeto': '{field} must be an object',
+    '{field} não é aceito. Chaves aceitas: {values}': '{field} is not accepted. Accepted keys: {values}',
+    '{field} deve ter 2 letras (ISO 3166-1 alfa-2)': '{field} must have 2 letters (ISO 3166-1 alpha-2)',
+    '{field} deve ser um número': '{field} must be a number',
+    '{field} não pode ser menor que {other}': '{field} cannot be less than {other}',
+    '{field} deve ficar a no máximo {max} dias de {other}': '{field} must be at most {max} days after {other}',
+    '{field} é obrigatório quando há valor': '{field} is required when an amount is given',
+    '{field} deve ser um código ISO 4217 de 3 letras': '{field} must be a 3-letter ISO 4217 code',
+    '{field} deve ser maior que zero': '{field} must be greater than zero'
+  },
+
+  categories: {
+    'Agriculture': 'Agriculture',
+    'Technology': 'Technology',
+    'Manufacturing': 'Manufacturing',
+    'Energy': 'Energy',
+    'Mining': 'Mining',
+    'Infrastructure': 'Infrastructure',
+    'Healthcare': 'Healthcare',
+    'Education': 'Education',
+    'Tourism': 'Tourism',
+    'Finance': 'Finance',
+    'Real Estate': 'Real Estate',
+    'Transportation': 'Transportation',
+    'Retail': 'Retail',
+    'Construction': 'Construction',
+    'Automotive': 'Automotive',
+    'Pharmaceuticals': 'Pharmaceuticals',
+    'Textiles': 'Textiles',
+    'Food & Beverage': 'Food & Beverage',
+    'Telecommunications': 'Telecommunications',
+    'Other': 'Other'
+  }
+};
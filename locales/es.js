@@ -0,0 +1,206 @@
+// Español
+module.exports = {
+  messages: {
+    // Autenticação e permissões
+    'Token de acesso requerido': 'Se requiere un token de acceso',
+    'Token inválido ou expirado': 'Token inválido o expirado',
+    'Erro interno do servidor': 'Error interno del servidor',
+    'Acesso restrito a: {roles}': 'Acceso restringido a: {roles}',
+    'Confirme seu e-mail para realizar esta ação': 'Confirma tu correo electrónico para realizar esta acción',
+    '🚀 BBH Backend API - BRICS Business Hub': '🚀 BBH Backend API - BRICS Business Hub',
+    '🚀 BBH Backend API Online!': '🚀 ¡BBH Backend API en línea!',
+    'Serviço de banco de dados indisponível': 'Servicio de base de datos no disponible',
+    'Muitas requisições. Tente novamente em {seconds} segundos': 'Demasiadas solicitudes. Inténtalo de nuevo en {seconds} segundos',
+
+    // Conta
+    'Usuário já cadastrado com este email': 'Ya existe un usuario registrado con este correo',
+    'Usuário registrado com sucesso! 🎉': '¡Usuario registrado con éxito! 🎉',
+    'Credenciais inválidas': 'Credenciales inválidas',
+    'Muitas tentativas de login sem sucesso. Tente novamente em {minutes} minutos': 'Demasiados intentos de inicio de sesión fallidos. Inténtalo de nuevo en {minutes} minutos',
+    'Login realizado com sucesso! 👋': '¡Sesión iniciada con éxito! 👋',
+    'Refresh token inválido ou expirado': 'Refresh token inválido o expirado',
+    'Refresh token revogado. Faça login novamente.': 'Refresh token revocado. Inicia sesión de nuevo.',
+    'Refresh token inválido': 'Refresh token inválido',
+    'Todas as sessões foram encerradas': 'Se cerraron todas las sesiones',
+    'Logout realizado com sucesso': 'Sesión cerrada con éxito',
+    'Usuário não encontrado': 'Usuario no encontrado',
+    'Perfil atualizado': 'Perfil actualizado',
+    'E-mail confirmado com sucesso! ✅': '¡Correo confirmado con éxito! ✅',
+    'E-mail já confirmado': 'El correo ya está confirmado',
+    'Enviamos um novo link de confirmação para o seu e-mail': 'Enviamos un nuevo enlace de confirmación a tu correo',
+    'Se o e-mail estiver cadastrado, você receberá as instruções para redefinir a senha': 'Si el correo está registrado, recibirás las instrucciones para restablecer la contraseña',
+    'Senha redefinida com sucesso! Faça login com a nova senha.': '¡Contraseña restablecida con éxito! Inicia sesión con la nueva contraseña.',
+    'Token de confirmação inválido ou expirado': 'Token de confirmación inválido o expirado',
+    'Token de redefinição inválido ou expirado': 'Token de restablecimiento inválido o expirado',
+
+    // Empresas
+    'Empresa não encontrada': 'Empresa no encontrada',
+    'Empresa cadastrada com sucesso! 🎉': '¡Empresa registrada con éxito! 🎉',
+    'Você não tem permissão para alterar esta empresa': 'No tienes permiso para modificar esta empresa',
+    'Nenhum campo para atualizar. Campos editáveis: {fields}': 'No hay campos para actualizar. Campos editables: {fields}',
+    'Empresa atualizada com sucesso!': '¡Empresa actualizada con éxito!',
+    'Empresa atualizada. Os dados de identificação mudaram e a verificação foi removida; solicite uma nova verificação': 'Empresa actualizada. Los datos de identificación cambiaron y se retiró la verificación; solicite una nueva verificación',
+    'Empresa reativada com sucesso!': '¡Empresa reactivada con éxito!',
+    'Empresa desativada com sucesso': 'Empresa desactivada con éxito',
+    'Você não tem permissão para solicitar a verificação desta empresa': 'No tienes permiso para solicitar la verificación de esta empresa',
+    'Empresa já verificada': 'La empresa ya está verificada',
+    'Já existe uma solicitação de verificação em análise para esta empresa': 'Ya hay una solicitud de verificación en análisis para esta empresa',
+    'Solicitação de verificação enviada! Nossa equipe fará a análise.': '¡Solicitud de verificación enviada! Nuestro equipo la analizará.',
+    'Você não tem permissão para ver a verificação desta empresa': 'No tienes permiso para ver la verificación de esta empresa',
+
+    // Importação de empresas
+    'Arquivo maior que o limite de {max} MB': 'El archivo supera el límite de {max} MB',
+    'Formato não suportado. Envie um arquivo CSV ou XLSX': 'Formato no admitido. Envía un archivo CSV o XLSX',
+    'Envie o arquivo no corpo da requisição': 'Envía el archivo en el cuerpo de la solicitud',
+    'Não foi possível ler o arquivo {format}': 'No se pudo leer el archivo {format}',
+    'O arquivo precisa de uma linha de cabeçalho e pelo menos uma linha de dados': 'El archivo necesita una fila de encabezado y al menos una fila de datos',
+    'Colunas repetidas no cabeçalho: {columns}': 'Columnas repetidas en el encabezado: {columns}',
+    'O arquivo tem {count} linhas; o limite por importação é {max}': 'El archivo tiene {count} filas; el límite por importación es {max}',
+    'Arquivo recebido! Confira o mapeamento das colunas e faça uma simulação antes de importar': '¡Archivo recibido! Revisa el mapeo de columnas y haz una simulación antes de importar',
+    'Importação não encontrada': 'Importación no encontrada',
+    'Você não tem permissão para acessar esta importação': 'No tienes permiso para acceder a esta importación',
+    'Esta importação já foi iniciada (status "{status}")': 'Esta importación ya se inició (estado "{status}")',
+    'Simulação concluída: {valid} linha(s) válida(s), {duplicates} duplicada(s) e {invalid} com erro': 'Simulación finalizada: {valid} fila(s) válida(s), {duplicates} duplicada(s) y {invalid} con errores',
+    'Importação iniciada! Acompanhe o andamento pelo status': '¡Importación iniciada! Sigue el progreso en el estado',
+    'O campo {target} está mapeado para mais de uma coluna': 'El campo {target} está asignado a más de una columna',
+    'Empresa repetida no arquivo (linha {other})': 'Empresa repetida en el archivo (fila {other})',
+    'Empresa já cadastrada em {country}': 'Empresa ya registrada en {country}',
+
+    // Oportunidades
+    'Oportunidade não encontrada': 'Oportunidad no encontrada',
+    'Oportunidade criada com sucesso! 🎉': '¡Oportunidad creada con éxito! 🎉',
+    'Você não tem permissão para alterar esta oportunidade': 'No tienes permiso para modificar esta oportunidad',
+    'Oportunidade atualizada com sucesso!': '¡Oportunidad actualizada con éxito!',
+    'Transição de "{from}" para "{to}" não permitida': 'Transición de "{from}" a "{to}" no permitida',
+    'O prazo desta oportunidade já passou. Estenda o prazo para reativá-la': 'El plazo de esta oportunidad ya venció. Amplía el plazo para reactivarla',
+    'Status alterado para "{status}"': 'Estado cambiado a "{status}"',
+    'Não é possível estender o prazo de uma oportunidade "{status}"': 'No es posible ampliar el plazo de una oportunidad "{status}"',
+    'Prazo estendido e oportunidade reativada! 🎉': '¡Plazo ampliado y oportunidad reactivada! 🎉',
+    'Prazo estendido com sucesso!': '¡Plazo ampliado con éxito!',
+    'O novo prazo não pode estar no passado': 'El nuevo plazo no puede estar en el pasado',
+    'Você não tem permissão para excluir esta oportunidade': 'No tienes permiso para eliminar esta oportunidad',
+    'Oportunidade excluída com sucesso': 'Oportunidad eliminada con éxito',
+
+    // Matches
+    'Você não tem permissão para gerar matches desta oportunidade': 'No tienes permiso para generar coincidencias para esta oportunidad',
+    'Apenas oportunidades ativas geram matches': 'Solo las oportunidades activas pueden generar coincidencias',
+    '{count} match(es) novo(s) gerado(s)': '{count} coincidencia(s) nueva(s) generada(s)',
+    'Match não encontrado': 'Match no encontrado',
+    'Você não participa deste match': 'No participas en este match',
+    'Resposta ao match registrada': 'Respuesta al match registrada',
+    'Status inválido. Status válidos: {values}': 'Estado inválido. Estados válidos: {values}',
+
+    // Buscas salvas
+    'Limite de {max} buscas salvas atingido': 'Se alcanzó el límite de {max} búsquedas guardadas',
+    'Busca salva! Avisaremos quando surgirem novas oportunidades. 🔔': '¡Búsqueda guardada! Te avisaremos cuando surjan nuevas oportunidades. 🔔',
+    'Busca salva não encontrada': 'Búsqueda guardada no encontrada',
+    'Busca salva atualizada': 'Búsqueda guardada actualizada',
+    'Busca salva excluída': 'Búsqueda guardada eliminada',
+    'Oportunidades marcadas como vistas': 'Oportunidades marcadas como vistas',
+    'Informe pelo menos um filtro: type, category, country, search ou tags': 'Indica al menos un filtro: type, category, country, search o tags',
+
+    // Consultas
+    'Você não pode enviar uma consulta para si mesmo': 'No puedes enviarte una consulta a ti mismo',
+    'Consulta enviada! ✉️': '¡Consulta enviada! ✉️',
+    'Mensagem adicionada à conversa existente': 'Mensaje añadido a la conversación existente',
+    'Conversa não encontrada': 'Conversación no encontrada',
+    'Mensagem enviada': 'Mensaje enviado',
+    'Conversa arquivada': 'Conversación archivada',
+    'Conversa movida para a caixa de entrada': 'Conversación movida a la bandeja de entrada',
+    'Informe opportunity_id ou business_id (apenas um)': 'Indica opportunity_id o business_id (solo uno)',
+
+    // Notificações
+    'Nenhuma preferência para atualizar. Preferências: {preferences}': 'No hay preferencias para actualizar. Preferencias: {preferences}',
+    'Preferências atualizadas': 'Preferencias actualizadas',
+
+    // Administração
+    'Você não pode remover seu próprio acesso de admin': 'No puedes quitar tu propio acceso de admin',
+    'Papel alterado para "{role}"': 'Rol cambiado a "{role}"',
+    'Empresa verificada': 'Empresa verificada',
+    'Verificação da empresa removida': 'Verificación de la empresa retirada',
+    'Oportunidade verificada': 'Oportunidad verificada',
+    'Verificação da oportunidade removida': 'Verificación de la oportunidad retirada',
+    'Solicitação pendente não encontrada': 'Solicitud pendiente no encontrada',
+    'Empresa verificada com sucesso!': '¡Empresa verificada con éxito!',
+    'Solicitação de verificação rejeitada': 'Solicitud de verificación rechazada',
+    'Informe o motivo da rejeição': 'Indica el motivo del rechazo',
+    'Empresa reativada pela moderação': 'Empresa reactivada por la moderación',
+    'Empresa desativada pela moderação': 'Empresa desactivada por la moderación',
+    'Status alterado para "{status}" pela moderação': 'Estado cambiado a "{status}" por la moderación',
+    'Esta empresa foi desativada pela moderação e não pode ser reativada pelo dono': 'Esta empresa fue desactivada por la moderación y su propietario no puede reactivarla',
+    'O status desta oportunidade foi definido pela moderação e não pode ser alterado pelo dono': 'El estado de esta oportunidad fue definido por la moderación y su propietario no puede cambiarlo',
+    'Bloqueio não encontrado': 'Bloqueo no encontrado',
+    'Este bloqueio não está mais ativo': 'Este bloqueo ya no está activo',
+    'Bloqueio liberado': 'Bloqueo liberado',
+    'Você não tem permissão para ver o histórico deste registro': 'No tienes permiso para ver el historial de este registro',
+    'Você não tem permissão para ver as estatísticas desta listagem': 'No tienes permiso para ver las estadísticas de esta publicación',
+
+    // Dados de referência
+    'Já existe um país com este código ou nome': 'Ya existe un país con este código o nombre',
+    'País cadastrado': 'País registrado',
+    'País não encontrado': 'País no encontrado',
+    'País atualizado': 'País actualizado',
+    'País em uso por {count} registro(s). Desative-o em vez de excluir': 'País en uso por {count} registro(s). Desactívalo en lugar de eliminarlo',
+    'País excluído': 'País eliminado',
+    'Já existe uma categoria com este nome': 'Ya existe una categoría con este nombre',
+    'Categoria cadastrada': 'Categoría registrada',
+    'Categoria não encontrada': 'Categoría no encontrada',
+    'Categoria atualizada': 'Categoría actualizada',
+    'Categoria em uso por {count} registro(s). Desative-a em vez de excluir': 'Categoría en uso por {count} registro(s). Desactívala en lugar de eliminarla',
+    'Categoria excluída': 'Categoría eliminada',
+
+    // Câmbio
+    '{currency} é a moeda de referência e não pode ser alterada': '{currency} es la moneda de referencia y no se puede modificar',
+    'Cotação atualizada': 'Tipo de cambio actualizado',
+    'Moeda em uso por {count} registro(s) e não pode ser excluída': 'Moneda en uso por {count} registro(s); no se puede eliminar',
+    'Cotação não encontrada': 'Tipo de cambio no encontrado',
+    'Cotação excluída': 'Tipo de cambio eliminado',
+
+    // Validação (validation.js)
+    '{field} é obrigatório': '{field} es obligatorio',
+    '{field} deve ser um texto': '{field} debe ser un texto',
+    '{field} deve ser um e-mail válido': '{field} debe ser un correo válido',
+    '{field} deve ser um link http(s) válido': '{field} debe ser un enlace http(s) válido',
+    '{field} deve ter pelo menos {min} caracteres': '{field} debe tener al menos {min} caracteres',
+    '{field} deve ter no máximo {max} caracteres': '{field} debe tener como máximo {max} caracteres',
+    '{field} deve ser um número inteiro': '{field} debe ser un número entero',
+    '{field} deve estar entre {min} e {max}': '{field} debe estar entre {min} y {max}',
+    '{field} deve ser true ou false': '{field} debe ser true o false',
+    '{field} deve ser uma data no formato AAAA-MM-DD': '{field} debe ser una fecha en formato AAAA-MM-DD',
+    '{field} deve ser uma lista': '{field} debe ser una lista',
+    '{field} aceita no máximo {max} itens': '{field} admite como máximo {max} elementos',
+    '{field} inválido. Valores aceitos: {values}': '{field} inválido. Valores aceptados: {values}',
+    '{field} deve ser um objeto': '{field} debe ser un objeto',
+    '{field} não é aceito. Chaves aceitas: {values}': '{field} no se acepta. Claves aceptadas: {values}',
+    '{field} deve ter 2 letras (ISO 3166-1 alfa-2)': '{field} debe tener 2 letras (ISO 3166-1 alfa-2)',
+    '{field} deve ser um número': '{field} debe ser un número',
+    '{field} não pode ser menor que {other}': '{field} no puede ser menor que {other}',
+    '{field} deve ficar a no máximo {max} dias de {other}': '{field} debe estar como máximo a {max} días de {other}',
+    '{field} é obrigatório quando há valor': '{field} es obligatorio cuando se indica un valor',
+    '{field} deve ser um código ISO 4217 de 3 letras': '{field} debe ser un código ISO 4217 de 3 letras',
+    '{field} deve ser maior que zero': '{field} debe ser mayor que cero'
+  },
+
+  categories: {
+    'Agriculture': 'Agricultura',
+    'Technology': 'Tecnología',
+    'Manufacturing': 'Manufactura',
+    'Energy': 'Energía',
+    'Mining': 'Minería',
+    'Infrastructure': 'Infraestructura',
+    'Healthcare': 'Salud',
+    'Education': 'Educación',
+    'Tourism': 'Turismo',
+    'Finance': 'Finanzas',
+    'Real Estate': 'Bienes raíces',
+    'Transportation': 'Transporte',
+    'Retail': 'Comercio minorista',
+    'Construction': 'Construcción',
+    'Automotive': 'Automotriz',
+    'Pharmaceuticals': 'Farmacéutica',
+    'Textiles': 'Textil',
+    'Food & Beverage': 'Alimentos y bebidas',
+    'Telecommunications': 'Telecomunicaciones',
+    'Other': 'Otros'
+  }
+};
@@ -0,0 +1,27 @@
+// Português: idioma de origem das mensagens (as chaves dos outros catálogos), só as categorias precisam de tradução
+module.exports = {
+  messages: {},
+
+  categories: {
+    'Agriculture': 'Agricultura',
+    'Technology': 'Tecnologia',
+    'Manufacturing': 'Indústria',
+    'Energy': 'Energia',
+    'Mining': 'Mineração',
+    'Infrastructure': 'Infraestrutura',
+    'Healthcare': 'Saúde',
+    'Education': 'Educação',
+    'Tourism': 'Turismo',
+    'Finance': 'Finanças',
+    'Real Estate': 'Imóveis',
+    'Transportation': 'Transporte',
+    'Retail': 'Varejo',
+    'Construction': 'Construção',
+    'Automotive': 'Automotivo',
+    'Pharmaceuticals': 'Farmacêutico',
+    'Textiles': 'Têxtil',
+    'Food & Beverage': 'Alimentos e Bebidas',
+    'Telecommunications': 'Telecomunicações',
+    'Other': 'Outros'
+  }
+};
@@ -0,0 +1,206 @@
+// Русский
+module.exports = {
+  messages: {
+    // Autenticação e permissões
+    'Token de acesso requerido': 'Требуется токен доступа',
+    'Token inválido ou expirado': 'Недействительный или просроченный токен',
+    'Erro interno do servidor': 'Внутренняя ошибка сервера',
+    'Acesso restrito a: {roles}': 'Доступ разрешён только для: {roles}',
+    'Confirme seu e-mail para realizar esta ação': 'Подтвердите адрес электронной почты, чтобы выполнить это действие',
+    '🚀 BBH Backend API - BRICS Business Hub': '🚀 BBH Backend API - BRICS Business Hub',
+    '🚀 BBH Backend API Online!': '🚀 BBH Backend API работает!',
+    'Serviço de banco de dados indisponível': 'База данных недоступна',
+    'Muitas requisições. Tente novamente em {seconds} segundos': 'Слишком много запросов. Повторите через {seconds} с',
+
+    // Conta
+    'Usuário já cadastrado com este email': 'Пользователь с таким email уже зарегистрирован',
+    'Usuário registrado com sucesso! 🎉': 'Пользователь успешно зарегистрирован! 🎉',
+    'Credenciais inválidas': 'Неверные учётные данные',
+    'Muitas tentativas de login sem sucesso. Tente novamente em {minutes} minutos': 'Слишком много неудачных попыток входа. Повторите через {minutes} мин',
+    'Login realizado com sucesso! 👋': 'Вход выполнен успешно! 👋',
+    'Refresh token inválido ou expirado': 'Недействительный или просроченный refresh token',
+    'Refresh token revogado. Faça login novamente.': 'Refresh token отозван. Войдите снова.',
+    'Refresh token inválido': 'Недействительный refresh token',
+    'Todas as sessões foram encerradas': 'Все сеансы завершены',
+    'Logout realizado com sucesso': 'Выход выполнен успешно',
+    'Usuário não encontrado': 'Пользователь не найден',
+    'Perfil atualizado': 'Профиль обновлён',
+    'E-mail confirmado com sucesso! ✅': 'Email успешно подтверждён! ✅',
+    'E-mail já confirmado': 'Email уже подтверждён',
+    'Enviamos um novo link de confirmação para o seu e-mail': 'Мы отправили новую ссылку для подтверждения на ваш email',
+    'Se o e-mail estiver cadastrado, você receberá as instruções para redefinir a senha': 'Если этот email зарегистрирован, вы получите инструкции по сбросу пароля',
+    'Senha redefinida com sucesso! Faça login com a nova senha.': 'Пароль успешно сброшен! Войдите с новым паролем.',
+    'Token de confirmação inválido ou expirado': 'Недействительный или просроченный токен подтверждения',
+    'Token de redefinição inválido ou expirado': 'Недействительный или просроченный токен сброса',
+
+    // Empresas
+    'Empresa não encontrada': 'Компания не найдена',
+    'Empresa cadastrada com sucesso! 🎉': 'Компания успешно зарегистрирована! 🎉',
+    'Você não tem permissão para alterar esta empresa': 'У вас нет прав на изменение этой компании',
+    'Nenhum campo para atualizar. Campos editáveis: {fields}': 'Нет полей для обновления. Редактируемые поля: {fields}',
+    'Empresa atualizada com sucesso!': 'Компания успешно обновлена!',
+    'Empresa atualizada. Os dados de identificação mudaram e a verificação foi removida; solicite uma nova verificação': 'Компания обновлена. Идентификационные данные изменились, и верификация снята; отправьте новый запрос на верификацию',
+    'Empresa reativada com sucesso!': 'Компания успешно активирована!',
+    'Empresa desativada com sucesso': 'Компания успешно деактивирована',
+    'Você não tem permissão para solicitar a verificação desta empresa': 'У вас нет прав запрашивать верификацию этой компании',
+    'Empresa já verificada': 'Компания уже верифицирована',
+    'Já existe uma solicitação de verificação em análise para esta empresa': 'Заявка на верификацию этой компании уже рассматривается',
+    'Solicitação de verificação enviada! Nossa equipe fará a análise.': 'Заявка на верификацию отправлена! Наша команда её рассмотрит.',
+    'Você não tem permissão para ver a verificação desta empresa': 'У вас нет прав на просмотр верификации этой компании',
+
+    // Importação de empresas
+    'Arquivo maior que o limite de {max} MB': 'Файл превышает лимит {max} МБ',
+    'Formato não suportado. Envie um arquivo CSV ou XLSX': 'Неподдерживаемый формат. Загрузите файл CSV или XLSX',
+    'Envie o arquivo no corpo da requisição': 'Передайте файл в теле запроса',
+    'Não foi possível ler o arquivo {format}': 'Не удалось прочитать файл {format}',
+    'O arquivo precisa de uma linha de cabeçalho e pelo menos uma linha de dados': 'В файле должна быть строка заголовка и хотя бы одна строка данных',
+    'Colunas repetidas no cabeçalho: {columns}': 'Повторяющиеся столбцы в заголовке: {columns}',
+    'O arquivo tem {count} linhas; o limite por importação é {max}': 'В файле строк: {count}; лимит на один импорт — {max}',
+    'Arquivo recebido! Confira o mapeamento das colunas e faça uma simulação antes de importar': 'Файл получен! Проверьте сопоставление столбцов и выполните пробный запуск перед импортом',
+    'Importação não encontrada': 'Импорт не найден',
+    'Você não tem permissão para acessar esta importação': 'У вас нет доступа к этому импорту',
+    'Esta importação já foi iniciada (status "{status}")': 'Этот импорт уже запущен (статус "{status}")',
+    'Simulação concluída: {valid} linha(s) válida(s), {duplicates} duplicada(s) e {invalid} com erro': 'Пробный запуск завершён: корректных строк — {valid}, дубликатов — {duplicates}, с ошибками — {invalid}',
+    'Importação iniciada! Acompanhe o andamento pelo status': 'Импорт запущен! Следите за ходом выполнения через статус',
+    'O campo {target} está mapeado para mais de uma coluna': 'Поле {target} сопоставлено более чем одному столбцу',
+    'Empresa repetida no arquivo (linha {other})': 'Компания повторяется в файле (строка {other})',
+    'Empresa já cadastrada em {country}': 'Компания уже зарегистрирована в стране {country}',
+
+    // Oportunidades
+    'Oportunidade não encontrada': 'Предложение не найдено',
+    'Oportunidade criada com sucesso! 🎉': 'Предложение успешно создано! 🎉',
+    'Você não tem permissão para alterar esta oportunidade': 'У вас нет прав на изменение этого предложения',
+    'Oportunidade atualizada com sucesso!': 'Предложение успешно обновлено!',
+    'Transição de "{from}" para "{to}" não permitida': 'Переход из "{from}" в "{to}" не допускается',
+    'O prazo desta oportunidade já passou. Estenda o prazo para reativá-la': 'Срок этого предложения истёк. Продлите срок, чтобы снова активировать его',
+    'Status alterado para "{status}"': 'Статус изменён на "{status}"',
+    'Não é possível estender o prazo de uma oportunidade "{status}"': 'Нельзя продлить срок предложения со статусом "{status}"',
+    'Prazo estendido e oportunidade reativada! 🎉': 'Срок продлён, предложение снова активно! 🎉',
+    'Prazo estendido com sucesso!': 'Срок успешно продлён!',
+    'O novo prazo não pode estar no passado': 'Новый срок не может быть в прошлом',
+    'Você não tem permissão para excluir esta oportunidade': 'У вас нет прав на удаление этого предложения',
+    'Oportunidade excluída com sucesso': 'Предложение успешно удалено',
+
+    // Matches
+    'Você não tem permissão para gerar matches desta oportunidade': 'У вас нет прав на подбор совпадений для этой возможности',
+    'Apenas oportunidades ativas geram matches': 'Подбор совпадений доступен только для активных возможностей',
+    '{count} match(es) novo(s) gerado(s)': 'Создано новых совпадений: {count}',
+    'Match não encontrado': 'Совпадение не найдено',
+    'Você não participa deste match': 'Вы не участвуете в этом совпадении',
+    'Resposta ao match registrada': 'Ответ на совпадение сохранён',
+    'Status inválido. Status válidos: {values}': 'Недопустимый статус. Допустимые статусы: {values}',
+
+    // Buscas salvas
+    'Limite de {max} buscas salvas atingido': 'Достигнут лимит сохранённых поисков: {max}',
+    'Busca salva! Avisaremos quando surgirem novas oportunidades. 🔔': 'Поиск сохранён! Мы сообщим о новых предложениях. 🔔',
+    'Busca salva não encontrada': 'Сохранённый поиск не найден',
+    'Busca salva atualizada': 'Сохранённый поиск обновлён',
+    'Busca salva excluída': 'Сохранённый поиск удалён',
+    'Oportunidades marcadas como vistas': 'Предложения отмечены как просмотренные',
+    'Informe pelo menos um filtro: type, category, country, search ou tags': 'Укажите хотя бы один фильтр: type, category, country, search или tags',
+
+    // Consultas
+    'Você não pode enviar uma consulta para si mesmo': 'Нельзя отправить запрос самому себе',
+    'Consulta enviada! ✉️': 'Запрос отправлен! ✉️',
+    'Mensagem adicionada à conversa existente': 'Сообщение добавлено в существующую переписку',
+    'Conversa não encontrada': 'Переписка не найдена',
+    'Mensagem enviada': 'Сообщение отправлено',
+    'Conversa arquivada': 'Переписка перемещена в архив',
+    'Conversa movida para a caixa de entrada': 'Переписка перемещена во входящие',
+    'Informe opportunity_id ou business_id (apenas um)': 'Укажите opportunity_id или business_id (только одно)',
+
+    // Notificações
+    'Nenhuma preferência para atualizar. Preferências: {preferences}': 'Нет настроек для обновления. Настройки: {preferences}',
+    'Preferências atualizadas': 'Настройки обновлены',
+
+    // Administração
+    'Você não pode remover seu próprio acesso de admin': 'Нельзя снять с себя права администратора',
+    'Papel alterado para "{role}"': 'Роль изменена на "{role}"',
+    'Empresa verificada': 'Компания верифицирована',
+    'Verificação da empresa removida': 'Верификация компании снята',
+    'Oportunidade verificada': 'Предложение верифицировано',
+    'Verificação da oportunidade removida': 'Верификация предложения снята',
+    'Solicitação pendente não encontrada': 'Ожидающая заявка не найдена',
+    'Empresa verificada com sucesso!': 'Компания успешно верифицирована!',
+    'Solicitação de verificação rejeitada': 'Заявка на верификацию отклонена',
+    'Informe o motivo da rejeição': 'Укажите причину отклонения',
+    'Empresa reativada pela moderação': 'Компания активирована модерацией',
+    'Empresa desativada pela moderação': 'Компания деактивирована модерацией',
+    'Status alterado para "{status}" pela moderação': 'Статус изменён модерацией на "{status}"',
+    'Esta empresa foi desativada pela moderação e não pode ser reativada pelo dono': 'Эта компания деактивирована модерацией и не может быть повторно активирована владельцем',
+    'O status desta oportunidade foi definido pela moderação e não pode ser alterado pelo dono': 'Статус этой возможности установлен модерацией и не может быть изменён владельцем',
+    'Bloqueio não encontrado': 'Блокировка не найдена',
+    'Este bloqueio não está mais ativo': 'Эта блокировка больше не действует',
+    'Bloqueio liberado': 'Блокировка снята',
+    'Você não tem permissão para ver o histórico deste registro': 'У вас нет прав на просмотр истории этой записи',
+    'Você não tem permissão para ver as estatísticas desta listagem': 'У вас нет прав на просмотр статистики этого объявления',
+
+    // Dados de referência
+    'Já existe um país com este código ou nome': 'Страна с таким кодом или названием уже существует',
+    'País cadastrado': 'Страна добавлена',
+    'País não encontrado': 'Страна не найдена',
+    'País atualizado': 'Страна обновлена',
+    'País em uso por {count} registro(s). Desative-o em vez de excluir': 'Страна используется в записях: {count}. Деактивируйте её вместо удаления',
+    'País excluído': 'Страна удалена',
+    'Já existe uma categoria com este nome': 'Категория с таким названием уже существует',
+    'Categoria cadastrada': 'Категория добавлена',
+    'Categoria não encontrada': 'Категория не найдена',
+    'Categoria atualizada': 'Категория обновлена',
+    'Categoria em uso por {count} registro(s). Desative-a em vez de excluir': 'Категория используется в записях: {count}. Деактивируйте её вместо удаления',
+    'Categoria excluída': 'Категория удалена',
+
+    // Câmbio
+    '{currency} é a moeda de referência e não pode ser alterada': '{currency} — базовая валюта, её нельзя изменить',
+    'Cotação atualizada': 'Курс обновлён',
+    'Moeda em uso por {count} registro(s) e não pode ser excluída': 'Валюта используется в записях: {count}; удалить её нельзя',
+    'Cotação não encontrada': 'Курс не найден',
+    'Cotação excluída': 'Курс удалён',
+
+    // Validação (validation.js)
+    '{field} é obrigatório': 'Поле {field} обязательно',
+    '{field} deve ser um texto': 'Поле {field} должно быть строкой',
+    '{field} deve ser um e-mail válido': 'Поле {field} должно содержать корректный email',
+    '{field} deve ser um link http(s) válido': 'Поле {field} должно содержать корректную ссылку http(s)',
+    '{field} deve ter pelo menos {min} caracteres': 'Поле {field} должно содержать не менее {min} символов',
+    '{field} deve ter no máximo {max} caracteres': 'Поле {field} должно содержать не более {max} символов',
+    '{field} deve ser um número inteiro': 'Поле {field} должно быть целым числом',
+    '{field} deve estar entre {min} e {max}': 'Поле {field} должно быть в диапазоне от {min} до {max}',
+    '{field} deve ser true ou false': 'Поле {field} должно быть true или false',
+    '{field} deve ser uma data no formato AAAA-MM-DD': 'Поле {field} должно быть датой в формате ГГГГ-ММ-ДД',
+    '{field} deve ser uma lista': 'Поле {field} должно быть списком',
+    '{field} aceita no máximo {max} itens': 'Поле {field} допускает не более {max} элементов',
+    '{field} inválido. Valores aceitos: {values}': 'Недопустимое значение {field}. Допустимые значения: {values}',
+    '{field} deve ser um objeto': 'Поле {field} должно быть объектом',
+    '{field} não é aceito. Chaves aceitas: {values}': 'Поле {field} не допускается. Допустимые ключи: {values}',
+    '{field} deve ter 2 letras (ISO 3166-1 alfa-2)': 'Поле {field} должно состоять из 2 букв (ISO 3166-1 alpha-2)',
+    '{field} deve ser um número': 'Поле {field} должно быть числом',
+    '{field} não pode ser menor que {other}': 'Поле {field} не может быть меньше {other}',
+    '{field} deve ficar a no máximo {max} dias de {other}': '{field} должно отстоять от {other} не более чем на {max} дней',
+    '{field} é obrigatório quando há valor': 'Поле {field} обязательно, если указана сумма',
+    '{field} deve ser um código ISO 4217 de 3 letras': 'Поле {field} должно быть трёхбуквенным кодом ISO 4217',
+    '{field} deve ser maior que zero': 'Поле {field} должно быть больше нуля'
+  },
+
+  categories: {
+    'Agriculture': 'Сельское хозяйство',
+    'Technology': 'Технологии',
+    'Manufacturing': 'Производство',
+    'Energy': 'Энергетика',
+    'Mining': 'Горнодобывающая промышленность',
+    'Infrastructure': 'Инфраструктура',
+    'Healthcare': 'Здравоохранение',
+    'Education': 'Образование',
+    'Tourism': 'Туризм',
+    'Finance': 'Финансы',
+    'Real Estate': 'Недвижимость',
+    'Transportation': 'Транспорт',
+    'Retail': 'Розничная торговля',
+    'Construction': 'Строительство',
+    'Automotive': 'Автомобильная отрасль',
+    'Pharmaceuticals': 'Фармацевтика',
+    'Textiles': 'Текстиль',
+    'Food & Beverage': 'Продукты питания и напитки',
+    'Telecommunications': 'Телекоммуникации',
+    'Other': 'Другое'
+  }
+};
@@ -0,0 +1,206 @@
+// 中文（简体）
+module.exports = {
+  messages: {
+    // Autenticação e permissões
+    'Token de acesso requerido': '需要访问令牌',
+    'Token inválido ou expirado': '令牌无效或已过期',
+    'Erro interno do servidor': '服务器内部错误',
+    'Acesso restrito a: {roles}': '仅限以下角色访问：{roles}',
+    'Confirme seu e-mail para realizar esta ação': '请先验证您的邮箱再执行此操作',
+    '🚀 BBH Backend API - BRICS Business Hub': '🚀 BBH Backend API - 金砖商业中心',
+    '🚀 BBH Backend API Online!': '🚀 BBH Backend API 运行中！',
+    'Serviço de banco de dados indisponível': '数据库服务不可用',
+    'Muitas requisições. Tente novamente em {seconds} segundos': '请求过多。请在 {seconds} 秒后重试',
+
+    // Conta
+    'Usuário já cadastrado com este email': '该邮箱已被注册',
+    'Usuário registrado com sucesso! 🎉': '用户注册成功！🎉',
+    'Credenciais inválidas': '凭据无效',
+    'Muitas tentativas de login sem sucesso. Tente novamente em {minutes} minutos': '登录失败次数过多。请在 {minutes} 分钟后重试',
+    'Login realizado com sucesso! 👋': '登录成功！👋',
+    'Refresh token inválido ou expirado': '刷新令牌无效或已过期',
+    'Refresh token revogado. Faça login novamente.': '刷新令牌已被撤销，请重新登录。',
+    'Refresh token inválido': '刷新令牌无效',
+    'Todas as sessões foram encerradas': '所有会话均已结束',
+    'Logout realizado com sucesso': '已成功退出登录',
+    'Usuário não encontrado': '未找到用户',
+    'Perfil atualizado': '个人资料已更新',
+    'E-mail confirmado com sucesso! ✅': '邮箱验证成功！✅',
+    'E-mail já confirmado': '邮箱已验证',
+    'Enviamos um novo link de confirmação para o seu e-mail': '我们已向您的邮箱发送新的验证链接',
+    'Se o e-mail estiver cadastrado, você receberá as instruções para redefinir a senha': '如果该邮箱已注册，您将收到重置密码的说明',
+    'Senha redefinida com sucesso! Faça login com a nova senha.': '密码重置成功！请使用新密码登录。',
+    'Token de confirmação inválido ou expirado': '验证令牌无效或已过期',
+    'Token de redefinição inválido ou expirado': '重置令牌无效或已过期',
+
+    // Empresas
+    'Empresa não encontrada': '未找到企业',
+    'Empresa cadastrada com sucesso! 🎉': '企业注册成功！🎉',
+    'Você não tem permissão para alterar esta empresa': '您无权修改此企业',
+    'Nenhum campo para atualizar. Campos editáveis: {fields}': '没有需要更新的字段。可编辑字段：{fields}',
+    'Empresa atualizada com sucesso!': '企业更新成功！',
+    'Empresa atualizada. Os dados de identificação mudaram e a verificação foi removida; solicite uma nova verificação': '企业已更新。身份信息已更改，认证已被撤销；请重新申请认证',
+    'Empresa reativada com sucesso!': '企业已重新启用！',
+    'Empresa desativada com sucesso': '企业已停用',
+    'Você não tem permissão para solicitar a verificação desta empresa': '您无权为此企业申请认证',
+    'Empresa já verificada': '企业已认证',
+    'Já existe uma solicitação de verificação em análise para esta empresa': '该企业已有一个正在审核的认证申请',
+    'Solicitação de verificação enviada! Nossa equipe fará a análise.': '认证申请已提交！我们的团队将进行审核。',
+    'Você não tem permissão para ver a verificação desta empresa': '您无权查看此企业的认证信息',
+
+    // Importação de empresas
+    'Arquivo maior que o limite de {max} MB': '文件超过 {max} MB 的限制',
+    'Formato não suportado. Envie um arquivo CSV ou XLSX': '不支持的格式。请上传 CSV 或 XLSX 文件',
+    'Envie o arquivo no corpo da requisição': '请在请求正文中发送文件',
+    'Não foi possível ler o arquivo {format}': '无法读取 {format} 文件',
+    'O arquivo precisa de uma linha de cabeçalho e pelo menos uma linha de dados': '文件需要一行表头和至少一行数据',
+    'Colunas repetidas no cabeçalho: {columns}': '表头中有重复的列：{columns}',
+    'O arquivo tem {count} linhas; o limite por importação é {max}': '文件共有 {count} 行；每次导入的上限为 {max} 行',
+    'Arquivo recebido! Confira o mapeamento das colunas e faça uma simulação antes de importar': '文件已接收！请检查列映射并在导入前进行试运行',
+    'Importação não encontrada': '未找到导入任务',
+    'Você não tem permissão para acessar esta importação': '您无权访问此导入任务',
+    'Esta importação já foi iniciada (status "{status}")': '此导入任务已开始（状态“{status}”）',
+    'Simulação concluída: {valid} linha(s) válida(s), {duplicates} duplicada(s) e {invalid} com erro': '试运行完成：有效 {valid} 行，重复 {duplicates} 行，错误 {invalid} 行',
+    'Importação iniciada! Acompanhe o andamento pelo status': '导入已开始！可通过状态接口查看进度',
+    'O campo {target} está mapeado para mais de uma coluna': '字段 {target} 被映射到多个列',
+    'Empresa repetida no arquivo (linha {other})': '企业在文件中重复（第 {other} 行）',
+    'Empresa já cadastrada em {country}': '企业已在 {country} 注册',
+
+    // Oportunidades
+    'Oportunidade não encontrada': '未找到商机',
+    'Oportunidade criada com sucesso! 🎉': '商机创建成功！🎉',
+    'Você não tem permissão para alterar esta oportunidade': '您无权修改此商机',
+    'Oportunidade atualizada com sucesso!': '商机更新成功！',
+    'Transição de "{from}" para "{to}" não permitida': '不允许从“{from}”变更为“{to}”',
+    'O prazo desta oportunidade já passou. Estenda o prazo para reativá-la': '此商机已过截止日期。请延长截止日期以重新启用',
+    'Status alterado para "{status}"': '状态已变更为“{status}”',
+    'Não é possível estender o prazo de uma oportunidade "{status}"': '无法延长状态为“{status}”的商机的截止日期',
+    'Prazo estendido e oportunidade reativada! 🎉': '截止日期已延长，商机已重新启用！🎉',
+    'Prazo estendido com sucesso!': '截止日期延长成功！',
+    'O novo prazo não pode estar no passado': '新的截止日期不能早于今天',
+    'Você não tem permissão para excluir esta oportunidade': '您无权删除此商机',
+    'Oportunidade excluída com sucesso': '商机已删除',
+
+    // Matches
+    'Você não tem permissão para gerar matches desta oportunidade': '您无权为此机会生成匹配',
+    'Apenas oportunidades ativas geram matches': '只有进行中的机会才能生成匹配',
+    '{count} match(es) novo(s) gerado(s)': '已生成 {count} 个新匹配',
+    'Match não encontrado': '未找到匹配',
+    'Você não participa deste match': '您不是此匹配的参与方',
+    'Resposta ao match registrada': '已记录对匹配的回复',
+    'Status inválido. Status válidos: {values}': '状态无效。有效状态：{values}',
+
+    // Buscas salvas
+    'Limite de {max} buscas salvas atingido': '已达到 {max} 个已保存搜索的上限',
+    'Busca salva! Avisaremos quando surgirem novas oportunidades. 🔔': '搜索已保存！出现新商机时我们会通知您。🔔',
+    'Busca salva não encontrada': '未找到已保存的搜索',
+    'Busca salva atualizada': '已保存的搜索已更新',
+    'Busca salva excluída': '已保存的搜索已删除',
+    'Oportunidades marcadas como vistas': '商机已标记为已读',
+    'Informe pelo menos um filtro: type, category, country, search ou tags': '请至少提供一个筛选条件：type、category、country、search 或 tags',
+
+    // Consultas
+    'Você não pode enviar uma consulta para si mesmo': '您不能向自己发送咨询',
+    'Consulta enviada! ✉️': '咨询已发送！✉️',
+    'Mensagem adicionada à conversa existente': '消息已添加到现有会话',
+    'Conversa não encontrada': '未找到会话',
+    'Mensagem enviada': '消息已发送',
+    'Conversa arquivada': '会话已归档',
+    'Conversa movida para a caixa de entrada': '会话已移回收件箱',
+    'Informe opportunity_id ou business_id (apenas um)': '请提供 opportunity_id 或 business_id（仅限一个）',
+
+    // Notificações
+    'Nenhuma preferência para atualizar. Preferências: {preferences}': '没有需要更新的偏好设置。偏好设置：{preferences}',
+    'Preferências atualizadas': '偏好设置已更新',
+
+    // Administração
+    'Você não pode remover seu próprio acesso de admin': '您不能移除自己的管理员权限',
+    'Papel alterado para "{role}"': '角色已变更为“{role}”',
+    'Empresa verificada': '企业已认证',
+    'Verificação da empresa removida': '已取消企业认证',
+    'Oportunidade verificada': '商机已认证',
+    'Verificação da oportunidade removida': '已取消商机认证',
+    'Solicitação pendente não encontrada': '未找到待处理的申请',
+    'Empresa verificada com sucesso!': '企业认证成功！',
+    'Solicitação de verificação rejeitada': '认证申请已被拒绝',
+    'Informe o motivo da rejeição': '请提供拒绝理由',
+    'Empresa reativada pela moderação': '企业已由审核人员重新启用',
+    'Empresa desativada pela moderação': '企业已被审核人员停用',
+    'Status alterado para "{status}" pela moderação': '审核人员已将状态变更为“{status}”',
+    'Esta empresa foi desativada pela moderação e não pode ser reativada pelo dono': '该企业已被审核人员停用，所有者无法重新启用',
+    'O status desta oportunidade foi definido pela moderação e não pode ser alterado pelo dono': '该商机的状态由审核人员设定，所有者无法更改',
+    'Bloqueio não encontrado': '未找到锁定记录',
+    'Este bloqueio não está mais ativo': '该锁定已失效',
+    'Bloqueio liberado': '锁定已解除',
+    'Você não tem permissão para ver o histórico deste registro': '您无权查看此记录的历史',
+    'Você não tem permissão para ver as estatísticas desta listagem': '您无权查看此信息的统计数据',
+
+    // Dados de referência
+    'Já existe um país com este código ou nome': '已存在相同代码或名称的国家',
+    'País cadastrado': '国家已添加',
+    'País não encontrado': '未找到国家',
+    'País atualizado': '国家已更新',
+    'País em uso por {count} registro(s). Desative-o em vez de excluir': '该国家正被 {count} 条记录使用。请停用而不是删除',
+    'País excluído': '国家已删除',
+    'Já existe uma categoria com este nome': '已存在同名类别',
+    'Categoria cadastrada': '类别已添加',
+    'Categoria não encontrada': '未找到类别',
+    'Categoria atualizada': '类别已更新',
+    'Categoria em uso por {count} registro(s). Desative-a em vez de excluir': '该类别正被 {count} 条记录使用。请停用而不是删除',
+    'Categoria excluída': '类别已删除',
+
+    // Câmbio
+    '{currency} é a moeda de referência e não pode ser alterada': '{currency} 是基准货币，不能修改',
+    'Cotação atualizada': '汇率已更新',
+    'Moeda em uso por {count} registro(s) e não pode ser excluída': '该货币正被 {count} 条记录使用，无法删除',
+    'Cotação não encontrada': '未找到汇率',
+    'Cotação excluída': '汇率已删除',
+
+    // Validação (validation.js)
+    '{field} é obrigatório': '{field} 为必填项',
+    '{field} deve ser um texto': '{field} 必须是文本',
+    '{field} deve ser um e-mail válido': '{field} 必须是有效的邮箱地址',
+    '{field} deve ser um link http(s) válido': '{field} 必须是有效的 http(s) 链接',
+    '{field} deve ter pelo menos {min} caracteres': '{field} 至少需要 {min} 个字符',
+    '{field} deve ter no máximo {max} caracteres': '{field} 最多允许 {max} 个字符',
+    '{field} deve ser um número inteiro': '{field} 必须是整数',
+    '{field} deve estar entre {min} e {max}': '{field} 必须介于 {min} 和 {max} 之间',
+    '{field} deve ser true ou false': '{field} 必须是 true 或 false',
+    '{field} deve ser uma data no formato AAAA-MM-DD': '{field} 必须是 YYYY-MM-DD 格式的日期',
+    '{field} deve ser uma lista': '{field} 必须是列表',
+    '{field} aceita no máximo {max} itens': '{field} 最多允许 {max} 项',
+    '{field} inválido. Valores aceitos: {values}': '{field} 无效。允许的值：{values}',
+    '{field} deve ser um objeto': '{field} 必须是对象',
+    '{field} não é aceito. Chaves aceitas: {values}': '不接受 {field}。允许的键：{values}',
+    '{field} deve ter 2 letras (ISO 3166-1 alfa-2)': '{field} 必须是 2 个字母（ISO 3166-1 alpha-2）',
+    '{field} deve ser um número': '{field} 必须是数字',
+    '{field} não pode ser menor que {other}': '{field} 不能小于 {other}',
+    '{field} deve ficar a no máximo {max} dias de {other}': '{field} 与 {other} 的间隔不能超过 {max} 天',
+    '{field} é obrigatório quando há valor': '填写金额时 {field} 为必填项',
+    '{field} deve ser um código ISO 4217 de 3 letras': '{field} 必须是 3 个字母的 ISO 4217 代码',
+    '{field} deve ser maior que zero': '{field} 必须大于零'
+  },
+
+  categories: {
+    'Agriculture': '农业',
+    'Technology': '科技',
+    'Manufacturing': '制造业',
+    'Energy': '能源',
+    'Mining': '矿业',
+    'Infrastructure': '基础设施',
+    'Healthcare': '医疗卫生',
+    'Education': '教育',
+    'Tourism': '旅游',
+    'Finance': '金融',
+    'Real Estate': '房地产',
+    'Transportation': '交通运输',
+    'Retail': '零售',
+    'Construction': '建筑',
+    'Automotive': '汽车',
+    'Pharmaceuticals': '制药',
+    'Textiles': '纺织',
+    'Food & Beverage': '食品饮料',
+    'Telecommunications': '电信',
+    'Other': '其他'
+  }
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const sgMail = require('@sendgrid/mail');
+
+// ==================== TRANSPORTES DE E-MAIL ====================
+// Cada transporte expõe { name, send(message) } onde message = { from, to, subject, text, html }
+
+// SendGrid (produção)
+function createSendGridTransport(apiKey) {
+  sgMail.setApiKey(apiKey);
+
+  return {
+    name: 'sendgrid',
+    send: (message) => sgMail.send(message)
+  };
+}
+
+// Console (desenvolvimento) - apenas registra o e-mail no log
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`📧 [mail] Para: ${message.to} | Assunto: ${message.subject}`);
+      console.log(message.text);
+    }
+  };
+}
+
+// Arquivo (testes) - grava um JSON por linha para inspeção posterior
+function createFileTransport(filePath) {
+  const outbox = path.resolve(filePath);
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const entry = { ...message, sent_at: new Date().toISOString() };
+      await fs.promises.appendFile(outbox, JSON.stringify(entry) + '\n');
+    }
+  };
+}
+
+// Memória (testes) - guarda as mensagens em sent, na ordem de envio
+function createMemoryTransport() {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    send: async (message) => {
+      sent.push(message);
+    }
+  };
+}
+
+// Escolhe o transporte via MAIL_TRANSPORT (sendgrid, console, file ou memory)
+// Sem configuração: SendGrid se houver SENDGRID_API_KEY, senão console
+function createTransport(env = process.env) {
+  const name = env.MAIL_TRANSPORT || (env.SENDGRID_API_KEY ? 'sendgrid' : 'console');
+
+  switch (name) {
+    case 'sendgrid':
+      if (!env.SENDGRID_API_KEY) {
+        throw new Error('SENDGRID_API_KEY não configurada para o transporte sendgrid');
+      }
+      return createSendGridTransport(env.SENDGRID_API_KEY);
+    case 'file':
+      return createFileTransport(env.MAIL_OUTBOX_FILE || 'mail-outbox.log');
+    case 'console':
+      return createConsoleTransport();
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Transporte de e-mail desconhecido: ${name}`);
+  }
+}
+
+function createMailer({ transport = createTransport(), from = process.env.MAIL_FROM || 'no-reply@bbhbusinesshub.com' } = {}) {
+  return {
+    transport: transport.name,
+
+    // Envia o e-mail; falhas são registradas e nunca derrubam a requisição
+    async send({ to, subject, text, html }) {
+      try {
+        await transport.send({ from, to, subject, text, html: html || text.replace(/\n/g, '<br>') });
+        return true;
+      } catch (error) {
+        console.error(`❌ Erro ao enviar e-mail (${transport.name}) para ${to}:`, error.message);
+        return false;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createMailer,
+  createTransport,
+  createSendGridTransport,
+  createConsoleTransport,
+  createFileTransport,
+  createMemoryTransport
+};
@@ -0,0 +1,190 @@
+// ==================== MOTOR DE MATCHES ====================
+// Pontua empresas para uma oportunidade em fatores independentes (0 a 1 cada),
+// combinados por pesos configuráveis em uma nota final de 0 a 100
+
+// Pesos padrão; podem ser sobrescritos por MATCH_WEIGHTS (JSON) ou por requisição
+const DEFAULT_MATCH_WEIGHTS = {
+  tags: 30,
+  category: 25,
+  countries: 25,
+  size: 10,
+  verification: 10
+};
+
+// Tipos de negócio que indicam o lado comprador ou vendedor da negociação
+const BUYER_PATTERN = /import|distribut|buyer|wholesal|retail|trad/i;
+const SELLER_PATTERN = /export|manufactur|supplier|produc|factory|farm/i;
+
+// Faixas de porte pelo número de funcionários (primeiro número de employee_count)
+const SIZE_BANDS = [
+  { min: 250, score: 1, label: 'grande porte' },
+  { min: 51, score: 0.75, label: 'médio porte' },
+  { min: 11, score: 0.5, label: 'pequeno porte' },
+  { min: 1, score: 0.25, label: 'microempresa' }
+];
+
+// Mescla pesos personalizados aos padrões, ignorando fatores desconhecidos, valores que não são
+// números (null, true e "" não viram 0) e pesos negativos
+function resolveWeights(...overrides) {
+  const weights = { ...DEFAULT_MATCH_WEIGHTS };
+
+  for (const override of overrides) {
+    if (!override) continue;
+    for (const [factor, value] of Object.entries(override)) {
+      const numeric = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+      const weight = numeric ? Number(value) : NaN;
+      if (factor in weights && Number.isFinite(weight) && weight >= 0) {
+        weights[factor] = weight;
+      }
+    }
+  }
+
+  return weights;
+}
+
+// Converte "tags:40,countries:30" em { tags: 40, countries: 30 }
+function parseWeightsParam(param) {
+  if (!param) return null;
+
+  return Object.fromEntries(
+    String(param).split(',')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([factor, value]) => factor && value !== undefined)
+  );
+}
+
+const normalize = (text) => String(text || '').toLowerCase();
+
+// Remove o plural simples para comparar "chickens" com "chicken"
+const stem = (word) => word.replace(/(es|s)$/, '');
+
+function scoreTags(opportunity, business) {
+  const wanted = (opportunity.tags || []).map(tag => normalize(tag));
+  if (wanted.length === 0) {
+    return { applicable: false, score: 0, reason: 'Oportunidade sem tags' };
+  }
+
+  const offered = new Set((business.tags || []).map(tag => normalize(tag)));
+  const shared = wanted.filter(tag => offered.has(tag));
+
+  return {
+    applicable: true,
+    score: shared.length / wanted.length,
+    reason: shared.length > 0
+      ? `Tags em comum: ${shared.join(', ')} (${shared.length}/${wanted.length})`
+      : 'Nenhuma tag em comum'
+  };
+}
+
+function scoreCategory(opportunity, business) {
+  const words = normalize(opportunity.category).split(/[^a-z]+/).filter(word => word.length > 2).map(stem);
+  const profile = normalize([business.business_type, business.products_services, ...(business.tags || [])].join(' '));
+  const description = normalize(business.description);
+
+  let categoryScore = 0;
+  let categoryReason = `Nada indica atuação em ${opportunity.category}`;
+  if (words.some(word => profile.includes(word))) {
+    categoryScore = 1;
+    categoryReason = `Tipo de negócio/produtos ligados a ${opportunity.category}`;
+  } else if (words.some(word => description.includes(word))) {
+    categoryScore = 0.6;
+    categoryReason = `Descrição menciona ${opportunity.category}`;
+  }
+
+  // Oferta procura compradores; demanda procura fornecedores
+  const pattern = opportunity.type === 'offer' ? BUYER_PATTERN : SELLER_PATTERN;
+  const sideLabel = opportunity.type === 'offer' ? 'comprador/importador' : 'fornecedor/exportador';
+  const directionScore = pattern.test(business.business_type || '') ? 1 : 0;
+
+  return {
+    applicable: true,
+    score: categoryScore * 0.7 + directionScore * 0.3,
+    reason: `${categoryReason}; ${directionScore ? `perfil de ${sideLabel}` : `sem perfil de ${sideLabel}`}`
+  };
+}
+
+function scoreCountries(opportunity, business) {
+  if ((business.brics_countries || []).includes(opportunity.country)) {
+    return { applicable: true, score: 1, reason: `Atua com ${opportunity.country}` };
+  }
+
+  if (business.country === opportunity.country) {
+    // Fornecedor local atende bem uma demanda; numa oferta o comprador ideal está fora do país
+    return opportunity.type === 'demand'
+      ? { applicable: true, score: 0.7, reason: `Sediada em ${opportunity.country}` }
+      : { applicable: true, score: 0.3, reason: `Sediada no mesmo país da oferta (${opportunity.country})` };
+  }
+
+  return { applicable: true, score: 0, reason: `Sem atuação declarada em ${opportunity.country}` };
+}
+
+function scoreSize(opportunity, business) {
+  const match = String(business.employee_count || '').match(/\d+/);
+  if (!match) {
+    return { applicable: true, score: 0, reason: 'Porte não informado' };
+  }
+
+  const employees = parseInt(match[0]);
+  const band = SIZE_BANDS.find(b => employees >= b.min);
+
+  return band
+    ? { applicable: true, score: band.score, reason: `${business.employee_count} funcionários (${band.label})` }
+    : { applicable: true, score: 0, reason: 'Porte não informado' };
+}
+
+function scoreVerification(opportunity, business) {
+  return business.is_verified
+    ? { applicable: true, score: 1, reason: 'Empresa verificada' }
+    : { applicable: true, score: 0, reason: 'Empresa não verificada' };
+}
+
+const FACTORS = {
+  tags: scoreTags,
+  category: scoreCategory,
+  countries: scoreCountries,
+  size: scoreSize,
+  verification: scoreVerification
+};
+
+// Nota final (0-100) e explicação por fator; fatores não aplicáveis saem da normalização
+function scoreBusiness(opportunity, business, weights = DEFAULT_MATCH_WEIGHTS) {
+  const breakdown = Object.entries(FACTORS).map(([factor, scorer]) => {
+    const result = scorer(opportunity, business);
+    const weight = weights[factor] || 0;
+    return {
+      factor,
+      weight,
+      applicable: result.applicable,
+      score: Math.round(result.score * 100) / 100,
+      points: result.applicable ? Math.round(result.score * weight * 100) / 100 : 0,
+      reason: result.reason
+    };
+  });
+
+  const totalWeight = breakdown
+    .filter(item => item.applicable)
+    .reduce((sum, item) => sum + item.weight, 0);
+  const points = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    match_score: totalWeight > 0 ? Math.round((points / totalWeight) * 100) : 0,
+    score_breakdown: breakdown
+  };
+}
+
+// Pontua, filtra pela nota mínima e ordena os candidatos
+function rankBusinesses(opportunity, businesses, { weights = DEFAULT_MATCH_WEIGHTS, minScore = 1, limit = 20 } = {}) {
+  return businesses
+    .map(business => ({ ...business, ...scoreBusiness(opportunity, business, weights) }))
+    .filter(business => business.match_score >= minScore)
+    .sort((a, b) => b.match_score - a.match_score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  DEFAULT_MATCH_WEIGHTS,
+  resolveWeights,
+  parseWeightsParam,
+  scoreBusiness,
+  rankBusinesses
+};
@@ -0,0 +1,180 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+// ==================== MIGRATIONS ====================
+// Arquivos em migrations/ no formato NNN_descricao.js exportando { up, down } (SQL)
+// Uso: node migrate.js up [passos] | down [passos] | status
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Chave do advisory lock que impede duas execuções simultâneas (ex.: dois deploys)
+const MIGRATION_LOCK_KEY = 724001;
+
+function createPool() {
+  return new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+}
+
+// Lista as migrations do diretório em ordem de versão
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: file.split('_')[0],
+        name: file.replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    });
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Situação de cada migration: aplicada ou pendente
+async function getStatus(db) {
+  await ensureMigrationsTable(db);
+
+  const result = await db.query('SELECT version, applied_at FROM schema_migrations');
+  const applied = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    applied_at: applied.get(migration.version) || null
+  }));
+}
+
+async function getPendingMigrations(db) {
+  const status = await getStatus(db);
+  return status.filter(migration => !migration.applied);
+}
+
+// Executa uma migration dentro de transação e registra/remove a versão
+async function runMigration(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await client.query(migration[direction]);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Falha na migration ${migration.name} (${direction}): ${error.message}`);
+  }
+}
+
+async function withMigrationLock(db, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Aplica as migrations pendentes (todas ou as N primeiras)
+async function migrateUp(db, steps = Infinity) {
+  return withMigrationLock(db, async (client) => {
+    const pending = (await getPendingMigrations(client)).slice(0, steps);
+    const migrations = loadMigrations();
+
+    for (const { version } of pending) {
+      const migration = migrations.find(m => m.version === version);
+      console.log(`⬆️  Aplicando ${migration.name}...`);
+      await runMigration(client, migration, 'up');
+    }
+
+    return pending.map(migration => migration.name);
+  });
+}
+
+// Reverte as últimas N migrations aplicadas (padrão: 1)
+async function migrateDown(db, steps = 1) {
+  return withMigrationLock(db, async (client) => {
+    const applied = (await getStatus(client)).filter(migration => migration.applied).reverse().slice(0, steps);
+    const migrations = loadMigrations();
+
+    for (const { version } of applied) {
+      const migration = migrations.find(m => m.version === version);
+      console.log(`⬇️  Revertendo ${migration.name}...`);
+      await runMigration(client, migration, 'down');
+    }
+
+    return applied.map(migration => migration.name);
+  });
+}
+
+async function main() {
+  const [command = 'status', stepsArg] = process.argv.slice(2);
+  const steps = stepsArg ? parseInt(stepsArg) : undefined;
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL não encontrada');
+    process.exit(1);
+  }
+
+  const db = createPool();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(db, steps);
+      console.log(applied.length > 0 ? `✅ ${applied.length} migration(s) aplicada(s)` : '✅ Banco já está atualizado');
+    } else if (command === 'down') {
+      const reverted = await migrateDown(db, steps);
+      console.log(reverted.length > 0 ? `✅ ${reverted.length} migration(s) revertida(s)` : 'Nenhuma migration para reverter');
+    } else if (command === 'status') {
+      for (const migration of await getStatus(db)) {
+        const appliedAt = migration.applied ? migration.applied_at.toISOString() : 'pendente';
+        console.log(`${migration.applied ? '✅' : '⏳'} ${migration.name}  ${appliedAt}`);
+      }
+    } else {
+      console.error(`Comando desconhecido: ${command}. Use up, down ou status`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createPool,
+  loadMigrations,
+  getStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,222 @@
+// 001 - Esquema inicial (antes gerado no startup por initializeDatabase)
+// Mantém os IF NOT EXISTS para poder ser aplicada sobre bancos já existentes no Railway
+
+module.exports = {
+  up: `
+  -- Tabelas principais
+  CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    company_name VARCHAR(255) NOT NULL,
+    country VARCHAR(100),
+    business_segment VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS businesses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id),
+    company_name VARCHAR(255) NOT NULL,
+    description TEXT,
+    country VARCHAR(100) NOT NULL,
+    business_type VARCHAR(100) NOT NULL,
+    products_services TEXT,
+    contact_email VARCHAR(255),
+    contact_phone VARCHAR(50),
+    website VARCHAR(255),
+    address TEXT,
+    annual_revenue VARCHAR(100),
+    employee_count VARCHAR(50),
+    brics_countries TEXT[],
+    tags TEXT[],
+    is_verified BOOLEAN DEFAULT FALSE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS opportunities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id),
+    title VARCHAR(255) NOT NULL,
+    description TEXT NOT NULL,
+    type VARCHAR(50) NOT NULL, -- 'offer' or 'demand'
+    category VARCHAR(100) NOT NULL,
+    country VARCHAR(100) NOT NULL,
+    budget VARCHAR(100),
+    deadline DATE,
+    contact_email VARCHAR(255),
+    contact_phone VARCHAR(50),
+    tags TEXT[],
+    status VARCHAR(50) DEFAULT 'active',
+    view_count INTEGER DEFAULT 0,
+    is_verified BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS matches (
+    id SERIAL PRIMARY KEY,
+    opportunity_id INTEGER REFERENCES opportunities(id),
+    business_id INTEGER REFERENCES businesses(id),
+    match_score INTEGER,
+    status VARCHAR(50) DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Papéis de acesso (user, moderator, admin)
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+    CHECK (role IN ('user', 'moderator', 'admin'));
+
+  -- Workflow de verificação de empresas
+  ALTER TABLE businesses ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+  ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+
+  CREATE TABLE IF NOT EXISTS verification_requests (
+    id SERIAL PRIMARY KEY,
+    business_id INTEGER NOT NULL REFERENCES businesses(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id),
+    registration_number VARCHAR(100) NOT NULL,
+    tax_id VARCHAR(100) NOT NULL,
+    details TEXT,
+    document_urls TEXT[],
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'approved' or 'rejected'
+    reviewer_id INTEGER REFERENCES users(id),
+    review_reason TEXT,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_verification_requests_status ON verification_requests(status);
+  CREATE INDEX IF NOT EXISTS idx_verification_requests_business ON verification_requests(business_id);
+  CREATE INDEX IF NOT EXISTS idx_businesses_is_verified ON businesses(is_verified);
+
+  -- Confirmação de e-mail e redefinição de senha
+  -- Contas já existentes entram como verificadas; novas contas começam sem verificação
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT TRUE;
+  ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT FALSE;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+  CREATE TABLE IF NOT EXISTS user_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL, -- 'email_verification' or 'password_reset'
+    token_hash VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_user_tokens_user_type ON user_tokens(user_id, type);
+
+  -- Sessões com refresh token e revogação por troca de senha
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER REFERENCES refresh_tokens(id),
+    user_agent TEXT,
+    ip VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+
+  -- Busca textual: vetores ponderados (A = nome/título, B = tags/produtos, C = descrição)
+  -- Índices GIN de expressão evitam expor uma coluna tsvector nos SELECT * das rotas
+  CREATE OR REPLACE FUNCTION business_search_vector(
+    company_name TEXT, description TEXT, products_services TEXT, tags TEXT[]
+  ) RETURNS tsvector LANGUAGE sql IMMUTABLE AS $$
+    SELECT setweight(to_tsvector('english', coalesce(company_name, '')), 'A') ||
+           setweight(to_tsvector('english', coalesce(array_to_string(tags, ' '), '')), 'B') ||
+           setweight(to_tsvector('english', coalesce(products_services, '')), 'B') ||
+           setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  $$;
+
+  CREATE OR REPLACE FUNCTION opportunity_search_vector(
+    title TEXT, description TEXT, tags TEXT[]
+  ) RETURNS tsvector LANGUAGE sql IMMUTABLE AS $$
+    SELECT setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+           setweight(to_tsvector('english', coalesce(array_to_string(tags, ' '), '')), 'B') ||
+           setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  $$;
+
+  CREATE INDEX IF NOT EXISTS idx_businesses_search ON businesses
+    USING gin(business_search_vector(company_name, description, products_services, tags));
+  CREATE INDEX IF NOT EXISTS idx_opportunities_search ON opportunities
+    USING gin(opportunity_search_vector(title, description, tags));
+
+  -- Notificações por e-mail
+  CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    match_emails BOOLEAN NOT NULL DEFAULT TRUE,
+    deadline_reminders BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  ALTER TABLE opportunities ADD COLUMN IF NOT EXISTS deadline_reminder_sent_at TIMESTAMP;
+
+  -- Workflow de matches: resposta de cada lado da apresentação
+  ALTER TABLE matches ADD COLUMN IF NOT EXISTS opportunity_status VARCHAR(50) DEFAULT 'pending';
+  ALTER TABLE matches ADD COLUMN IF NOT EXISTS business_status VARCHAR(50) DEFAULT 'pending';
+  ALTER TABLE matches ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_opportunity_business ON matches(opportunity_id, business_id);
+  CREATE INDEX IF NOT EXISTS idx_matches_business ON matches(business_id);
+
+  -- Índices para busca rápida
+  CREATE INDEX IF NOT EXISTS idx_businesses_country ON businesses(country);
+  CREATE INDEX IF NOT EXISTS idx_businesses_business_type ON businesses(business_type);
+  CREATE INDEX IF NOT EXISTS idx_businesses_tags ON businesses USING gin(tags);
+  CREATE INDEX IF NOT EXISTS idx_opportunities_country ON opportunities(country);
+  CREATE INDEX IF NOT EXISTS idx_opportunities_category ON opportunities(category);
+  CREATE INDEX IF NOT EXISTS idx_opportunities_type ON opportunities(type);
+  CREATE INDEX IF NOT EXISTS idx_opportunities_status ON opportunities(status);
+  CREATE INDEX IF NOT EXISTS idx_opportunities_tags ON opportunities USING gin(tags);
+
+  -- Manter updated_at atualizado automaticamente
+  CREATE OR REPLACE FUNCTION set_updated_at() RETURNS TRIGGER AS $$
+  BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS trg_businesses_updated_at ON businesses;
+  CREATE TRIGGER trg_businesses_updated_at
+    BEFORE UPDATE ON businesses
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+  DROP TRIGGER IF EXISTS trg_opportunities_updated_at ON opportunities;
+  -- Incrementos de view_count não contam como edição
+  CREATE TRIGGER trg_opportunities_updated_at
+    BEFORE UPDATE ON opportunities
+    FOR EACH ROW
+    WHEN (OLD.view_count IS NOT DISTINCT FROM NEW.view_count)
+    EXECUTE FUNCTION set_updated_at();
+
+  DROP TRIGGER IF EXISTS trg_matches_updated_at ON matches;
+  CREATE TRIGGER trg_matches_updated_at
+    BEFORE UPDATE ON matches
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+  `,
+
+  down: `
+  DROP TABLE IF EXISTS refresh_tokens;
+  DROP TABLE IF EXISTS user_tokens;
+  DROP TABLE IF EXISTS notification_preferences;
+  DROP TABLE IF EXISTS verification_requests;
+  DROP TABLE IF EXISTS matches;
+  DROP TABLE IF EXISTS opportunities;
+  DROP TABLE IF EXISTS businesses;
+  DROP TABLE IF EXISTS users;
+  DROP FUNCTION IF EXISTS set_updated_at();
+  DROP FUNCTION IF EXISTS business_search_vector(TEXT, TEXT, TEXT, TEXT[]);
+  DROP FUNCTION IF EXISTS opportunity_search_vector(TEXT, TEXT, TEXT[]);
+  `
+};
@@ -0,0 +1,11 @@
+// 002 - Explicação por fator da nota de cada match (motor de matches multifatorial)
+
+module.exports = {
+  up: `
+  ALTER TABLE matches ADD COLUMN score_breakdown JSONB;
+  `,
+
+  down: `
+  ALTER TABLE matches DROP COLUMN IF EXISTS score_breakdown;
+  `
+};
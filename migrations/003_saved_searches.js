@@ -0,0 +1,46 @@
+// 003 - Buscas salvas de oportunidades com alertas imediatos ou em resumo diário
+
+module.exports = {
+  up: `
+  CREATE TABLE saved_searches (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(50),
+    category VARCHAR(100),
+    country VARCHAR(100),
+    search TEXT,
+    tags TEXT[],
+    delivery VARCHAR(20) NOT NULL DEFAULT 'digest', -- 'immediate' or 'digest'
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_digest_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE saved_search_matches (
+    id SERIAL PRIMARY KEY,
+    saved_search_id INTEGER NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+    opportunity_id INTEGER NOT NULL REFERENCES opportunities(id) ON DELETE CASCADE,
+    notified_at TIMESTAMP,
+    seen_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (saved_search_id, opportunity_id)
+  );
+
+  CREATE INDEX idx_saved_searches_user ON saved_searches(user_id);
+  CREATE INDEX idx_saved_search_matches_unseen ON saved_search_matches(saved_search_id) WHERE seen_at IS NULL;
+
+  CREATE TRIGGER trg_saved_searches_updated_at
+    BEFORE UPDATE ON saved_searches
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+  ALTER TABLE notification_preferences ADD COLUMN saved_search_alerts BOOLEAN NOT NULL DEFAULT TRUE;
+  `,
+
+  down: `
+  ALTER TABLE notification_preferences DROP COLUMN IF EXISTS saved_search_alerts;
+  DROP TABLE IF EXISTS saved_search_matches;
+  DROP TABLE IF EXISTS saved_searches;
+  `
+};
@@ -0,0 +1,56 @@
+// 004 - Consultas entre empresas: conversas ligadas a uma oportunidade ou empresa
+
+module.exports = {
+  up: `
+  CREATE TABLE inquiry_threads (
+    id SERIAL PRIMARY KEY,
+    opportunity_id INTEGER REFERENCES opportunities(id) ON DELETE CASCADE,
+    business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE,
+    requester_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    subject VARCHAR(255) NOT NULL,
+    last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    owner_replied_at TIMESTAMP,
+    requester_read_at TIMESTAMP,
+    owner_read_at TIMESTAMP,
+    requester_archived_at TIMESTAMP,
+    owner_archived_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((opportunity_id IS NULL) <> (business_id IS NULL))
+  );
+
+  CREATE TABLE inquiry_messages (
+    id SERIAL PRIMARY KEY,
+    thread_id INTEGER NOT NULL REFERENCES inquiry_threads(id) ON DELETE CASCADE,
+    sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Uma conversa por interessado e por oportunidade/empresa
+  CREATE UNIQUE INDEX idx_inquiry_threads_opportunity ON inquiry_threads(opportunity_id, requester_id) WHERE opportunity_id IS NOT NULL;
+  CREATE UNIQUE INDEX idx_inquiry_threads_business ON inquiry_threads(business_id, requester_id) WHERE business_id IS NOT NULL;
+  CREATE INDEX idx_inquiry_threads_owner ON inquiry_threads(owner_id, last_message_at DESC);
+  CREATE INDEX idx_inquiry_threads_requester ON inquiry_threads(requester_id, last_message_at DESC);
+  CREATE INDEX idx_inquiry_messages_thread ON inquiry_messages(thread_id, created_at);
+
+  CREATE TRIGGER trg_inquiry_threads_updated_at
+    BEFORE UPDATE ON inquiry_threads
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+  -- Dono pode esconder e-mail/telefone de contato até responder uma consulta
+  ALTER TABLE opportunities ADD COLUMN hide_contact BOOLEAN NOT NULL DEFAULT FALSE;
+  ALTER TABLE businesses ADD COLUMN hide_contact BOOLEAN NOT NULL DEFAULT FALSE;
+
+  ALTER TABLE notification_preferences ADD COLUMN inquiry_emails BOOLEAN NOT NULL DEFAULT TRUE;
+  `,
+
+  down: `
+  ALTER TABLE notification_preferences DROP COLUMN IF EXISTS inquiry_emails;
+  ALTER TABLE businesses DROP COLUMN IF EXISTS hide_contact;
+  ALTER TABLE opportunities DROP COLUMN IF EXISTS hide_contact;
+  DROP TABLE IF EXISTS inquiry_messages;
+  DROP TABLE IF EXISTS inquiry_threads;
+  `
+};
@@ -0,0 +1,11 @@
+// 005 - Idioma preferido da conta (NULL = seguir o Accept-Language da requisição)
+
+module.exports = {
+  up: `
+  ALTER TABLE users ADD COLUMN locale VARCHAR(10);
+  `,
+
+  down: `
+  ALTER TABLE users DROP COLUMN IF EXISTS locale;
+  `
+};
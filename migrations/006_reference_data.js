@@ -0,0 +1,79 @@
+// 006 - Países e categorias como dados de referência gerenciados pelo admin
+// O nome continua sendo o valor gravado em empresas/oportunidades; as FKs (NOT VALID) valem para
+// gravações novas sem barrar registros antigos com texto livre, e o ON UPDATE CASCADE propaga renomeações
+
+module.exports = {
+  up: `
+  CREATE TABLE countries (
+    code CHAR(2) PRIMARY KEY, -- ISO 3166-1 alfa-2
+    name VARCHAR(100) UNIQUE NOT NULL,
+    membership VARCHAR(20) NOT NULL DEFAULT 'partner', -- 'member' or 'partner'
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (membership IN ('member', 'partner')),
+    CHECK (code ~ '^[A-Z]{2}$')
+  );
+
+  CREATE TABLE categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    translations JSONB NOT NULL DEFAULT '{}', -- { "pt": "Agricultura", ... } sobrepõe os catálogos de locales/
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TRIGGER trg_countries_updated_at
+    BEFORE UPDATE ON countries
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+  CREATE TRIGGER trg_categories_updated_at
+    BEFORE UPDATE ON categories
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+  -- Lista que antes ficava fixa no server.js (BRICS_PLUS_COUNTRIES)
+  INSERT INTO countries (code, name, membership) VALUES
+    ('BR', 'Brazil', 'member'),
+    ('RU', 'Russia', 'member'),
+    ('IN', 'India', 'member'),
+    ('CN', 'China', 'member'),
+    ('ZA', 'South Africa', 'member'),
+    ('AR', 'Argentina', 'partner'),
+    ('EG', 'Egypt', 'member'),
+    ('ET', 'Ethiopia', 'member'),
+    ('IR', 'Iran', 'member'),
+    ('SA', 'Saudi Arabia', 'member'),
+    ('AE', 'United Arab Emirates', 'member'),
+    ('MX', 'Mexico', 'partner'),
+    ('NG', 'Nigeria', 'partner'),
+    ('TR', 'Turkey', 'partner'),
+    ('ID', 'Indonesia', 'member'),
+    ('BD', 'Bangladesh', 'partner'),
+    ('VN', 'Vietnam', 'partner'),
+    ('TH', 'Thailand', 'partner'),
+    ('MY', 'Malaysia', 'partner');
+
+  -- Lista que antes ficava fixa no server.js (OPPORTUNITY_CATEGORIES)
+  INSERT INTO categories (name) VALUES
+    ('Agriculture'), ('Technology'), ('Manufacturing'), ('Energy'), ('Mining'),
+    ('Infrastructure'), ('Healthcare'), ('Education'), ('Tourism'), ('Finance'),
+    ('Real Estate'), ('Transportation'), ('Retail'), ('Construction'), ('Automotive'),
+    ('Pharmaceuticals'), ('Textiles'), ('Food & Beverage'), ('Telecommunications'), ('Other');
+
+  ALTER TABLE businesses ADD CONSTRAINT fk_businesses_country
+    FOREIGN KEY (country) REFERENCES countries(name) ON UPDATE CASCADE NOT VALID;
+  ALTER TABLE opportunities ADD CONSTRAINT fk_opportunities_country
+    FOREIGN KEY (country) REFERENCES countries(name) ON UPDATE CASCADE NOT VALID;
+  ALTER TABLE opportunities ADD CONSTRAINT fk_opportunities_category
+    FOREIGN KEY (category) REFERENCES categories(name) ON UPDATE CASCADE NOT VALID;
+  `,
+
+  down: `
+  ALTER TABLE opportunities DROP CONSTRAINT IF EXISTS fk_opportunities_category;
+  ALTER TABLE opportunities DROP CONSTRAINT IF EXISTS fk_opportunities_country;
+  ALTER TABLE businesses DROP CONSTRAINT IF EXISTS fk_businesses_country;
+  DROP TABLE IF EXISTS categories;
+  DROP TABLE IF EXISTS countries;
+  `
+};
@@ -0,0 +1,73 @@
+// 007 - Orçamento e faturamento estruturados (faixa numérica + moeda ISO 4217) e tabela de câmbio
+// Os textos livres budget/annual_revenue continuam como observação; não há conversão automática deles
+
+module.exports = {
+  up: `
+  CREATE TABLE fx_rates (
+    currency CHAR(3) PRIMARY KEY, -- ISO 4217
+    rate_to_usd NUMERIC(20, 10) NOT NULL, -- valor de 1 unidade da moeda em USD
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (rate_to_usd > 0),
+    CHECK (currency ~ '^[A-Z]{3}$')
+  );
+
+  CREATE TRIGGER trg_fx_rates_updated_at
+    BEFORE UPDATE ON fx_rates
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+  -- Cotações aproximadas só para começar; o admin as mantém em PUT /api/admin/fx-rates/:currency
+  INSERT INTO fx_rates (currency, rate_to_usd) VALUES
+    ('USD', 1),
+    ('EUR', 1.08),
+    ('BRL', 0.18),
+    ('RUB', 0.011),
+    ('INR', 0.012),
+    ('CNY', 0.14),
+    ('ZAR', 0.055),
+    ('ARS', 0.001),
+    ('EGP', 0.021),
+    ('ETB', 0.0075),
+    ('IRR', 0.0000238),
+    ('SAR', 0.2667),
+    ('AED', 0.2723),
+    ('MXN', 0.054),
+    ('NGN', 0.00065),
+    ('TRY', 0.029),
+    ('IDR', 0.000062),
+    ('BDT', 0.0083),
+    ('VND', 0.00004),
+    ('THB', 0.029),
+    ('MYR', 0.22);
+
+  ALTER TABLE opportunities
+    ADD COLUMN budget_min NUMERIC(15, 2),
+    ADD COLUMN budget_max NUMERIC(15, 2),
+    ADD COLUMN budget_currency CHAR(3) REFERENCES fx_rates(currency) ON UPDATE CASCADE,
+    ADD CONSTRAINT chk_opportunities_budget_range CHECK (budget_min >= 0 AND budget_max >= budget_min),
+    ADD CONSTRAINT chk_opportunities_budget_currency CHECK (
+      (budget_min IS NULL AND budget_max IS NULL) OR budget_currency IS NOT NULL
+    );
+
+  ALTER TABLE businesses
+    ADD COLUMN annual_revenue_min NUMERIC(15, 2),
+    ADD COLUMN annual_revenue_max NUMERIC(15, 2),
+    ADD COLUMN annual_revenue_currency CHAR(3) REFERENCES fx_rates(currency) ON UPDATE CASCADE,
+    ADD CONSTRAINT chk_businesses_revenue_range CHECK (annual_revenue_min >= 0 AND annual_revenue_max >= annual_revenue_min),
+    ADD CONSTRAINT chk_businesses_revenue_currency CHECK (
+      (annual_revenue_min IS NULL AND annual_revenue_max IS NULL) OR annual_revenue_currency IS NOT NULL
+    );
+  `,
+
+  down: `
+  ALTER TABLE businesses
+    DROP COLUMN IF EXISTS annual_revenue_currency,
+    DROP COLUMN IF EXISTS annual_revenue_max,
+    DROP COLUMN IF EXISTS annual_revenue_min;
+  ALTER TABLE opportunities
+    DROP COLUMN IF EXISTS budget_currency,
+    DROP COLUMN IF EXISTS budget_max,
+    DROP COLUMN IF EXISTS budget_min;
+  DROP TABLE IF EXISTS fx_rates;
+  `
+};
@@ -0,0 +1,36 @@
+// 008 - Importação de empresas em lote (CSV/XLSX) com simulação e processamento assíncrono
+
+module.exports = {
+  up: `
+  CREATE TABLE business_imports (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    filename VARCHAR(255),
+    format VARCHAR(10) NOT NULL, -- 'csv' or 'xlsx'
+    status VARCHAR(20) NOT NULL DEFAULT 'uploaded', -- 'uploaded', 'queued', 'running', 'completed' or 'failed'
+    columns TEXT[] NOT NULL,
+    rows JSONB NOT NULL, -- [{ line, data: { coluna: texto } }]
+    mapping JSONB, -- { coluna do arquivo: campo da empresa }
+    total_rows INTEGER NOT NULL,
+    processed_rows INTEGER NOT NULL DEFAULT 0,
+    imported_count INTEGER NOT NULL DEFAULT 0,
+    duplicate_count INTEGER NOT NULL DEFAULT 0,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]', -- [{ line, field, code, message, params }]
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+  );
+
+  CREATE INDEX idx_business_imports_user ON business_imports(user_id, created_at DESC);
+  CREATE INDEX idx_business_imports_pending ON business_imports(id) WHERE status IN ('queued', 'running');
+
+  -- Detecção de duplicatas: mesma empresa (nome sem diferença de caixa/espaços) no mesmo país
+  CREATE INDEX idx_businesses_name_country ON businesses (LOWER(TRIM(company_name)), country);
+  `,
+
+  down: `
+  DROP INDEX IF EXISTS idx_businesses_name_country;
+  DROP TABLE IF EXISTS business_imports;
+  `
+};
@@ -0,0 +1,36 @@
+// 009 - Limite de requisições (store postgres) e bloqueios de login por tentativas seguidas
+
+module.exports = {
+  up: `
+  -- Contadores por janela (RATE_LIMIT_STORE=postgres); UNLOGGED: dados descartáveis, sem custo de WAL
+  CREATE UNLOGGED TABLE rate_limits (
+    key VARCHAR(255) PRIMARY KEY,
+    count INTEGER NOT NULL,
+    reset_at TIMESTAMP NOT NULL
+  );
+
+  CREATE INDEX idx_rate_limits_reset ON rate_limits(reset_at);
+
+  CREATE TABLE login_lockouts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL quando o e-mail não tem conta
+    email VARCHAR(255) NOT NULL,
+    ip VARCHAR(64),
+    user_agent TEXT,
+    failed_attempts INTEGER NOT NULL,
+    lock_minutes INTEGER NOT NULL,
+    locked_until TIMESTAMP NOT NULL,
+    released_at TIMESTAMP,
+    released_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX idx_login_lockouts_email ON login_lockouts(email, created_at DESC);
+  CREATE INDEX idx_login_lockouts_created ON login_lockouts(created_at DESC);
+  `,
+
+  down: `
+  DROP TABLE IF EXISTS login_lockouts;
+  DROP TABLE IF EXISTS rate_limits;
+  `
+};
@@ -0,0 +1,42 @@
+// 010 - Trilha de auditoria (somente inclusão) das alterações em usuários, empresas, oportunidades e matches
+
+module.exports = {
+  up: `
+  CREATE TABLE audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id INTEGER, -- sem FK: o histórico sobrevive ao usuário; NULL = rotina do sistema
+    action VARCHAR(30) NOT NULL,
+    entity_type VARCHAR(20) NOT NULL, -- 'user', 'business', 'opportunity' or 'match'
+    entity_id INTEGER NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}', -- { campo: { before, after } }
+    context JSONB, -- dados extras da ação (ex.: { import_id }, { verification_id })
+    ip VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at DESC);
+  CREATE INDEX idx_audit_log_actor ON audit_log(actor_id, created_at DESC);
+  CREATE INDEX idx_audit_log_created ON audit_log(created_at DESC);
+
+  -- Somente inclusão: alterações e exclusões são recusadas pelo banco
+  CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS TRIGGER AS $$
+  BEGIN
+    RAISE EXCEPTION 'audit_log aceita apenas inclusões (% recusado)', TG_OP;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  CREATE TRIGGER trg_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+  CREATE TRIGGER trg_audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+  `,
+
+  down: `
+  DROP TABLE IF EXISTS audit_log;
+  DROP FUNCTION IF EXISTS audit_log_append_only();
+  `
+};
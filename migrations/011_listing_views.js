@@ -0,0 +1,39 @@
+// 011 - Visualizações de oportunidades e empresas como eventos (sem duplicatas por visitante na janela)
+
+module.exports = {
+  up: `
+  CREATE TABLE listing_views (
+    id BIGSERIAL PRIMARY KEY,
+    entity_type VARCHAR(20) NOT NULL, -- 'opportunity' or 'business'
+    entity_id INTEGER NOT NULL,
+    viewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL = visitante anônimo
+    viewer_key VARCHAR(64) NOT NULL, -- user:<id> ou hash de IP + user agent
+    viewer_country VARCHAR(100),
+    viewer_segment VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX idx_listing_views_entity ON listing_views(entity_type, entity_id, created_at);
+  CREATE INDEX idx_listing_views_viewer ON listing_views(entity_type, entity_id, viewer_key, created_at DESC);
+
+  -- Empresas também contam visualizações; incrementos não contam como edição
+  ALTER TABLE businesses ADD COLUMN view_count INTEGER DEFAULT 0;
+
+  DROP TRIGGER IF EXISTS trg_businesses_updated_at ON businesses;
+  CREATE TRIGGER trg_businesses_updated_at
+    BEFORE UPDATE ON businesses
+    FOR EACH ROW
+    WHEN (OLD.view_count IS NOT DISTINCT FROM NEW.view_count)
+    EXECUTE FUNCTION set_updated_at();
+  `,
+
+  down: `
+  DROP TRIGGER IF EXISTS trg_businesses_updated_at ON businesses;
+  CREATE TRIGGER trg_businesses_updated_at
+    BEFORE UPDATE ON businesses
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+  ALTER TABLE businesses DROP COLUMN IF EXISTS view_count;
+  DROP TABLE IF EXISTS listing_views;
+  `
+};
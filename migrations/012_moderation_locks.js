@@ -0,0 +1,27 @@
+// 012 - Bloqueio de moderação: empresas e oportunidades moderadas não podem ser reativadas pelo dono
+
+module.exports = {
+  up: `
+  ALTER TABLE businesses
+    ADD COLUMN moderated_at TIMESTAMP, -- NULL = sem bloqueio
+    ADD COLUMN moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN moderation_reason TEXT;
+
+  ALTER TABLE opportunities
+    ADD COLUMN moderated_at TIMESTAMP,
+    ADD COLUMN moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN moderation_reason TEXT;
+  `,
+
+  down: `
+  ALTER TABLE opportunities
+    DROP COLUMN IF EXISTS moderation_reason,
+    DROP COLUMN IF EXISTS moderated_by,
+    DROP COLUMN IF EXISTS moderated_at;
+
+  ALTER TABLE businesses
+    DROP COLUMN IF EXISTS moderation_reason,
+    DROP COLUMN IF EXISTS moderated_by,
+    DROP COLUMN IF EXISTS moderated_at;
+  `
+};
@@ -0,0 +1,11 @@
+// 013 - Sinal de vida das importações em andamento: só as paradas há mais tempo voltam para a fila
+
+module.exports = {
+  up: `
+  ALTER TABLE business_imports ADD COLUMN heartbeat_at TIMESTAMP; -- atualizado a cada lote gravado
+  `,
+
+  down: `
+  ALTER TABLE business_imports DROP COLUMN IF EXISTS heartbeat_at;
+  `
+};
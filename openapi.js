@@ -0,0 +1,270 @@
+// ==================== DOCUMENTAÇÃO DA API (OPENAPI 3) ====================
+// Monta o documento OpenAPI a partir das rotas registradas no Express e dos esquemas de validation.js,
+// serve a página de documentação e confere as respostas reais contra o documento (contrato)
+
+const OPENAPI_VERSION = '3.0.3';
+
+// Versão da Swagger UI carregada pela página /api/docs
+const SWAGGER_UI_VERSION = '5.17.14';
+
+const STATUS_DESCRIPTIONS = {
+  400: 'Requisição inválida',
+  401: 'Token de acesso ausente',
+  403: 'Token inválido ou sem permissão',
+  404: 'Recurso não encontrado',
+  409: 'Conflito com o estado atual do recurso',
+  413: 'Arquivo maior que o limite',
+  415: 'Formato de arquivo não suportado',
+  429: 'Muitas requisições (ver Retry-After)',
+  500: 'Erro interno do servidor',
+  503: 'Banco de dados indisponível'
+};
+
+// Regra de um campo (validation.js) -> JSON Schema
+// forResponse: descreve o dado como sai do banco (campos opcionais podem ser null, datas viram timestamps
+// e listas dinâmicas, como os países ativos, não entram como enum)
+function toJsonSchema(rule, { forResponse = false } = {}) {
+  const schema = {};
+  const allowed = typeof rule.enum === 'function' ? (forResponse ? null : rule.enum()) : rule.enum;
+
+  switch (rule.type) {
+    case 'email':
+      Object.assign(schema, { type: 'string', format: 'email' });
+      break;
+    case 'url':
+      Object.assign(schema, { type: 'string', format: 'uri' });
+      break;
+    case 'date':
+      Object.assign(schema, { type: 'string', format: forResponse ? 'date-time' : 'date' });
+      break;
+    case 'array':
+      schema.type = 'array';
+      if (rule.items) schema.items = toJsonSchema(rule.items, { forResponse });
+      if (rule.maxItems && !forResponse) schema.maxItems = rule.maxItems;
+      break;
+    case 'object':
+      schema.type = 'object';
+      schema.additionalProperties = rule.values ? toJsonSchema(rule.values, { forResponse }) : true;
+      break;
+    default:
+      schema.type = rule.type;
+  }
+
+  if (allowed) schema.enum = allowed;
+
+  if (!forResponse) {
+    if (rule.minLength) schema.minLength = rule.minLength;
+    if (rule.maxLength) schema.maxLength = rule.maxLength;
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+    if (rule.default !== undefined) schema.default = rule.default;
+  } else if (!rule.required) {
+    schema.nullable = true;
+  }
+
+  return schema;
+}
+
+// Esquema completo (createSchema) -> objeto JSON Schema
+// partial: edições via PATCH, nenhum campo é obrigatório
+function objectSchema(schema, { partial = false, forResponse = false } = {}) {
+  const properties = Object.fromEntries(
+    Object.entries(schema.fields).map(([field, rule]) => [field, toJsonSchema(rule, { forResponse })])
+  );
+  const required = partial ? [] : Object.keys(schema.fields).filter(field => schema.fields[field].required);
+
+  return required.length > 0 ? { type: 'object', required, properties } : { type: 'object', properties };
+}
+
+// Esquema da query string -> parâmetros da operação
+function queryParameters(schema) {
+  return Object.entries(schema.fields).map(([name, rule]) => ({
+    name,
+    in: 'query',
+    required: Boolean(rule.required),
+    schema: rule.type === 'array'
+      ? { type: 'string', description: 'Valores separados por vírgula' }
+      : toJsonSchema(rule)
+  }));
+}
+
+// "/api/businesses/:id" -> "/api/businesses/{id}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Rotas registradas no Express: { method, path, handlers }
+function listRoutes(app) {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method,
+      path: layer.route.path,
+      handlers: layer.route.stack.map(routeLayer => routeLayer.handle)
+    })));
+}
+
+// Monta o documento; operations é a lista já descrita de cada rota:
+// { method, path, tags, summary, description, security, parameters, requestBody, responses }
+function createOpenApiDocument({ info, tags, components, operations }) {
+  const paths = {};
+
+  for (const { method, path, ...operation } of operations) {
+    const openApiPath = toOpenApiPath(path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = operation;
+  }
+
+  return { openapi: OPENAPI_VERSION, info, tags, paths, components };
+}
+
+// ---------- Conferência de respostas (contrato) ----------
+
+function resolveRef(schema, document) {
+  if (!schema || !schema.$ref) return schema;
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  return resolveRef(document.components.schemas[name], document);
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+// Confere um valor contra o JSON Schema (subconjunto usado neste documento: $ref, type, nullable,
+// enum, properties, required, items, additionalProperties); retorna a lista de problemas
+function checkSchema(schema, value, document, path = 'body') {
+  const resolved = resolveRef(schema, document);
+  if (!resolved) return [];
+
+  if (value === null) {
+    return resolved.nullable || !resolved.type ? [] : [`${path} não pode ser null`];
+  }
+
+  if (resolved.type && !matchesType(resolved.type, value)) {
+    return [`${path} deveria ser ${resolved.type}`];
+  }
+
+  if (resolved.enum && !resolved.enum.includes(value)) {
+    return [`${path} fora dos valores ${resolved.enum.join(', ')}`];
+  }
+
+  const problems = [];
+
+  if (Array.isArray(value) && resolved.items) {
+    value.forEach((item, index) => problems.push(...checkSchema(resolved.items, item, document, `${path}[${index}]`)));
+  }
+
+  if (matchesType('object', value)) {
+    for (const field of resolved.required || []) {
+      if (value[field] === undefined) problems.push(`${path}.${field} ausente`);
+    }
+
+    for (const [field, item] of Object.entries(value)) {
+      const fieldSchema = (resolved.properties || {})[field] ||
+        (typeof resolved.additionalProperties === 'object' ? resolved.additionalProperties : null);
+      if (fieldSchema && item !== undefined) {
+        problems.push(...checkSchema(fieldSchema, item, document, `${path}.${field}`));
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Caminho do documento que atende uma URL concreta ("/api/businesses/12" -> "/api/businesses/{id}");
+// caminhos fixos têm prioridade sobre os com parâmetros, como no registro das rotas
+function findOperationPath(document, urlPath) {
+  const path = urlPath.split('?')[0];
+  if (document.paths[path]) return path;
+
+  return Object.keys(document.paths).find(template => {
+    const pattern = new RegExp(`^${template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{\w+\}/g, '[^/]+')}$`);
+    return pattern.test(path);
+  }) || null;
+}
+
+// Confere uma resposta com a operação documentada; retorna a lista de problemas
+// (vazia quando o status está documentado e o corpo segue o esquema)
+function checkResponse(document, { method, path, status, body }) {
+  const operation = (document.paths[path] || {})[method.toLowerCase()];
+  const response = operation && (operation.responses[status] || operation.responses.default);
+
+  if (!operation || !response) return [`status ${status} não documentado`];
+
+  const schema = response.content && response.content['application/json']
+    ? response.content['application/json'].schema
+    : null;
+
+  // Confere o JSON como o cliente recebe (datas do banco viram texto)
+  return schema ? checkSchema(schema, JSON.parse(JSON.stringify(body)), document) : [];
+}
+
+// Middleware que confere cada resposta JSON com a operação documentada e registra as divergências
+// getDocument devolve o documento atual (montado uma vez e descartado quando os dados de referência mudam)
+function responseContractValidator(getDocument, { onViolation = console.warn } = {}) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      try {
+        if (req.route) {
+          const problems = checkResponse(getDocument(), {
+            method: req.method,
+            path: toOpenApiPath(req.route.path),
+            status: res.statusCode,
+            body
+          });
+          if (problems.length > 0) {
+            onViolation(`⚠️ Contrato: ${req.method} ${req.route.path} ${res.statusCode}: ${problems.slice(0, 10).join('; ')}`);
+          }
+        }
+      } catch (error) {
+        console.error('Erro ao conferir contrato da resposta:', error);
+      }
+
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+// Página com a Swagger UI apontando para o documento
+function docsPage(specUrl, title) {
+  return `<!DOCTYPE html>
+<html lang="pt">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${specUrl}', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  STATUS_DESCRIPTIONS,
+  toJsonSchema,
+  objectSchema,
+  queryParameters,
+  toOpenApiPath,
+  listRoutes,
+  createOpenApiDocument,
+  checkSchema,
+  findOperationPath,
+  checkResponse,
+  responseContractValidator,
+  docsPage
+};
@@ -0,0 +1,160 @@
+// ==================== LIMITE DE REQUISIÇÕES ====================
+// Contadores por janela fixa: cada chave (ex.: "login_account:ana@empresa.com") soma as requisições até
+// resetAt e recomeça do zero depois. Cada store expõe:
+// { name, increment(key, windowMs) -> { count, resetAt }, reset(key), prune() } (resetAt em ms desde a época)
+
+// Memória (padrão) - vale só para este processo; com várias instâncias use postgres ou redis
+function createMemoryStore() {
+  const counters = new Map();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count++;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    // Remove as janelas vencidas
+    async prune() {
+      const now = Date.now();
+      for (const [key, counter] of counters) {
+        if (counter.resetAt <= now) counters.delete(key);
+      }
+    }
+  };
+}
+
+// PostgreSQL - tabela rate_limits (migration 009), compartilhada entre instâncias
+// query: (sql, params) => pool.query(sql, params)
+function createPostgresStore(query) {
+  return {
+    name: 'postgres',
+
+    async increment(key, windowMs) {
+      const result = await query(
+        `INSERT INTO rate_limits (key, count, reset_at)
+         VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+         ON CONFLICT (key) DO UPDATE SET
+           count = CASE WHEN rate_limits.reset_at <= NOW() THEN 1 ELSE rate_limits.count + 1 END,
+           reset_at = CASE WHEN rate_limits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limits.reset_at END
+         RETURNING count, CEIL(EXTRACT(EPOCH FROM (reset_at - NOW())) * 1000)::int as reset_in`,
+        [key, windowMs]
+      );
+
+      const { count, reset_in } = result.rows[0];
+      return { count, resetAt: Date.now() + reset_in };
+    },
+
+    async reset(key) {
+      await query('DELETE FROM rate_limits WHERE key = $1', [key]);
+    },
+
+    async prune() {
+      await query('DELETE FROM rate_limits WHERE reset_at <= NOW()');
+    }
+  };
+}
+
+// Redis (ou compatível: Valkey, KeyDB, Dragonfly) - requer o pacote "redis" (npm install redis)
+function createRedisStore(url) {
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (error) {
+    throw new Error('Pacote "redis" não instalado; execute "npm install redis" para usar RATE_LIMIT_STORE=redis');
+  }
+
+  const client = redis.createClient({ url });
+  client.on('error', (error) => console.error('❌ Erro no Redis (limite de requisições):', error.message));
+  const connected = client.connect();
+
+  return {
+    name: 'redis',
+
+    async increment(key, windowMs) {
+      await connected;
+      // A validade é definida na mesma transação do INCR (NX: só na primeira requisição da janela),
+      // então a chave nunca fica sem expirar se o processo cair entre os comandos (Redis 7+)
+      const [count, , ttl] = await client.multi()
+        .incr(key)
+        .pExpire(key, windowMs, 'NX')
+        .pTTL(key)
+        .exec();
+
+      return { count, resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+    },
+
+    async reset(key) {
+      await connected;
+      await client.del(key);
+    },
+
+    // As chaves expiram sozinhas no Redis
+    async prune() {}
+  };
+}
+
+// Escolhe o store via RATE_LIMIT_STORE (memory, postgres ou redis)
+function createStore(env = process.env, { query } = {}) {
+  const name = env.RATE_LIMIT_STORE || 'memory';
+
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    case 'postgres':
+      return createPostgresStore(query);
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('REDIS_URL não configurada para o store redis');
+      }
+      return createRedisStore(env.REDIS_URL);
+    default:
+      throw new Error(`Store de limite de requisições desconhecido: ${name}`);
+  }
+}
+
+// Conta uma requisição na janela da chave e informa se ainda está dentro do limite
+async function consume(store, key, { max, windowSeconds }) {
+  const { count, resetAt } = await store.increment(key, windowSeconds * 1000);
+
+  return {
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetAt,
+    allowed: count <= max
+  };
+}
+
+// Segundos até o fim da janela (mínimo 1)
+const secondsUntil = (resetAt) => Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+// Cabeçalhos RateLimit-* (draft IETF "RateLimit header fields for HTTP")
+function setRateLimitHeaders(res, { limit, remaining, resetAt }, windowSeconds) {
+  res.set('RateLimit-Policy', `${limit};w=${windowSeconds}`);
+  res.set('RateLimit-Limit', String(limit));
+  res.set('RateLimit-Remaining', String(remaining));
+  res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createPostgresStore,
+  createRedisStore,
+  consume,
+  secondsUntil,
+  setRateLimitHeaders
+};
@@ -3,36 +3,216 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const { types } = require('pg');
+const { createMailer } = require('./mailer');
+const { createPool, getPendingMigrations } = require('./migrate');
+const { resolveWeights, parseWeightsParam, rankBusinesses } = require('./matching');
+const { runExpiryJob } = require('./expiry');
+const { ERROR_CODES, createSchema, validate, checkRules, summarizeErrors } = require('./validation');
+const { SUPPORTED_LOCALES, negotiateLocale, createTranslator, countryName, categoryName } = require('./i18n');
+const { detectFormat, readSpreadsheet, toCsv } = require('./spreadsheet');
+const { EXPORT_FORMATS, streamExport } = require('./exporter');
+const { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { recordView } = require('./views');
+const { createStore: createRateLimitStore, consume, secondsUntil, setRateLimitHeaders } = require('./ratelimit');
+const { STATUS_DESCRIPTIONS, objectSchema, queryParameters, listRoutes, createOpenApiDocument, responseContractValidator, docsPage } = require('./openapi');
+
+// Valores NUMERIC (orçamentos, câmbio) chegam como número em vez de texto
+types.setTypeParser(types.builtins.NUMERIC, parseFloat);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const mailer = createMailer();
+
+// Atrás de proxy/load balancer: TRUST_PROXY=1 (saltos) ou true faz req.ip usar o X-Forwarded-For,
+// necessário para os limites por IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Lista expandida de países BRICS+
-const BRICS_PLUS_COUNTRIES = [
-  'Brazil', 'Russia', 'India', 'China', 'South Africa',
-  'Argentina', 'Egypt', 'Ethiopia', 'Iran', 'Saudi Arabia',
-  'United Arab Emirates', 'Mexico', 'Nigeria', 'Turkey',
-  'Indonesia', 'Bangladesh', 'Vietnam', 'Thailand', 'Malaysia'
-];
+// Idioma da resposta: Accept-Language (a preferência da conta prevalece em rotas autenticadas)
+function setLocale(req, res, locale) {
+  req.locale = locale;
+  req.t = createTranslator(locale);
+  res.set('Content-Language', locale);
+}
 
-// Categorias de oportunidades
-const OPPORTUNITY_CATEGORIES = [
-  'Agriculture', 'Technology', 'Manufacturing', 'Energy', 'Mining',
-  'Infrastructure', 'Healthcare', 'Education', 'Tourism', 'Finance',
-  'Real Estate', 'Transportation', 'Retail', 'Construction', 'Automotive',
-  'Pharmaceuticals', 'Textiles', 'Food & Beverage', 'Telecommunications', 'Other'
-];
+app.use((req, res, next) => {
+  setLocale(req, res, negotiateLocale(req.headers['accept-language']));
+  next();
+});
+
+// Confere as respostas JSON com o documento OpenAPI e registra as divergências no log (ver /api/openapi.json)
+if (process.env.OPENAPI_VALIDATE_RESPONSES === 'true') {
+  app.use(responseContractValidator(() => getOpenApiDocument()));
+}
+
+// Países e categorias vêm das tabelas countries e categories (ver loadReferenceData)
+// e ficam em memória para as validações e rotas públicas
+let referenceData = { countries: [], categories: [], fxRates: {} };
+
+// Documento OpenAPI montado na primeira consulta; os enums de países e moedas vêm de referenceData,
+// então ele é descartado a cada recarga (ver getOpenApiDocument)
+let openApiDocument = null;
+
+const activeCountryNames = () => referenceData.countries.filter(country => country.is_active).map(country => country.name);
+const activeCategoryNames = () => referenceData.categories.filter(category => category.is_active).map(category => category.name);
+const allCategoryNames = () => referenceData.categories.map(category => category.name);
+
+const fxCurrencies = () => Object.keys(referenceData.fxRates);
+
+// Moeda de referência das cotações (fx_rates.rate_to_usd) e das faixas normalizadas
+const REFERENCE_CURRENCY = 'USD';
+
+// Maior valor aceito em orçamentos e faturamento (NUMERIC(15, 2))
+const MAX_AMOUNT = 9999999999999;
+
+// Limites da faixa de orçamento em USD (fx = fx_rates da moeda da oportunidade); faixa aberta usa o valor informado
+const BUDGET_LOWER_USD = '(COALESCE(o.budget_min, o.budget_max) * fx.rate_to_usd)';
+const BUDGET_UPPER_USD = '(COALESCE(o.budget_max, o.budget_min) * fx.rate_to_usd)';
+
+// Ordenações de GET /api/opportunities; orçamento pelo ponto médio da faixa, sem orçamento por último
+const OPPORTUNITY_SORTS = {
+  recent: 'o.created_at DESC',
+  budget_asc: `(${BUDGET_LOWER_USD} + ${BUDGET_UPPER_USD}) / 2 ASC NULLS LAST, o.created_at DESC`,
+  budget_desc: `(${BUDGET_LOWER_USD} + ${BUDGET_UPPER_USD}) / 2 DESC NULLS LAST, o.created_at DESC`
+};
+
+// Membros plenos e países parceiros do BRICS
+const COUNTRY_MEMBERSHIPS = ['member', 'partner'];
+
+// Outras instâncias do servidor recarregam os dados de referência neste intervalo
+const REFERENCE_DATA_REFRESH_MINUTES = 5;
+
+// Ciclo de vida das oportunidades: status atual -> status permitidos
+const OPPORTUNITY_STATUS_TRANSITIONS = {
+  active: ['paused', 'closed', 'awarded', 'expired'],
+  paused: ['active', 'closed', 'awarded', 'expired'],
+  closed: ['active'],
+  expired: ['active'],
+  awarded: []
+};
+
+// Respostas permitidas em um match, por lado da apresentação
+const MATCH_RESPONSES = {
+  opportunity: ['shortlisted', 'declined'],
+  business: ['accepted', 'declined']
+};
+
+// Configuração em JSON vinda do ambiente (objeto); valor malformado encerra o startup com mensagem clara
+function parseJsonEnv(name) {
+  const value = process.env[name];
+  if (!value) return null;
+
+  try {
+    const parsed = JSON.parse(value);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('esperado um objeto JSON');
+    }
+    return parsed;
+  } catch (error) {
+    console.error(`❌ Configuração inválida em ${name}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Pesos do motor de matches (MATCH_WEIGHTS='{"tags":40}' sobrescreve os padrões)
+// Os matches gravados usam sempre estes pesos; ?weights= só reordena a consulta
+const MATCH_WEIGHTS = resolveWeights(parseJsonEnv('MATCH_WEIGHTS'));
+
+// Máximo de empresas candidatas avaliadas por oportunidade
+const MATCH_CANDIDATE_LIMIT = 500;
+
+// Papéis de usuário, do menor para o maior privilégio
+const USER_ROLES = ['user', 'moderator', 'admin'];
+
+// Preferências de notificação por e-mail (todas ativas por padrão)
+const NOTIFICATION_PREFERENCES = ['match_emails', 'deadline_reminders', 'saved_search_alerts', 'inquiry_emails'];
+
+// Visitas do mesmo visitante à mesma listagem dentro desta janela contam uma vez só
+const VIEW_DEDUP_MINUTES = parseInt(process.env.VIEW_DEDUP_MINUTES) || 30;
+
+// Intervalo da rotina de expiração dentro do servidor (0 desativa; use node expiry.js via cron)
+const EXPIRY_JOB_INTERVAL_MINUTES = process.env.EXPIRY_JOB_INTERVAL_MINUTES !== undefined
+  ? parseInt(process.env.EXPIRY_JOB_INTERVAL_MINUTES) || 0
+  : 60;
+
+// Buscas salvas: limite por usuário e formas de entrega dos alertas
+const MAX_SAVED_SEARCHES = 20;
+const SAVED_SEARCH_DELIVERIES = ['immediate', 'digest'];
+
+// Tamanho máximo de uma mensagem nas consultas entre empresas
+const INQUIRY_MESSAGE_MAX_LENGTH = 5000;
+
+// Importação de empresas em lote: tamanho do arquivo, linhas por arquivo e linhas gravadas por transação
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_BATCH_SIZE = 100;
+
+// Importação em andamento sem lote gravado há mais que isso é dada como parada e volta para a fila
+const IMPORT_STALE_MINUTES = 10;
+
+// Dashboard: agrupamento das séries, período padrão e maior período aceito (em dias) e listagens no ranking
+const DASHBOARD_INTERVALS = ['day', 'week', 'month'];
+const DASHBOARD_DEFAULT_DAYS = 30;
+const DASHBOARD_MAX_DAYS = 731;
+const DASHBOARD_TOP_LISTINGS = 10;
+
+// Custo do bcrypt para senhas e tokens de uso único
+const BCRYPT_SALT_ROUNDS = 10;
+
+// Validade dos tokens enviados por e-mail (em minutos)
+const USER_TOKEN_TTL = {
+  email_verification: 48 * 60,
+  password_reset: 60
+};
+
+// Sessões: token de acesso curto + refresh token rotativo guardado no banco
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Limites de requisições por janela (RATE_LIMITS='{"login_account":{"max":5}}' sobrescreve os padrões; max 0 desativa)
+const DEFAULT_RATE_LIMITS = {
+  auth_ip: { max: 30, windowSeconds: 15 * 60 }, // cadastro, login e tokens, por IP
+  login_account: { max: 10, windowSeconds: 15 * 60 }, // tentativas de login, por e-mail
+  auth_email_account: { max: 5, windowSeconds: 60 * 60 }, // e-mails de confirmação/redefinição, por conta
+  public_ip: { max: 300, windowSeconds: 60 } // listagens e detalhes públicos, por IP
+};
+const RATE_LIMIT_OVERRIDES = parseJsonEnv('RATE_LIMITS') || {};
+const RATE_LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_RATE_LIMITS).map(([name, limit]) => [name, { ...limit, ...RATE_LIMIT_OVERRIDES[name] }])
+);
+
+// Bloqueio progressivo: LOGIN_LOCKOUT_THRESHOLD falhas seguidas na mesma conta (dentro de failureWindowMinutes)
+// bloqueiam o login por LOGIN_LOCKOUT_MINUTES, dobrando a cada novo bloqueio nas últimas 24h
+const LOGIN_LOCKOUT = {
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  failureWindowMinutes: 15,
+  baseMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 5,
+  maxMinutes: 24 * 60
+};
+
+// Busca textual: dicionário do PostgreSQL (com radicais) e formato dos trechos destacados
+// O dicionário deve ser o mesmo das funções *_search_vector criadas nas migrations
+const SEARCH_CONFIG = 'english';
+const SEARCH_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+// Link base usado nos e-mails de confirmação e redefinição de senha
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
 // Configuração do banco
 let db;
 let dbConnected = false;
 
 async function initializeDatabase() {
+  let client = null;
+
   try {
     console.log('🔗 Tentando conectar ao PostgreSQL...');
     
@@ -41,113 +221,111 @@ async function initializeDatabase() {
       return;
     }
 
-    db = new Pool({
-      connectionString: process.env.DATABASE_URL,
-      ssl: { rejectUnauthorized: false }
-    });
+    db = createPool();
 
     // Testar conexão
-    const client = await db.connect();
+    client = await db.connect();
     console.log('✅ Conectado ao PostgreSQL com sucesso!');
     
-    // Criar tabelas
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        company_name VARCHAR(255) NOT NULL,
-        country VARCHAR(100),
-        business_segment VARCHAR(100),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    // Recusar o startup com migrations pendentes (rode npm run migrate:up)
+    const pending = await getPendingMigrations(client);
+    if (pending.length > 0) {
+      console.error(`❌ Migrations pendentes: ${pending.map(migration => migration.name).join(', ')}`);
+      console.error('   Execute "npm run migrate:up" antes de iniciar o servidor');
+      client.release();
+      process.exit(1);
+    }
 
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS businesses (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id),
-        company_name VARCHAR(255) NOT NULL,
-        description TEXT,
-        country VARCHAR(100) NOT NULL,
-        business_type VARCHAR(100) NOT NULL,
-        products_services TEXT,
-        contact_email VARCHAR(255),
-        contact_phone VARCHAR(50),
-        website VARCHAR(255),
-        address TEXT,
-        annual_revenue VARCHAR(100),
-        employee_count VARCHAR(50),
-        brics_countries TEXT[],
-        tags TEXT[],
-        is_verified BOOLEAN DEFAULT FALSE,
-        is_active BOOLEAN DEFAULT TRUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    // Promover administradores iniciais definidos em ADMIN_EMAILS (separados por vírgula)
+    const adminEmails = (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+    if (adminEmails.length > 0) {
+      await withTransaction(async (transaction) => {
+        const promoted = await transaction.query(
+          `UPDATE users u SET role = 'admin'
+           FROM (SELECT id, role FROM users WHERE email = ANY($1::text[]) AND role <> 'admin') previous
+           WHERE u.id = previous.id
+           RETURNING u.id, previous.role`,
+          [adminEmails]
+        );
+        await recordAudit(transaction, promoted.rows.map(user => ({
+          action: 'role_change',
+          entityType: 'user',
+          entityId: user.id,
+          changes: { role: { before: user.role, after: 'admin' } },
+          context: { source: 'ADMIN_EMAILS' }
+        })));
+      });
+    }
 
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS opportunities (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id),
-        title VARCHAR(255) NOT NULL,
-        description TEXT NOT NULL,
-        type VARCHAR(50) NOT NULL, -- 'offer' or 'demand'
-        category VARCHAR(100) NOT NULL,
-        country VARCHAR(100) NOT NULL,
-        budget VARCHAR(100),
-        deadline DATE,
-        contact_email VARCHAR(255),
-        contact_phone VARCHAR(50),
-        tags TEXT[],
-        status VARCHAR(50) DEFAULT 'active',
-        view_count INTEGER DEFAULT 0,
-        is_verified BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    await loadReferenceData(client);
 
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS matches (
-        id SERIAL PRIMARY KEY,
-        opportunity_id INTEGER REFERENCES opportunities(id),
-        business_id INTEGER REFERENCES businesses(id),
-        match_score INTEGER,
-        status VARCHAR(50) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Índices para busca rápida
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_businesses_country ON businesses(country);
-      CREATE INDEX IF NOT EXISTS idx_businesses_business_type ON businesses(business_type);
-      CREATE INDEX IF NOT EXISTS idx_businesses_tags ON businesses USING gin(tags);
-      CREATE INDEX IF NOT EXISTS idx_opportunities_country ON opportunities(country);
-      CREATE INDEX IF NOT EXISTS idx_opportunities_category ON opportunities(category);
-      CREATE INDEX IF NOT EXISTS idx_opportunities_type ON opportunities(type);
-      CREATE INDEX IF NOT EXISTS idx_opportunities_status ON opportunities(status);
-      CREATE INDEX IF NOT EXISTS idx_opportunities_tags ON opportunities USING gin(tags);
-    `);
-    
-    console.log('✅ Todas as tabelas verificadas/criadas com sucesso!');
+    console.log('✅ Esquema do banco atualizado!');
     client.release();
+    client = null;
     dbConnected = true;
+
+    resumeBusinessImports();
     
   } catch (error) {
     console.error('❌ Erro na conexão com o banco:', error.message);
+    if (client) client.release();
     dbConnected = false;
   }
 }
 
+// Carrega países e categorias (ativos e inativos) para o cache em memória
+async function loadReferenceData(client = db) {
+  const [countries, categories, fxRates] = await Promise.all([
+    client.query('SELECT code, name, membership, is_active FROM countries ORDER BY name'),
+    client.query('SELECT id, name, translations, is_active FROM categories ORDER BY name'),
+    client.query('SELECT currency, rate_to_usd FROM fx_rates ORDER BY currency')
+  ]);
+
+  referenceData = {
+    countries: countries.rows,
+    categories: categories.rows,
+    fxRates: Object.fromEntries(fxRates.rows.map(row => [row.currency, row.rate_to_usd]))
+  };
+  openApiDocument = null;
+  console.log(`🌍 Dados de referência: ${activeCountryNames().length} países, ${activeCategoryNames().length} categorias ativas`);
+}
+
+// Converte um valor entre moedas pelas cotações em USD; null se faltar valor ou cotação
+function convertAmount(amount, from, to) {
+  const fromRate = referenceData.fxRates[from];
+  const toRate = referenceData.fxRates[to];
+  if (amount === null || amount === undefined || !fromRate || !toRate) return null;
+  return Math.round((amount * fromRate / toRate) * 100) / 100;
+}
+
+// Acrescenta a faixa de orçamento convertida para a moeda pedida
+function withNormalizedBudget(opportunity, currency) {
+  return {
+    ...opportunity,
+    budget_normalized: {
+      min: convertAmount(opportunity.budget_min, opportunity.budget_currency, currency),
+      max: convertAmount(opportunity.budget_max, opportunity.budget_currency, currency),
+      currency
+    }
+  };
+}
+
 // Inicializar banco
 initializeDatabase();
 
 // ==================== MIDDLEWARE DE AUTENTICAÇÃO ====================
 
+// Tokens emitidos antes da última troca de senha (ou de um usuário que não existe mais) não valem
+function isTokenRevoked(tokenUser, userRow) {
+  if (!userRow) return true;
+
+  const changedAt = userRow.password_changed_at;
+  return Boolean(changedAt && tokenUser.iat < Math.floor(changedAt.getTime() / 1000));
+}
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -155,970 +333,6061 @@ const authenticateToken = (req, res, next) => {
   if (!token) {
     return res.status(401).json({
       success: false,
-      message: 'Token de acesso requerido'
+      message: req.t('Token de acesso requerido')
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({
         success: false,
-        message: 'Token inválido ou expirado'
+        message: req.t('Token inválido ou expirado')
       });
     }
+
+    // Tokens emitidos antes da última troca de senha não valem mais
+    if (dbConnected) {
+      try {
+        const result = await db.query(
+          'SELECT password_changed_at, locale, role FROM users WHERE id = $1',
+          [user.userId]
+        );
+
+        if (isTokenRevoked(user, result.rows[0])) {
+          return res.status(403).json({
+            success: false,
+            message: req.t('Token inválido ou expirado')
+          });
+        }
+
+        if (result.rows[0].locale) {
+          setLocale(req, res, result.rows[0].locale);
+        }
+
+        // O papel vem do banco: rebaixar ou promover alguém vale já, sem esperar o token expirar
+        user.role = result.rows[0].role;
+      } catch (error) {
+        console.error('Erro ao validar token:', error);
+        return res.status(500).json({
+          success: false,
+          message: req.t('Erro interno do servidor')
+        });
+      }
+    }
+
     req.user = user;
     next();
   });
 };
 
-// ==================== ROTAS PÚBLICAS ====================
+// Autorização por papel - usar sempre depois de authenticateToken
+const authorizeRoles = (...roles) => {
+  const middleware = (req, res, next) => {
+    const role = req.user.role || 'user';
 
-// Rota raiz
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: '🚀 BBH Backend API - BRICS Business Hub',
-    timestamp: new Date().toISOString(),
-    database: dbConnected ? 'connected' : 'disconnected',
-    countries: BRICS_PLUS_COUNTRIES,
-    categories: OPPORTUNITY_CATEGORIES
-  });
-});
+    if (!roles.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Acesso restrito a: {roles}', { roles: roles.join(', ') })
+      });
+    }
 
-// Health Check
-app.get('/api/health', async (req, res) => {
-  res.json({
-    success: true,
-    message: '🚀 BBH Backend API Online!',
-    timestamp: new Date().toISOString(),
-    database: dbConnected ? 'connected' : 'disconnected',
-    version: '2.0.0'
-  });
-});
+    next();
+  };
 
-// Info dos países BRICS+
-app.get('/api/countries', (req, res) => {
-  res.json({
-    success: true,
-    countries: BRICS_PLUS_COUNTRIES,
-    count: BRICS_PLUS_COUNTRIES.length,
-    timestamp: new Date().toISOString()
-  });
-});
+  middleware.roles = roles;
+  return middleware;
+};
 
-// Info das categorias
-app.get('/api/categories', (req, res) => {
-  res.json({
-    success: true,
-    categories: OPPORTUNITY_CATEGORIES,
-    count: OPPORTUNITY_CATEGORIES.length,
-    timestamp: new Date().toISOString()
-  });
-});
+// Bloqueia contas que ainda não confirmaram o e-mail - usar depois de authenticateToken
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const result = await db.query(
+      'SELECT email_verified FROM users WHERE id = $1',
+      [req.user.userId]
+    );
 
-// ==================== AUTENTICAÇÃO ====================
+    if (result.rows.length === 0 || !result.rows[0].email_verified) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Confirme seu e-mail para realizar esta ação')
+      });
+    }
 
-// REGISTRO DE USUÁRIO
-app.post('/api/auth/register', async (req, res) => {
-  if (!dbConnected) {
-    return res.status(503).json({
+    next();
+  } catch (error) {
+    console.error('Erro ao verificar confirmação de e-mail:', error);
+    res.status(500).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Erro interno do servidor')
     });
   }
+};
 
-  try {
-    const { name, email, password, company_name, country, business_segment } = req.body;
+// Identifica o usuário quando há token válido, sem exigir login (rotas públicas)
+// Token revogado pela troca de senha (ou de usuário apagado) vale como visitante anônimo
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
 
-    // Validações
-    if (!name || !email || !password || !company_name) {
-      return res.status(400).json({
-        success: false,
-        message: 'Nome, email, senha e nome da empresa são obrigatórios'
-      });
+  if (!token) return next();
+
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    if (err) return next();
+
+    if (dbConnected) {
+      try {
+        const result = await db.query(
+          'SELECT password_changed_at, role FROM users WHERE id = $1',
+          [user.userId]
+        );
+
+        if (isTokenRevoked(user, result.rows[0])) {
+          return next();
+        }
+
+        user.role = result.rows[0].role;
+      } catch (error) {
+        console.error('Erro ao validar token:', error);
+        return next();
+      }
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        message: 'Senha deve ter pelo menos 6 caracteres'
-      });
+    req.user = user;
+    next();
+  });
+};
+
+// ==================== LIMITE DE REQUISIÇÕES ====================
+// Store escolhido por RATE_LIMIT_STORE (ver ratelimit.js); o postgres usa a tabela rate_limits
+
+const rateLimitStore = createRateLimitStore(process.env, { query: (sql, params) => db.query(sql, params) });
+
+// Resposta 429 com Retry-After (em segundos)
+function sendTooManyRequests(req, res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    retry_after: retryAfter
+  });
+}
+
+// Limita as requisições de cada chave (IP por padrão) conforme RATE_LIMITS[name]
+// keyFor pode devolver null para não contar a requisição; falhas do store não bloqueiam o acesso
+const rateLimit = (name, keyFor = (req) => req.ip) => {
+  const middleware = async (req, res, next) => {
+    const { max, windowSeconds } = RATE_LIMITS[name];
+    const key = keyFor(req);
+
+    if (!max || !key) return next();
+
+    let status;
+    try {
+      status = await consume(rateLimitStore, `${name}:${key}`, { max, windowSeconds });
+    } catch (error) {
+      console.error(`Erro no limite de requisições (${rateLimitStore.name}):`, error.message);
+      return next();
     }
 
-    // Verificar se usuário já existe
-    const userExists = await db.query(
-      'SELECT id FROM users WHERE email = $1',
-      [email.toLowerCase()]
-    );
+    setRateLimitHeaders(res, status, windowSeconds);
 
-    if (userExists.rows.length > 0) {
-      return res.status(409).json({
-        success: false,
-        message: 'Usuário já cadastrado com este email'
-      });
+    if (!status.allowed) {
+      const retryAfter = secondsUntil(status.resetAt);
+      return sendTooManyRequests(req, res, retryAfter, req.t('Muitas requisições. Tente novamente em {seconds} segundos', { seconds: retryAfter }));
     }
 
-    // Criptografar senha
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    next();
+  };
 
-    // Inserir usuário
-    const result = await db.query(
-      `INSERT INTO users (name, email, password, company_name, country, business_segment) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING id, name, email, company_name, country, business_segment, created_at`,
-      [name, email.toLowerCase(), hashedPassword, company_name, country, business_segment]
-    );
+  // Lido pela documentação OpenAPI (resposta 429)
+  middleware.rateLimit = name;
+  return middleware;
+};
 
-    const user = result.rows[0];
+// E-mail do corpo como chave dos limites por conta (depois de validateRequest)
+const emailKey = (req) => req.body.email ? req.body.email.toLowerCase() : null;
+
+// Bloqueio de login vigente para o e-mail (não liberado por um admin)
+async function findActiveLoginLockout(email) {
+  const result = await db.query(
+    `SELECT id, locked_until, CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int as retry_after
+     FROM login_lockouts
+     WHERE email = $1 AND released_at IS NULL AND locked_until > NOW()
+     ORDER BY locked_until DESC
+     LIMIT 1`,
+    [email]
+  );
+
+  return result.rows[0] || null;
+}
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+// Conta a falha de login; ao atingir o limite registra o bloqueio, com duração dobrada a cada
+// bloqueio não liberado nas últimas 24h. Retorna o bloqueio criado ou null
+async function registerLoginFailure(req, email, userId) {
+  const failuresKey = `login_failures:${email}`;
 
-    res.status(201).json({
-      success: true,
-      message: 'Usuário registrado com sucesso! 🎉',
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        company_name: user.company_name,
-        country: user.country,
-        business_segment: user.business_segment,
-        created_at: user.created_at
-      },
-      token: token
+  let failures;
+  try {
+    ({ count: failures } = await rateLimitStore.increment(failuresKey, LOGIN_LOCKOUT.failureWindowMinutes * 60 * 1000));
+  } catch (error) {
+    console.error(`Erro ao contar falhas de login (${rateLimitStore.name}):`, error.message);
+    return null;
+  }
+
+  if (failures < LOGIN_LOCKOUT.threshold) return null;
+
+  const previous = await db.query(
+    `SELECT COUNT(*)::int as count FROM login_lockouts
+     WHERE email = $1 AND released_at IS NULL AND created_at > NOW() - INTERVAL '24 hours'`,
+    [email]
+  );
+  const lockMinutes = Math.min(LOGIN_LOCKOUT.baseMinutes * 2 ** previous.rows[0].count, LOGIN_LOCKOUT.maxMinutes);
+
+  const result = await db.query(
+    `INSERT INTO login_lockouts (user_id, email, ip, user_agent, failed_attempts, lock_minutes, locked_until)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $6))
+     RETURNING id, locked_until, $6::int * 60 as retry_after`,
+    [userId, email, req.ip, req.headers['user-agent'], failures, lockMinutes]
+  );
+
+  await rateLimitStore.reset(failuresKey).catch(() => {});
+  console.warn(`🔒 Login bloqueado por ${lockMinutes} min após ${failures} falhas: ${email} (IP ${req.ip})`);
+
+  return result.rows[0];
+}
+
+// Login certo zera a sequência de falhas
+async function clearLoginFailures(email) {
+  await rateLimitStore.reset(`login_failures:${email}`).catch(error => {
+    console.error(`Erro ao zerar falhas de login (${rateLimitStore.name}):`, error.message);
+  });
+}
+
+function sendLoginLocked(req, res, lockout) {
+  return sendTooManyRequests(req, res, lockout.retry_after, req.t(
+    'Muitas tentativas de login sem sucesso. Tente novamente em {minutes} minutos',
+    { minutes: Math.ceil(lockout.retry_after / 60) }
+  ));
+}
+
+// ==================== AUDITORIA ====================
+// Alterações registradas em audit_log (ver audit.js); o autor, IP e navegador vêm da requisição
+
+// queryable: db ou o client da transação da alteração (a entrada é gravada junto com ela)
+// entries: uma entrada ou uma lista (ver recordAudit)
+function auditChange(req, queryable, entries) {
+  const origin = {
+    actorId: req.user ? req.user.userId : null,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  };
+
+  return recordAudit(queryable, [].concat(entries).map(entry => ({ ...origin, ...entry })));
+}
+
+// Executa fn(client) numa transação: a alteração e a entrada de auditoria são gravadas juntas ou nenhuma
+async function withTransaction(fn) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ==================== VISUALIZAÇÕES ====================
+// Visitas às páginas de oportunidades e empresas registradas em listing_views (ver views.js)
+
+// listing: a linha da oportunidade ou empresa visitada; uma falha aqui não derruba a página
+async function recordListingView(req, entityType, listing) {
+  try {
+    await recordView(db, {
+      entityType,
+      entityId: listing.id,
+      ownerId: listing.user_id,
+      viewerId: req.user ? req.user.userId : null,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      windowMinutes: VIEW_DEDUP_MINUTES
+    });
+  } catch (error) {
+    console.error('Erro ao registrar visualização:', error);
+  }
+}
+
+// ==================== VALIDAÇÕES ====================
+// Esquemas declarativos (ver validation.js) aplicados pelo middleware validateRequest
+
+// Resposta 400 padrão: mensagem legível + um erro por campo com código estável
+// As mensagens dos erros são modelos ({field}, {max}...) traduzidos para o idioma da requisição
+function sendValidationError(req, res, errors) {
+  const translated = errors.map(error => ({
+    ...error,
+    message: req.t(error.message, { field: error.field, ...error.params })
+  }));
+
+  return res.status(400).json({
+    success: false,
+    message: summarizeErrors(translated),
+    code: 'validation_error',
+    errors: translated
+  });
+}
+
+// Valida req.body (ou req.query) e substitui os campos pelos valores convertidos
+// partial: apenas os campos enviados são conferidos (edições via PATCH)
+const validateRequest = (schema, { source = 'body', partial = false } = {}) => {
+  const middleware = (req, res, next) => {
+    const { errors, value } = validate(schema, req[source] || {}, { partial, coerce: source === 'query' });
+
+    if (errors.length > 0) {
+      return sendValidationError(req, res, errors);
+    }
+
+    req[source] = { ...req[source], ...value };
+    next();
+  };
+
+  // Lido pela documentação OpenAPI (parâmetros e corpo de cada rota)
+  middleware.validation = { schema, source, partial };
+  return middleware;
+};
+
+// Campos reaproveitados entre os esquemas
+const passwordField = { type: 'string', required: true, minLength: 6, maxLength: 128 };
+const tagsField = { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 20 };
+const bricsCountryField = { type: 'string', enum: activeCountryNames };
+const categoryField = { type: 'string', enum: activeCategoryNames };
+const amountField = { type: 'number', min: 0, max: MAX_AMOUNT };
+const currencyField = { type: 'string', enum: fxCurrencies };
+
+// Faixa de valores (orçamento, faturamento): mínimo <= máximo e moeda obrigatória se houver valor
+const amountRangeRules = (prefix) => [
+  (data) => {
+    const min = data[`${prefix}_min`];
+    const max = data[`${prefix}_max`];
+    return min !== null && min !== undefined && max !== null && max !== undefined && min > max
+      ? { field: `${prefix}_max`, code: ERROR_CODES.OUT_OF_RANGE, message: '{field} não pode ser menor que {other}', params: { other: `${prefix}_min` } }
+      : null;
+  },
+  (data) => {
+    const hasAmount = [data[`${prefix}_min`], data[`${prefix}_max`]].some(value => value !== null && value !== undefined);
+    return hasAmount && !data[`${prefix}_currency`]
+      ? { field: `${prefix}_currency`, code: ERROR_CODES.REQUIRED, message: '{field} é obrigatório quando há valor' }
+      : null;
+  }
+];
+const pageFields = (defaultLimit) => ({
+  page: { type: 'integer', min: 1, max: 10000, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: defaultLimit }
+});
+
+const registerSchema = createSchema({
+  name: { type: 'string', required: true, maxLength: 255 },
+  email: { type: 'email', required: true, maxLength: 255 },
+  password: passwordField,
+  company_name: { type: 'string', required: true, maxLength: 255 },
+  country: { type: 'string', maxLength: 100 },
+  business_segment: { type: 'string', maxLength: 100 },
+  locale: { type: 'string', enum: SUPPORTED_LOCALES }
+});
+
+const profileSchema = createSchema({
+  locale: { type: 'string', enum: SUPPORTED_LOCALES }
+});
+
+const loginSchema = createSchema({
+  email: { type: 'string', required: true },
+  password: { type: 'string', required: true }
+});
+
+const refreshTokenSchema = createSchema({
+  refresh_token: { type: 'string', required: true },
+  all_sessions: { type: 'boolean', default: false }
+});
+
+const emailSchema = createSchema({
+  email: { type: 'email', required: true }
+});
+
+const tokenSchema = createSchema({
+  token: { type: 'string', required: true }
+});
+
+const resetPasswordSchema = createSchema({
+  token: { type: 'string', required: true },
+  password: passwordField
+});
+
+const businessSchema = createSchema(
+  {
+    company_name: { type: 'string', required: true, maxLength: 255 },
+    description: { type: 'string', maxLength: 5000 },
+    country: { ...bricsCountryField, required: true },
+    business_type: { type: 'string', required: true, maxLength: 100 },
+    products_services: { type: 'string', maxLength: 5000 },
+    contact_email: { type: 'email', maxLength: 255 },
+    contact_phone: { type: 'string', maxLength: 50 },
+    website: { type: 'url', maxLength: 255 },
+    address: { type: 'string', maxLength: 1000 },
+    annual_revenue: { type: 'string', maxLength: 100 },
+    annual_revenue_min: amountField,
+    annual_revenue_max: amountField,
+    annual_revenue_currency: currencyField,
+    employee_count: { type: 'string', maxLength: 50 },
+    brics_countries: { type: 'array', items: bricsCountryField, maxItems: 50 },
+    tags: tagsField,
+    hide_contact: { type: 'boolean', default: false }
+  },
+  ...amountRangeRules('annual_revenue')
+);
+
+// Campos de empresa que o dono pode editar
+const BUSINESS_EDITABLE_FIELDS = Object.keys(businessSchema.fields);
+
+// Dados conferidos na verificação: alterá-los remove o selo até uma nova solicitação ser aprovada
+const BUSINESS_IDENTITY_FIELDS = ['company_name', 'country', 'address', 'website'];
+
+const businessListQuerySchema = createSchema({
+  country: { type: 'string', maxLength: 100 },
+  business_type: { type: 'string', maxLength: 100 },
+  search: { type: 'string', maxLength: 200 },
+  verified: { type: 'boolean' },
+  ...pageFields(10)
+});
+
+const verificationRequestSchema = createSchema({
+  registration_number: { type: 'string', required: true, maxLength: 100 },
+  tax_id: { type: 'string', required: true, maxLength: 100 },
+  details: { type: 'string', maxLength: 5000 },
+  document_urls: { type: 'array', items: { type: 'url', maxLength: 500 }, maxItems: 10 }
+});
+
+const opportunitySchema = createSchema(
+  {
+    title: { type: 'string', required: true, maxLength: 255 },
+    description: { type: 'string', required: true, maxLength: 10000 },
+    type: { type: 'string', required: true, enum: ['offer', 'demand'] },
+    category: { ...categoryField, required: true },
+    country: { ...bricsCountryField, required: true },
+    budget: { type: 'string', maxLength: 100 },
+    budget_min: amountField,
+    budget_max: amountField,
+    budget_currency: currencyField,
+    deadline: { type: 'date' },
+    contact_email: { type: 'email', maxLength: 255 },
+    contact_phone: { type: 'string', maxLength: 50 },
+    tags: tagsField,
+    hide_contact: { type: 'boolean', default: false }
+  },
+  ...amountRangeRules('budget')
+);
+
+// Campos de oportunidade que o dono pode editar
+const OPPORTUNITY_EDITABLE_FIELDS = Object.keys(opportunitySchema.fields);
+
+const deadlineRangeFields = {
+  deadline_before: { type: 'date' },
+  deadline_after: { type: 'date' }
+};
+
+const opportunityListQuerySchema = createSchema({
+  type: { type: 'string', enum: ['offer', 'demand'] },
+  category: { type: 'string', enum: allCategoryNames },
+  country: { type: 'string', maxLength: 100 },
+  search: { type: 'string', maxLength: 200 },
+  verified: { type: 'boolean' },
+  budget_min: amountField,
+  budget_max: amountField,
+  currency: { ...currencyField, default: REFERENCE_CURRENCY },
+  sort: { type: 'string', enum: Object.keys(OPPORTUNITY_SORTS) },
+  ...deadlineRangeFields,
+  ...pageFields(10)
+});
+
+const myOpportunitiesQuerySchema = createSchema({
+  status: { type: 'string', enum: Object.keys(OPPORTUNITY_STATUS_TRANSITIONS) },
+  ...deadlineRangeFields
+});
+
+// Exportações: filtros da listagem correspondente, sem paginação, e o formato do arquivo
+const exportFormatSchema = createSchema({
+  format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }
+});
+
+const exportQuerySchema = (listSchema) => createSchema(
+  {
+    ...Object.fromEntries(Object.entries(listSchema.fields).filter(([field]) => !['page', 'limit'].includes(field))),
+    ...exportFormatSchema.fields
+  },
+  ...listSchema.rules
+);
+
+const businessExportQuerySchema = exportQuerySchema(businessListQuerySchema);
+const opportunityExportQuerySchema = exportQuerySchema(opportunityListQuerySchema);
+const myOpportunitiesExportQuerySchema = exportQuerySchema(myOpportunitiesQuerySchema);
+
+const opportunityStatusSchema = createSchema({
+  status: { type: 'string', required: true, enum: Object.keys(OPPORTUNITY_STATUS_TRANSITIONS) }
+});
+
+const deadlineSchema = createSchema({
+  deadline: { type: 'date', required: true }
+});
+
+const matchesQuerySchema = createSchema({
+  weights: { type: 'string', maxLength: 200 },
+  min_score: { type: 'integer', min: 0, max: 100 },
+  limit: { type: 'integer', min: 1, max: 100, default: 20 }
+});
+
+const myMatchesQuerySchema = createSchema({
+  role: { type: 'string', enum: Object.keys(MATCH_RESPONSES) },
+  status: { type: 'string', enum: ['pending', 'shortlisted', 'accepted', 'connected', 'declined'] }
+});
+
+const matchResponseSchema = createSchema({
+  status: { type: 'string', required: true, enum: [...new Set(Object.values(MATCH_RESPONSES).flat())] }
+});
+
+const adminRoleSchema = createSchema({
+  role: { type: 'string', required: true, enum: USER_ROLES }
+});
+
+const adminVerifySchema = createSchema({
+  is_verified: { type: 'boolean', default: true }
+});
+
+// Desativar (ou status diferente de active) bloqueia a listagem para o dono; reason é opcional
+const adminModerateSchema = createSchema({
+  is_active: { type: 'boolean', required: true },
+  reason: { type: 'string', maxLength: 500 }
+});
+
+const adminOpportunityModerateSchema = createSchema({
+  ...opportunityStatusSchema.fields,
+  reason: { type: 'string', maxLength: 500 }
+});
+
+const adminVerificationsQuerySchema = createSchema({
+  status: { type: 'string', enum: ['pending', 'approved', 'rejected'], default: 'pending' }
+});
+
+// Histórico de um registro (dono) e consulta geral da auditoria (admin); from/to filtram pela data
+const historyQuerySchema = createSchema({
+  ...pageFields(20)
+});
+
+const adminAuditQuerySchema = createSchema({
+  entity_type: { type: 'string', enum: AUDIT_ENTITY_TYPES },
+  entity_id: { type: 'integer', min: 1 },
+  actor_id: { type: 'integer', min: 1 },
+  action: { type: 'string', enum: AUDIT_ACTIONS },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  ...pageFields(50)
+});
+
+// active: bloqueio em vigor | expired: venceu sozinho | released: liberado por um admin
+const adminLockoutsQuerySchema = createSchema({
+  status: { type: 'string', enum: ['active', 'expired', 'released', 'all'], default: 'active' },
+  email: { type: 'string', maxLength: 255 },
+  ...pageFields(20)
+});
+
+const verificationReviewSchema = createSchema(
+  {
+    decision: { type: 'string', required: true, enum: ['approved', 'rejected'] },
+    reason: { type: 'string', maxLength: 1000 }
+  },
+  (data) => data.decision === 'rejected' && !data.reason
+    ? { field: 'reason', code: ERROR_CODES.REQUIRED, message: 'Informe o motivo da rejeição' }
+    : null
+);
+
+// Usado só em edições parciais: cada preferência enviada precisa ser true ou false
+const notificationPreferencesSchema = createSchema(
+  Object.fromEntries(NOTIFICATION_PREFERENCES.map(pref => [pref, { type: 'boolean', required: true }]))
+);
+
+// IDs nas rotas são inteiros positivos (evita erro do PostgreSQL com "/api/businesses/abc")
+app.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return sendValidationError(req, res, [
+      { field: 'id', code: ERROR_CODES.INVALID_TYPE, message: '{field} deve ser um número inteiro' }
+    ]);
+  }
+  next();
+});
+
+// Remove e-mail/telefone de contato quando o dono escolheu escondê-los;
+// o dono sempre vê, e o interessado passa a ver depois que o dono responde sua consulta
+function applyContactVisibility(row, viewerId) {
+  const { contact_unlocked, ...item } = row;
+
+  if (!item.hide_contact || item.user_id === viewerId || contact_unlocked) {
+    return item;
+  }
+
+  return { ...item, contact_email: null, contact_phone: null, contact_hidden: true };
+}
+
+// Colunas dos CSVs exportados; os campos editáveis vêm na ordem do cadastro, então o arquivo pode ser reimportado
+const BUSINESS_EXPORT_COLUMNS = ['id', ...BUSINESS_EDITABLE_FIELDS, 'is_verified', 'is_active', 'view_count', 'created_at', 'updated_at'];
+const OPPORTUNITY_EXPORT_COLUMNS = ['id', ...OPPORTUNITY_EDITABLE_FIELDS, 'status', 'is_verified', 'view_count', 'created_at', 'updated_at'];
+
+// Handler compartilhado das exportações: buildExport(req) -> { name, sql, params, columns, transform }
+const sendExport = (buildExport) => async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { name, ...exportOptions } = buildExport(req);
+
+    await streamExport(db, res, {
+      ...exportOptions,
+      format: req.query.format,
+      filename: `bbh-${name}-${new Date().toISOString().slice(0, 10)}`
+    });
+
+  } catch (error) {
+    console.error('Erro ao exportar dados:', error);
+
+    // Com o download já iniciado não dá para responder com JSON: o arquivo é interrompido
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+};
+
+// ==================== ROTAS PÚBLICAS ====================
+
+// Rota raiz
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: req.t('🚀 BBH Backend API - BRICS Business Hub'),
+    timestamp: new Date().toISOString(),
+    database: dbConnected ? 'connected' : 'disconnected',
+    countries: activeCountryNames(),
+    categories: activeCategoryNames()
+  });
+});
+
+// Health Check
+app.get('/api/health', async (req, res) => {
+  res.json({
+    success: true,
+    message: req.t('🚀 BBH Backend API Online!'),
+    timestamp: new Date().toISOString(),
+    database: dbConnected ? 'connected' : 'disconnected',
+    version: '2.0.0'
+  });
+});
+
+// Info dos países BRICS+ ativos (value é o que a API aceita; name vem no idioma da requisição)
+app.get('/api/countries', (req, res) => {
+  const countries = referenceData.countries.filter(country => country.is_active);
+
+  res.json({
+    success: true,
+    countries: countries.map(country => country.name),
+    localized: countries.map(country => ({
+      value: country.name,
+      code: country.code,
+      membership: country.membership,
+      name: countryName(req.locale, country.code, country.name)
+    })),
+    locale: req.locale,
+    count: countries.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Info das categorias ativas
+app.get('/api/categories', (req, res) => {
+  const categories = referenceData.categories.filter(category => category.is_active);
+
+  res.json({
+    success: true,
+    categories: categories.map(category => category.name),
+    localized: categories.map(category => ({
+      value: category.name,
+      name: categoryName(req.locale, category)
+    })),
+    locale: req.locale,
+    count: categories.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// ==================== AUTENTICAÇÃO ====================
+
+// Token de acesso JWT de curta duração
+function signAccessToken(user) {
+  return jwt.sign(
+    { 
+      userId: user.id, 
+      email: user.email,
+      role: user.role
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Emite o par token de acesso + refresh token "<id>.<segredo>" (só o hash bcrypt é salvo)
+async function issueTokens(user, req, queryable = db) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const tokenHash = await bcrypt.hash(secret, BCRYPT_SALT_ROUNDS);
+
+  const result = await queryable.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, expires_at, user_agent, ip)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(days => $3), $4, $5)
+     RETURNING id`,
+    [user.id, tokenHash, REFRESH_TOKEN_TTL_DAYS, req.headers['user-agent'], req.ip]
+  );
+
+  return {
+    token: signAccessToken(user),
+    refresh_token: `${result.rows[0].id}.${secret}`,
+    expires_in: ACCESS_TOKEN_TTL
+  };
+}
+
+// Localiza o refresh token válido pelo id e confere o segredo
+async function findRefreshToken(refreshToken) {
+  const [id, secret] = String(refreshToken || '').split('.');
+  if (!/^\d+$/.test(id) || !secret) return null;
+
+  const result = await db.query(
+    'SELECT * FROM refresh_tokens WHERE id = $1',
+    [id]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const validSecret = await bcrypt.compare(secret, result.rows[0].token_hash);
+  return validSecret ? result.rows[0] : null;
+}
+
+async function revokeAllRefreshTokens(userId) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+// Gera um token de uso único "<id>.<segredo>" - apenas o hash bcrypt do segredo é salvo
+// queryable: db ou o client da transação que criou o usuário
+async function createUserToken(userId, type, queryable = db) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const tokenHash = await bcrypt.hash(secret, BCRYPT_SALT_ROUNDS);
+
+  // Um novo token invalida os anteriores do mesmo tipo
+  await queryable.query(
+    'DELETE FROM user_tokens WHERE user_id = $1 AND type = $2 AND used_at IS NULL',
+    [userId, type]
+  );
+
+  const result = await queryable.query(
+    `INSERT INTO user_tokens (user_id, type, token_hash, expires_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+     RETURNING id`,
+    [userId, type, tokenHash, USER_TOKEN_TTL[type]]
+  );
+
+  return `${result.rows[0].id}.${secret}`;
+}
+
+// Valida e consome o token; retorna o user_id ou null se inválido, expirado ou já usado
+async function consumeUserToken(token, type) {
+  const [id, secret] = String(token || '').split('.');
+  if (!/^\d+$/.test(id) || !secret) return null;
+
+  const result = await db.query(
+    `SELECT id, user_id, token_hash FROM user_tokens
+     WHERE id = $1 AND type = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [id, type]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const validSecret = await bcrypt.compare(secret, result.rows[0].token_hash);
+  if (!validSecret) return null;
+
+  // Marcação condicional garante o uso único mesmo com requisições simultâneas
+  const used = await db.query(
+    'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL RETURNING user_id',
+    [id]
+  );
+
+  return used.rows.length > 0 ? used.rows[0].user_id : null;
+}
+
+// REGISTRO DE USUÁRIO
+app.post('/api/auth/register', rateLimit('auth_ip'), validateRequest(registerSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { name, email, password, company_name, country, business_segment, locale } = req.body;
+
+    // Verificar se usuário já existe
+    const userExists = await db.query(
+      'SELECT id FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    if (userExists.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Usuário já cadastrado com este email')
+      });
+    }
+
+    // Criptografar senha
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+
+    // Usuário, auditoria, token de confirmação e refresh token: tudo ou nada
+    const { user, verificationToken, tokens } = await withTransaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO users (name, email, password, company_name, country, business_segment, locale) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7) 
+         RETURNING id, name, email, company_name, country, business_segment, locale, role, email_verified, created_at`,
+        [name, email.toLowerCase(), hashedPassword, company_name, country, business_segment, locale || null]
+      );
+      const created = inserted.rows[0];
+      await auditChange(req, client, { actorId: created.id, action: 'create', entityType: 'user', entityId: created.id, after: created });
+
+      return {
+        user: created,
+        verificationToken: await createUserToken(created.id, 'email_verification', client),
+        tokens: await issueTokens(created, req, client)
+      };
+    });
+
+    if (user.locale) setLocale(req, res, user.locale);
+
+    // E-mail de boas-vindas com o link de confirmação, só depois do COMMIT (não bloqueia a resposta)
+    sendWelcomeEmail(user, verificationToken);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Usuário registrado com sucesso! 🎉'),
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        company_name: user.company_name,
+        country: user.country,
+        business_segment: user.business_segment,
+        locale: user.locale,
+        role: user.role,
+        email_verified: user.email_verified,
+        created_at: user.created_at
+      },
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Erro no registro:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// LOGIN DE USUÁRIO
+app.post('/api/auth/login', rateLimit('auth_ip'), validateRequest(loginSchema), rateLimit('login_account', emailKey), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { password } = req.body;
+    const email = req.body.email.toLowerCase();
+
+    // Conta bloqueada por falhas seguidas: recusar sem conferir a senha
+    const activeLockout = await findActiveLoginLockout(email);
+    if (activeLockout) {
+      return sendLoginLocked(req, res, activeLockout);
+    }
+
+    // Buscar usuário
+    const result = await db.query(
+      `SELECT id, name, email, password, company_name, country, business_segment, locale, role, email_verified, created_at 
+       FROM users WHERE email = $1`,
+      [email]
+    );
+
+    const user = result.rows[0];
+
+    // Verificar senha (e-mails sem conta também contam falhas, sem revelar quais existem)
+    const validPassword = user ? await bcrypt.compare(password, user.password) : false;
+    if (!validPassword) {
+      const lockout = await registerLoginFailure(req, email, user ? user.id : null);
+      if (lockout) {
+        return sendLoginLocked(req, res, lockout);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: req.t('Credenciais inválidas')
+      });
+    }
+
+    await clearLoginFailures(email);
+
+
+    // Gerar token de acesso e refresh token
+    const tokens = await issueTokens(user, req);
+
+    if (user.locale) setLocale(req, res, user.locale);
+
+    res.json({
+      success: true,
+      message: req.t('Login realizado com sucesso! 👋'),
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        company_name: user.company_name,
+        country: user.country,
+        business_segment: user.business_segment,
+        locale: user.locale,
+        role: user.role,
+        email_verified: user.email_verified,
+        created_at: user.created_at
+      },
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Erro no login:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// RENOVAR TOKEN DE ACESSO (rotação do refresh token)
+app.post('/api/auth/refresh', rateLimit('auth_ip'), validateRequest(refreshTokenSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const stored = await findRefreshToken(req.body.refresh_token);
+
+    if (!stored || stored.expires_at <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: req.t('Refresh token inválido ou expirado')
+      });
+    }
+
+    // Reuso de um token já rotacionado indica vazamento: encerra todas as sessões
+    if (stored.revoked_at) {
+      if (stored.replaced_by) {
+        await revokeAllRefreshTokens(stored.user_id);
+      }
+      return res.status(401).json({
+        success: false,
+        message: req.t('Refresh token revogado. Faça login novamente.')
+      });
+    }
+
+    const userResult = await db.query(
+      'SELECT id, email, role FROM users WHERE id = $1',
+      [stored.user_id]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: req.t('Refresh token inválido ou expirado')
+      });
+    }
+
+    // Revogação condicional evita que duas renovações simultâneas usem o mesmo token
+    const revoked = await db.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+      [stored.id]
+    );
+
+    if (revoked.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: req.t('Refresh token revogado. Faça login novamente.')
+      });
+    }
+
+    const tokens = await issueTokens(userResult.rows[0], req);
+
+    await db.query(
+      'UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2',
+      [tokens.refresh_token.split('.')[0], stored.id]
+    );
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Erro ao renovar token:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// LOGOUT - encerra a sessão do refresh token (ou todas com all_sessions: true)
+app.post('/api/auth/logout', validateRequest(refreshTokenSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { refresh_token, all_sessions } = req.body;
+
+    const stored = await findRefreshToken(refresh_token);
+
+    if (!stored) {
+      return res.status(401).json({
+        success: false,
+        message: req.t('Refresh token inválido')
+      });
+    }
+
+    if (all_sessions === true) {
+      await revokeAllRefreshTokens(stored.user_id);
+    } else {
+      await db.query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+        [stored.id]
+      );
+    }
+
+    res.json({
+      success: true,
+      message: all_sessions === true ? req.t('Todas as sessões foram encerradas') : req.t('Logout realizado com sucesso')
+    });
+
+  } catch (error) {
+    console.error('Erro no logout:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// PERFIL DO USUÁRIO (PROTEGIDO)
+app.get('/api/auth/profile', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT id, name, email, company_name, country, business_segment, locale, role, email_verified, created_at 
+       FROM users WHERE id = $1`,
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Usuário não encontrado')
+      });
+    }
+
+    const user = result.rows[0];
+
+    res.json({
+      success: true,
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar perfil:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ATUALIZAR PERFIL (PROTEGIDO) - por enquanto só o idioma; locale null volta ao Accept-Language
+app.patch('/api/auth/profile', authenticateToken, validateRequest(profileSchema, { partial: true }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  if (!('locale' in req.body)) {
+    return res.status(400).json({
+      success: false,
+      message: req.t('Nenhum campo para atualizar. Campos editáveis: {fields}', { fields: 'locale' })
+    });
+  }
+
+  try {
+    const existing = await db.query(
+      'SELECT locale FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Usuário não encontrado')
+      });
+    }
+
+    const user = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE users SET locale = $1 WHERE id = $2
+         RETURNING id, name, email, company_name, country, business_segment, locale, role, email_verified, created_at`,
+        [req.body.locale || null, req.user.userId]
+      );
+      await auditChange(req, client, { action: 'update', entityType: 'user', entityId: req.user.userId, before: existing.rows[0], after: updated.rows[0] });
+      return updated.rows[0];
+    });
+    setLocale(req, res, user.locale || negotiateLocale(req.headers['accept-language']));
+
+    res.json({
+      success: true,
+      message: req.t('Perfil atualizado'),
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Erro ao atualizar perfil:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// CONFIRMAR E-MAIL
+app.post('/api/auth/verify-email', rateLimit('auth_ip'), validateRequest(tokenSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const userId = await consumeUserToken(req.body.token, 'email_verification');
+
+    if (!userId) {
+      return sendValidationError(req, res, [
+        { field: 'token', code: ERROR_CODES.INVALID_VALUE, message: 'Token de confirmação inválido ou expirado' }
+      ]);
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET email_verified = true, email_verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [userId]
+      );
+      await auditChange(req, client, {
+        actorId: userId,
+        action: 'email_verify',
+        entityType: 'user',
+        entityId: userId,
+        changes: { email_verified: { before: false, after: true } }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: req.t('E-mail confirmado com sucesso! ✅')
+    });
+
+  } catch (error) {
+    console.error('Erro ao confirmar e-mail:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// REENVIAR CONFIRMAÇÃO DE E-MAIL (PROTEGIDO)
+app.post('/api/auth/resend-verification', authenticateToken, rateLimit('auth_email_account', (req) => req.user.email), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT id, name, email, company_name, email_verified FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Usuário não encontrado')
+      });
+    }
+
+    const user = result.rows[0];
+
+    if (user.email_verified) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('E-mail já confirmado')
+      });
+    }
+
+    const verificationToken = await createUserToken(user.id, 'email_verification');
+    await mailer.send({
+      to: user.email,
+      subject: 'Confirme seu e-mail no BBH Business Hub',
+      text: `Olá ${user.name},\n\n` +
+        `Confirme seu e-mail acessando: ${FRONTEND_URL}/verify-email?token=${verificationToken}\n\n` +
+        'Equipe BBH Business Hub'
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Enviamos um novo link de confirmação para o seu e-mail')
+    });
+
+  } catch (error) {
+    console.error('Erro ao reenviar confirmação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ESQUECI MINHA SENHA
+app.post('/api/auth/forgot-password', rateLimit('auth_ip'), validateRequest(emailSchema), rateLimit('auth_email_account', emailKey), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { email } = req.body;
+
+    const result = await db.query(
+      'SELECT id, name, email FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    // Mesma resposta exista ou não a conta, para não revelar e-mails cadastrados
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const resetToken = await createUserToken(user.id, 'password_reset');
+
+      await mailer.send({
+        to: user.email,
+        subject: 'Redefinição de senha - BBH Business Hub',
+        text: `Olá ${user.name},\n\n` +
+          `Para criar uma nova senha acesse: ${FRONTEND_URL}/reset-password?token=${resetToken}\n` +
+          `O link expira em ${USER_TOKEN_TTL.password_reset} minutos e só pode ser usado uma vez.\n` +
+          'Se você não solicitou a redefinição, ignore este e-mail.\n\n' +
+          'Equipe BBH Business Hub'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: req.t('Se o e-mail estiver cadastrado, você receberá as instruções para redefinir a senha')
+    });
+
+  } catch (error) {
+    console.error('Erro ao solicitar redefinição de senha:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// REDEFINIR SENHA
+app.post('/api/auth/reset-password', rateLimit('auth_ip'), validateRequest(resetPasswordSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeUserToken(token, 'password_reset');
+
+    if (!userId) {
+      return sendValidationError(req, res, [
+        { field: 'token', code: ERROR_CODES.INVALID_VALUE, message: 'Token de redefinição inválido ou expirado' }
+      ]);
+    }
+
+    const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users SET password = $1, password_changed_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [hashedPassword, userId]
+      );
+      await auditChange(req, client, { actorId: userId, action: 'password_reset', entityType: 'user', entityId: userId, changes: {} });
+    });
+    await revokeAllRefreshTokens(userId);
+
+    res.json({
+      success: true,
+      message: req.t('Senha redefinida com sucesso! Faça login com a nova senha.')
+    });
+
+  } catch (error) {
+    console.error('Erro ao redefinir senha:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// LISTAR USUÁRIOS (PROTEGIDO - apenas admin)
+app.get('/api/users', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT id, name, email, company_name, country, business_segment, role, created_at 
+       FROM users ORDER BY created_at DESC`
+    );
+
+    res.json({
+      success: true,
+      users: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar usuários:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ==================== EMPRESAS BRICS+ ====================
+
+// Consulta de GET /api/businesses (também usada na exportação): FROM/WHERE, parâmetros, colunas e ordenação
+function buildBusinessListQuery({ country, business_type, search, verified }) {
+  let selectColumns = 'b.*, u.name as user_name';
+  let orderBy = 'b.created_at DESC';
+  let query = `
+    FROM businesses b 
+    LEFT JOIN users u ON b.user_id = u.id 
+    WHERE b.is_active = true
+  `;
+  const params = [];
+  let paramCount = 0;
+
+  // Filtros
+  if (country) {
+    paramCount++;
+    query += ` AND b.country = $${paramCount}`;
+    params.push(country);
+  }
+
+  if (business_type) {
+    paramCount++;
+    query += ` AND b.business_type = $${paramCount}`;
+    params.push(business_type);
+  }
+
+  if (verified !== undefined) {
+    query += ` AND b.is_verified = ${verified}`;
+  }
+
+  // Busca textual com ranking (palavras, "frases exatas", OR e -exclusão)
+  if (search) {
+    paramCount++;
+    const tsQuery = `websearch_to_tsquery('${SEARCH_CONFIG}', $${paramCount})`;
+    const vector = 'business_search_vector(b.company_name, b.description, b.products_services, b.tags)';
+    query += ` AND ${vector} @@ ${tsQuery}`;
+    selectColumns += `,
+      ts_rank_cd(${vector}, ${tsQuery}, 32) as rank,
+      ts_headline('${SEARCH_CONFIG}', b.company_name, ${tsQuery}, '${SEARCH_HEADLINE_OPTIONS}') as headline,
+      ts_headline('${SEARCH_CONFIG}', concat_ws(' ', b.description, b.products_services), ${tsQuery}, '${SEARCH_HEADLINE_OPTIONS}') as snippet`;
+    orderBy = 'rank DESC, b.created_at DESC';
+    params.push(search);
+  }
+
+  return { selectColumns, query, params, orderBy };
+}
+
+// LISTAR TODAS AS EMPRESAS (com filtros)
+app.get('/api/businesses', rateLimit('public_ip'), validateRequest(businessListQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { page, limit } = req.query;
+    const { selectColumns, query, params, orderBy } = buildBusinessListQuery(req.query);
+
+    // Ordenação e paginação
+    const result = await db.query(
+      `SELECT ${selectColumns} ${query} ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    // Contagem total
+    const countResult = await db.query(`SELECT COUNT(*) ${query}`, params);
+
+    res.json({
+      success: true,
+      businesses: result.rows.map(business => applyContactVisibility(business)),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: parseInt(countResult.rows[0].count),
+        totalPages: Math.ceil(countResult.rows[0].count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar empresas:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EXPORTAR EMPRESAS (mesmos filtros da listagem, sem paginação)
+app.get('/api/businesses/export', rateLimit('public_ip'), validateRequest(businessExportQuerySchema, { source: 'query' }), sendExport((req) => {
+  const { selectColumns, query, params, orderBy } = buildBusinessListQuery(req.query);
+  return {
+    name: 'businesses',
+    sql: `SELECT ${selectColumns} ${query} ORDER BY ${orderBy}`,
+    params,
+    columns: [...BUSINESS_EXPORT_COLUMNS, 'user_name'],
+    transform: (business) => applyContactVisibility(business)
+  };
+}));
+
+// BUSCAR EMPRESA POR ID (contato completo para o dono ou após resposta a uma consulta)
+app.get('/api/businesses/:id', rateLimit('public_ip'), optionalAuth, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT b.*, u.name as user_name,
+              EXISTS (
+                SELECT 1 FROM inquiry_threads t
+                WHERE t.business_id = b.id AND t.requester_id = $2 AND t.owner_replied_at IS NOT NULL
+              ) as contact_unlocked
+       FROM businesses b 
+       LEFT JOIN users u ON b.user_id = u.id 
+       WHERE b.id = $1 AND b.is_active = true`,
+      [id, req.user ? req.user.userId : null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Empresa não encontrada')
+      });
+    }
+
+    await recordListingView(req, 'business', result.rows[0]);
+
+    res.json({
+      success: true,
+      business: applyContactVisibility(result.rows[0], req.user && req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar empresa:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// Grava uma empresa já validada por businessSchema (cadastro individual e importação em lote)
+async function insertBusiness(client, userId, business) {
+  const result = await client.query(
+    `INSERT INTO businesses (
+      user_id, company_name, description, country, business_type, 
+      products_services, contact_email, contact_phone, website, 
+      address, annual_revenue, annual_revenue_min, annual_revenue_max, annual_revenue_currency,
+      employee_count, brics_countries, tags, hide_contact
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+    RETURNING *`,
+    [
+      userId,
+      business.company_name,
+      business.description,
+      business.country,
+      business.business_type,
+      business.products_services,
+      business.contact_email,
+      business.contact_phone,
+      business.website,
+      business.address,
+      business.annual_revenue,
+      business.annual_revenue_min,
+      business.annual_revenue_max,
+      business.annual_revenue_currency,
+      business.employee_count,
+      business.brics_countries,
+      business.tags,
+      business.hide_contact
+    ]
+  );
+
+  return result.rows[0];
+}
+
+// CRIAR EMPRESA (PROTEGIDO)
+app.post('/api/businesses', authenticateToken, validateRequest(businessSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const business = await withTransaction(async (client) => {
+      const inserted = await insertBusiness(client, req.user.userId, req.body);
+      await auditChange(req, client, { action: 'create', entityType: 'business', entityId: inserted.id, after: inserted });
+      return inserted;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Empresa cadastrada com sucesso! 🎉'),
+      business
+    });
+
+  } catch (error) {
+    console.error('Erro ao criar empresa:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EDITAR EMPRESA (PROTEGIDO - apenas o dono)
+app.patch('/api/businesses/:id', authenticateToken, validateRequest(businessSchema, { partial: true }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query(
+      'SELECT * FROM businesses WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Empresa não encontrada')
+      });
+    }
+
+    const business = existing.rows[0];
+
+    if (business.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para alterar esta empresa')
+      });
+    }
+
+    const fields = BUSINESS_EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Nenhum campo para atualizar. Campos editáveis: {fields}', { fields: BUSINESS_EDITABLE_FIELDS.join(', ') })
+      });
+    }
+
+    // A faixa de faturamento resultante precisa continuar coerente
+    const ruleErrors = checkRules(businessSchema, { ...business, ...req.body });
+    if (ruleErrors.length > 0) {
+      return sendValidationError(req, res, ruleErrors);
+    }
+
+    const verificationReset = business.is_verified &&
+      fields.some(field => BUSINESS_IDENTITY_FIELDS.includes(field) && req.body[field] !== business[field]);
+
+    let setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    if (verificationReset) setClause += ', is_verified = false, verified_at = NULL';
+    const params = fields.map(field => req.body[field]);
+    params.push(id);
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE businesses SET ${setClause} WHERE id = $${params.length} RETURNING *`,
+        params
+      );
+      await auditChange(req, client, { action: 'update', entityType: 'business', entityId: id, before: business, after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: verificationReset
+        ? req.t('Empresa atualizada. Os dados de identificação mudaram e a verificação foi removida; solicite uma nova verificação')
+        : req.t('Empresa atualizada com sucesso!'),
+      business: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao atualizar empresa:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// Handler compartilhado para desativar/reativar uma empresa
+const setBusinessActive = (isActive) => async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query(
+      'SELECT * FROM businesses WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Empresa não encontrada')
+      });
+    }
+
+    if (existing.rows[0].user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para alterar esta empresa')
+      });
+    }
+
+    // Empresas desativadas pela moderação só voltam pela moderação
+    if (isActive && existing.rows[0].moderated_at) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Esta empresa foi desativada pela moderação e não pode ser reativada pelo dono'),
+        moderation_reason: existing.rows[0].moderation_reason
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        'UPDATE businesses SET is_active = $1 WHERE id = $2 RETURNING *',
+        [isActive, id]
+      );
+      await auditChange(req, client, { action: 'status_change', entityType: 'business', entityId: id, before: existing.rows[0], after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: isActive ? req.t('Empresa reativada com sucesso!') : req.t('Empresa desativada com sucesso'),
+      business: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao alterar status da empresa:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+};
+
+// DESATIVAR EMPRESA (PROTEGIDO - apenas o dono)
+app.patch('/api/businesses/:id/deactivate', authenticateToken, setBusinessActive(false));
+
+// REATIVAR EMPRESA (PROTEGIDO - apenas o dono)
+app.patch('/api/businesses/:id/reactivate', authenticateToken, setBusinessActive(true));
+
+// SOLICITAR VERIFICAÇÃO DA EMPRESA (PROTEGIDO - apenas o dono)
+app.post('/api/businesses/:id/verification', authenticateToken, validateRequest(verificationRequestSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { registration_number, tax_id, details, document_urls } = req.body;
+
+    const existing = await db.query(
+      'SELECT id, user_id, is_verified FROM businesses WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Empresa não encontrada')
+      });
+    }
+
+    const business = existing.rows[0];
+
+    if (business.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para solicitar a verificação desta empresa')
+      });
+    }
+
+    if (business.is_verified) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Empresa já verificada')
+      });
+    }
+
+    const pending = await db.query(
+      `SELECT id FROM verification_requests WHERE business_id = $1 AND status = 'pending'`,
+      [id]
+    );
+
+    if (pending.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Já existe uma solicitação de verificação em análise para esta empresa')
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO verification_requests (
+        business_id, user_id, registration_number, tax_id, details, document_urls
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *`,
+      [id, req.user.userId, registration_number, tax_id, details, document_urls]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Solicitação de verificação enviada! Nossa equipe fará a análise.'),
+      verification: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao solicitar verificação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// HISTÓRICO DE VERIFICAÇÃO DA EMPRESA (PROTEGIDO - apenas o dono)
+app.get('/api/businesses/:id/verification', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query(
+      'SELECT id, user_id, is_verified, verified_at FROM businesses WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Empresa não encontrada')
+      });
+    }
+
+    const business = existing.rows[0];
+
+    if (business.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para ver a verificação desta empresa')
+      });
+    }
+
+    const result = await db.query(
+      `SELECT id, registration_number, tax_id, details, document_urls, status,
+              review_reason, reviewed_at, created_at
+       FROM verification_requests
+       WHERE business_id = $1
+       ORDER BY created_at DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      is_verified: business.is_verified,
+      verified_at: business.verified_at,
+      requests: result.rows
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar verificação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// MINHAS EMPRESAS (PROTEGIDO)
+app.get('/api/my-businesses', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT * FROM businesses WHERE user_id = $1 ORDER BY created_at DESC',
+      [req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      businesses: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar minhas empresas:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EXPORTAR MINHAS EMPRESAS (PROTEGIDO)
+app.get('/api/my-businesses/export', authenticateToken, validateRequest(exportFormatSchema, { source: 'query' }), sendExport((req) => ({
+  name: 'my-businesses',
+  sql: 'SELECT * FROM businesses WHERE user_id = $1 ORDER BY created_at DESC',
+  params: [req.user.userId],
+  columns: BUSINESS_EXPORT_COLUMNS
+})));
+
+// ==================== IMPORTAÇÃO DE EMPRESAS ====================
+// Fluxo: envio do arquivo (CSV/XLSX) -> mapeamento das colunas -> simulação (dry-run) -> importação assíncrona
+// Cada linha passa pelo mesmo businessSchema do cadastro individual
+
+// Colunas exibidas no status de uma importação (as linhas e os erros ficam de fora)
+const BUSINESS_IMPORT_COLUMNS = `id, user_id, filename, format, status, columns, mapping, total_rows, processed_rows,
+  imported_count, duplicate_count, error_count, created_at, started_at, finished_at`;
+
+// Cabeçalhos comuns (já normalizados) reconhecidos além do próprio nome do campo
+const IMPORT_COLUMN_ALIASES = {
+  company_name: ['company', 'name', 'empresa', 'nome', 'nome_da_empresa', 'razao_social'],
+  description: ['descricao'],
+  country: ['pais'],
+  business_type: ['type', 'tipo', 'segment', 'segmento'],
+  products_services: ['products', 'produtos', 'produtos_servicos'],
+  contact_email: ['email', 'e_mail'],
+  contact_phone: ['phone', 'telefone'],
+  website: ['site', 'url'],
+  address: ['endereco'],
+  employee_count: ['employees', 'funcionarios']
+};
+
+const importUploadQuerySchema = createSchema({
+  filename: { type: 'string', maxLength: 255 }
+});
+
+// Mapeamento { coluna do arquivo: campo da empresa }; colunas fora do mapeamento são ignoradas
+const importMappingSchema = createSchema({
+  mapping: { type: 'object', values: { type: 'string', enum: BUSINESS_EDITABLE_FIELDS } }
+});
+
+const importsQuerySchema = createSchema({
+  ...pageFields(10)
+});
+
+// "Nome da Empresa" -> "nome_da_empresa"
+const normalizeColumnName = (column) => column
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+// Sugere o campo de cada coluna pelo nome do cabeçalho (cada campo recebe no máximo uma coluna)
+function suggestImportMapping(columns) {
+  const mapping = {};
+  const used = new Set();
+
+  for (const column of columns) {
+    const name = normalizeColumnName(column);
+    const field = BUSINESS_EDITABLE_FIELDS.find(candidate =>
+      !used.has(candidate) && (candidate === name || (IMPORT_COLUMN_ALIASES[candidate] || []).includes(name))
+    );
+
+    if (field) {
+      mapping[column] = field;
+      used.add(field);
+    }
+  }
+
+  return mapping;
+}
+
+// O mapeamento só pode citar colunas do arquivo e não pode repetir campos
+function checkImportMapping(mapping, columns) {
+  const errors = [];
+  const used = new Set();
+
+  for (const [column, field] of Object.entries(mapping)) {
+    if (!columns.includes(column)) {
+      errors.push({ field: `mapping.${column}`, code: ERROR_CODES.INVALID_VALUE, message: '{field} não é aceito. Chaves aceitas: {values}', params: { values: columns.join(', ') } });
+    } else if (used.has(field)) {
+      errors.push({ field: `mapping.${column}`, code: ERROR_CODES.DUPLICATE, message: 'O campo {target} está mapeado para mais de uma coluna', params: { target: field } });
+    }
+    used.add(field);
+  }
+
+  return errors;
+}
+
+// Empresas iguais: mesmo nome (sem diferença de caixa/espaços) no mesmo país
+const businessDuplicateKey = (business) => `${business.company_name.trim().toLowerCase()}|${business.country}`;
+
+// Valida as linhas com o mapeamento e marca as repetidas dentro do próprio arquivo
+// Cada linha vira { line, value, errors }; os erros levam a linha e a coluna de origem
+function analyzeImportRows(rows, mapping) {
+  const columnOf = Object.fromEntries(Object.entries(mapping).map(([column, field]) => [field, column]));
+  const seen = new Map();
+
+  return rows.map(({ line, data }) => {
+    // Células vazias contam como campo não informado
+    const mapped = Object.fromEntries(Object.entries(mapping)
+      .filter(([column]) => data[column])
+      .map(([column, field]) => [field, data[column]]));
+    const { errors, value } = validate(businessSchema, mapped, { coerce: true });
+
+    const rowErrors = errors.map(error => ({ line, column: columnOf[error.field.split(/[.[]/)[0]] || null, ...error }));
+
+    if (rowErrors.length === 0) {
+      const key = businessDuplicateKey(value);
+      if (seen.has(key)) {
+        rowErrors.push({
+          line,
+          column: columnOf.company_name,
+          field: 'company_name',
+          code: ERROR_CODES.DUPLICATE,
+          message: 'Empresa repetida no arquivo (linha {other})',
+          params: { other: seen.get(key) }
+        });
+      } else {
+        seen.set(key, line);
+      }
+    }
+
+    return { line, value, errors: rowErrors, columnOf };
+  });
+}
+
+// Marca as linhas válidas cujas empresas já estão cadastradas na plataforma
+async function markExistingBusinesses(client, analyzed) {
+  const valid = analyzed.filter(row => row.errors.length === 0);
+  if (valid.length === 0) return;
+
+  const result = await client.query(
+    `SELECT DISTINCT LOWER(TRIM(b.company_name)) as name, b.country
+     FROM businesses b
+     JOIN UNNEST($1::text[], $2::text[]) AS candidate(name, country)
+       ON LOWER(TRIM(b.company_name)) = candidate.name AND b.country = candidate.country`,
+    [valid.map(row => row.value.company_name.trim().toLowerCase()), valid.map(row => row.value.country)]
+  );
+
+  const existing = new Set(result.rows.map(row => `${row.name}|${row.country}`));
+
+  for (const row of valid) {
+    if (existing.has(businessDuplicateKey(row.value))) {
+      row.errors.push({
+        line: row.line,
+        column: row.columnOf.company_name,
+        field: 'company_name',
+        code: ERROR_CODES.DUPLICATE,
+        message: 'Empresa já cadastrada em {country}',
+        params: { country: row.value.country }
+      });
+    }
+  }
+}
+
+// Contagem por situação: válida, duplicada (só erros de duplicidade) ou com erro
+function countImportRows(analyzed) {
+  const duplicates = analyzed.filter(row => row.errors.length > 0 && row.errors.every(error => error.code === ERROR_CODES.DUPLICATE)).length;
+  const valid = analyzed.filter(row => row.errors.length === 0).length;
+
+  return { valid, duplicates, invalid: analyzed.length - valid - duplicates };
+}
+
+const translateImportError = (req, error) => ({
+  ...error,
+  message: req.t(error.message, { field: error.field, ...error.params })
+});
+
+async function findBusinessImport(id) {
+  const result = await db.query(
+    `SELECT ${BUSINESS_IMPORT_COLUMNS} FROM business_imports WHERE id = $1`,
+    [id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Grava as linhas em lotes de IMPORT_BATCH_SIZE; o progresso é salvo junto com cada lote,
+// então uma importação interrompida continua de processed_rows
+// Cada lote trava a linha da importação e confere processed_rows: se outra instância assumiu o job
+// (ou já gravou este lote), esta para sem inserir nada
+async function processBusinessImport(importId) {
+  const claimed = await db.query(
+    `UPDATE business_imports
+     SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP), heartbeat_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'queued'
+     RETURNING id, user_id, rows, mapping, processed_rows`,
+    [importId]
+  );
+
+  if (claimed.rows.length === 0) return;
+
+  const job = claimed.rows[0];
+  const analyzed = analyzeImportRows(job.rows, job.mapping);
+
+  for (let start = job.processed_rows; start < analyzed.length; start += IMPORT_BATCH_SIZE) {
+    const batch = analyzed.slice(start, start + IMPORT_BATCH_SIZE);
+    let client;
+
+    try {
+      client = await db.connect();
+      await client.query('BEGIN');
+
+      const progress = await client.query(
+        `SELECT processed_rows FROM business_imports WHERE id = $1 AND status = 'running' FOR UPDATE`,
+        [importId]
+      );
+
+      if (progress.rows.length === 0 || progress.rows[0].processed_rows !== start) {
+        await client.query('ROLLBACK');
+        console.log(`📥 Importação ${importId} assumida por outra instância`);
+        return;
+      }
+
+      await markExistingBusinesses(client, batch);
+
+      const imported = [];
+      for (const row of batch.filter(row => row.errors.length === 0)) {
+        imported.push(await insertBusiness(client, job.user_id, row.value));
+      }
+
+      await recordAudit(client, imported.map(business => ({
+        actorId: job.user_id,
+        action: 'import',
+        entityType: 'business',
+        entityId: business.id,
+        after: business,
+        context: { import_id: job.id }
+      })));
+
+      const counts = countImportRows(batch);
+      const errors = batch.flatMap(row => row.errors);
+
+      await client.query(
+        `UPDATE business_imports
+         SET processed_rows = $2,
+             imported_count = imported_count + $3,
+             duplicate_count = duplicate_count + $4,
+             error_count = error_count + $5,
+             errors = errors || $6::jsonb,
+             heartbeat_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [importId, start + batch.length, counts.valid, counts.duplicates, counts.invalid, JSON.stringify(errors)]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  const completed = await db.query(
+    `UPDATE business_imports SET status = 'completed', finished_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'running' AND processed_rows = $2`,
+    [importId, analyzed.length]
+  );
+  if (completed.rowCount === 0) return;
+
+  console.log(`📥 Importação ${importId} concluída`);
+}
+
+// Importações rodam uma por vez, na ordem em que foram iniciadas
+let businessImportQueue = Promise.resolve();
+
+function enqueueBusinessImport(importId) {
+  businessImportQueue = businessImportQueue.then(() => processBusinessImport(importId).catch(async (error) => {
+    console.error(`Erro na importação ${importId}:`, error);
+    await db.query(
+      `UPDATE business_imports SET status = 'failed', finished_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [importId]
+    ).catch(() => {});
+  }));
+}
+
+// Retoma importações interrompidas por uma parada do servidor: as da fila e as em andamento sem lote
+// gravado há IMPORT_STALE_MINUTES (durante um deploy, a instância antiga pode ainda estar processando as outras)
+async function resumeBusinessImports() {
+  try {
+    const result = await db.query(
+      `UPDATE business_imports SET status = 'queued'
+       WHERE status = 'queued'
+          OR (status = 'running'
+              AND COALESCE(heartbeat_at, started_at) < CURRENT_TIMESTAMP - make_interval(mins => $1))
+       RETURNING id`,
+      [IMPORT_STALE_MINUTES]
+    );
+
+    for (const { id } of result.rows.sort((a, b) => a.id - b.id)) {
+      enqueueBusinessImport(id);
+    }
+
+    if (result.rows.length > 0) {
+      console.log(`📥 ${result.rows.length} importação(ões) retomada(s)`);
+    }
+  } catch (error) {
+    console.error('Erro ao retomar importações:', error);
+  }
+}
+
+// Corpo da requisição é o próprio arquivo; arquivos acima do limite recebem 413 em JSON
+const readImportFile = (req, res, next) => {
+  express.raw({ type: () => true, limit: IMPORT_MAX_BYTES })(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: req.t('Arquivo maior que o limite de {max} MB', { max: IMPORT_MAX_BYTES / 1024 / 1024 })
+      });
+    }
+    next();
+  });
+};
+
+// ENVIAR PLANILHA DE EMPRESAS (PROTEGIDO)
+app.post('/api/imports/businesses', authenticateToken, requireVerifiedEmail, validateRequest(importUploadQuerySchema, { source: 'query' }), readImportFile, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { filename } = req.query;
+    const format = detectFormat(req.headers['content-type'], filename);
+
+    if (!format) {
+      return res.status(415).json({
+        success: false,
+        message: req.t('Formato não suportado. Envie um arquivo CSV ou XLSX')
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Envie o arquivo no corpo da requisição')
+      });
+    }
+
+    let spreadsheet;
+    try {
+      spreadsheet = await readSpreadsheet(req.body, format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Não foi possível ler o arquivo {format}', { format: format.toUpperCase() })
+      });
+    }
+
+    const { columns, rows } = spreadsheet;
+
+    if (columns.length === 0 || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('O arquivo precisa de uma linha de cabeçalho e pelo menos uma linha de dados')
+      });
+    }
+
+    const repeated = columns.filter((column, index) => column && columns.indexOf(column) !== index);
+    if (repeated.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Colunas repetidas no cabeçalho: {columns}', { columns: [...new Set(repeated)].join(', ') })
+      });
+    }
+
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('O arquivo tem {count} linhas; o limite por importação é {max}', { count: rows.length, max: IMPORT_MAX_ROWS })
+      });
+    }
+
+    const mapping = suggestImportMapping(columns.filter(Boolean));
+
+    const result = await db.query(
+      `INSERT INTO business_imports (user_id, filename, format, columns, rows, mapping, total_rows)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${BUSINESS_IMPORT_COLUMNS}`,
+      [req.user.userId, filename || null, format, columns, JSON.stringify(rows), mapping, rows.length]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Arquivo recebido! Confira o mapeamento das colunas e faça uma simulação antes de importar'),
+      import: result.rows[0],
+      available_fields: BUSINESS_EDITABLE_FIELDS
+    });
+
+  } catch (error) {
+    console.error('Erro ao receber planilha:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// MINHAS IMPORTAÇÕES (PROTEGIDO)
+app.get('/api/imports', authenticateToken, validateRequest(importsQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { page, limit } = req.query;
+
+    const result = await db.query(
+      `SELECT ${BUSINESS_IMPORT_COLUMNS} FROM business_imports
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.userId, limit, (page - 1) * limit]
+    );
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM business_imports WHERE user_id = $1',
+      [req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      imports: result.rows,
+      pagination: {
+        page: page,
+        limit: limit,
+        total: parseInt(countResult.rows[0].count),
+        totalPages: Math.ceil(countResult.rows[0].count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar importações:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// STATUS DE UMA IMPORTAÇÃO (PROTEGIDO - apenas o dono)
+app.get('/api/imports/:id', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const businessImport = await findBusinessImport(req.params.id);
+
+    if (!businessImport) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Importação não encontrada')
+      });
+    }
+
+    if (businessImport.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para acessar esta importação')
+      });
+    }
+
+    res.json({
+      success: true,
+      import: {
+        ...businessImport,
+        progress: Math.round(businessImport.processed_rows / businessImport.total_rows * 100)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar importação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// Handler compartilhado da simulação e do início da importação
+// O mapeamento enviado fica salvo; sem ele vale o último salvo (ou o sugerido no envio)
+const runBusinessImport = (dryRun) => async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const businessImport = await findBusinessImport(req.params.id);
+
+    if (!businessImport) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Importação não encontrada')
+      });
+    }
+
+    if (businessImport.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para acessar esta importação')
+      });
+    }
+
+    // Importações com falha podem ser reiniciadas e continuam de onde pararam
+    if (!['uploaded', 'failed'].includes(businessImport.status)) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Esta importação já foi iniciada (status "{status}")', { status: businessImport.status })
+      });
+    }
+
+    const mapping = req.body.mapping || businessImport.mapping;
+
+    const mappingErrors = checkImportMapping(mapping, businessImport.columns);
+    if (mappingErrors.length > 0) {
+      return sendValidationError(req, res, mappingErrors);
+    }
+
+    if (dryRun) {
+      const rows = await db.query('SELECT rows FROM business_imports WHERE id = $1', [businessImport.id]);
+      const analyzed = analyzeImportRows(rows.rows[0].rows, mapping);
+      await markExistingBusinesses(db, analyzed);
+
+      await db.query('UPDATE business_imports SET mapping = $2 WHERE id = $1', [businessImport.id, mapping]);
+
+      const counts = countImportRows(analyzed);
+
+      return res.json({
+        success: true,
+        message: req.t('Simulação concluída: {valid} linha(s) válida(s), {duplicates} duplicada(s) e {invalid} com erro', counts),
+        dry_run: {
+          mapping,
+          total_rows: analyzed.length,
+          valid_rows: counts.valid,
+          duplicate_rows: counts.duplicates,
+          error_rows: counts.invalid,
+          errors: analyzed.flatMap(row => row.errors).map(error => translateImportError(req, error))
+        }
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE business_imports SET mapping = $2, status = 'queued', finished_at = NULL
+       WHERE id = $1 AND status IN ('uploaded', 'failed')
+       RETURNING ${BUSINESS_IMPORT_COLUMNS}`,
+      [businessImport.id, mapping]
+    );
+
+    // Outra requisição iniciou a mesma importação entre a leitura e o UPDATE
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Esta importação já foi iniciada (status "{status}")', { status: 'queued' })
+      });
+    }
+
+    enqueueBusinessImport(businessImport.id);
+
+    res.status(202).json({
+      success: true,
+      message: req.t('Importação iniciada! Acompanhe o andamento pelo status'),
+      import: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error(dryRun ? 'Erro na simulação da importação:' : 'Erro ao iniciar importação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+};
+
+// SIMULAR IMPORTAÇÃO (PROTEGIDO - apenas o dono)
+app.post('/api/imports/:id/dry-run', authenticateToken, validateRequest(importMappingSchema), runBusinessImport(true));
+
+// INICIAR IMPORTAÇÃO (PROTEGIDO - apenas o dono)
+app.post('/api/imports/:id/start', authenticateToken, requireVerifiedEmail, validateRequest(importMappingSchema), runBusinessImport(false));
+
+// RELATÓRIO DE ERROS DA IMPORTAÇÃO EM CSV (PROTEGIDO - apenas o dono)
+app.get('/api/imports/:id/errors', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT id, user_id, errors FROM business_imports WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Importação não encontrada')
+      });
+    }
+
+    const businessImport = result.rows[0];
+
+    if (businessImport.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para acessar esta importação')
+      });
+    }
+
+    const rows = businessImport.errors
+      .map(error => translateImportError(req, error))
+      .map(error => [error.line, error.column, error.field, error.code, error.message]);
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="import-${businessImport.id}-errors.csv"`);
+    res.send('\uFEFF' + toCsv(['line', 'column', 'field', 'code', 'message'], rows));
+
+  } catch (error) {
+    console.error('Erro ao gerar relatório da importação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ==================== SISTEMA DE OPORTUNIDADES ====================
+
+// Consulta de GET /api/opportunities (também usada na exportação): FROM/WHERE, parâmetros, colunas e ordenação
+function buildOpportunityListQuery({
+  type, category, country, search, verified, deadline_before, deadline_after, budget_min, budget_max, currency, sort
+}) {
+  let selectColumns = 'o.*, u.name as user_name, u.company_name as user_company';
+  let orderBy = 'o.created_at DESC';
+  let query = `
+    FROM opportunities o 
+    LEFT JOIN users u ON o.user_id = u.id 
+    LEFT JOIN fx_rates fx ON fx.currency = o.budget_currency
+    WHERE o.status = 'active'
+  `;
+  const params = [];
+  let paramCount = 0;
+
+  // Filtros
+  if (type) {
+    paramCount++;
+    query += ` AND o.type = $${paramCount}`;
+    params.push(type);
+  }
+
+  if (category) {
+    paramCount++;
+    query += ` AND o.category = $${paramCount}`;
+    params.push(category);
+  }
+
+  if (country) {
+    paramCount++;
+    query += ` AND o.country = $${paramCount}`;
+    params.push(country);
+  }
+
+  if (verified !== undefined) {
+    query += ` AND o.is_verified = ${verified}`;
+  }
+
+  // Prazo dentro do intervalo (datas inclusivas)
+  if (deadline_before) {
+    paramCount++;
+    query += ` AND o.deadline <= $${paramCount}`;
+    params.push(deadline_before);
+  }
+
+  if (deadline_after) {
+    paramCount++;
+    query += ` AND o.deadline >= $${paramCount}`;
+    params.push(deadline_after);
+  }
+
+  // Faixa de orçamento em "currency": a faixa da oportunidade, convertida para USD, precisa cruzar a do filtro
+  if (budget_min !== undefined) {
+    paramCount++;
+    query += ` AND ${BUDGET_UPPER_USD} >= $${paramCount}`;
+    params.push(convertAmount(budget_min, currency, REFERENCE_CURRENCY));
+  }
+
+  if (budget_max !== undefined) {
+    paramCount++;
+    query += ` AND ${BUDGET_LOWER_USD} <= $${paramCount}`;
+    params.push(convertAmount(budget_max, currency, REFERENCE_CURRENCY));
+  }
+
+  // Busca textual com ranking (palavras, "frases exatas", OR e -exclusão)
+  if (search) {
+    paramCount++;
+    const tsQuery = `websearch_to_tsquery('${SEARCH_CONFIG}', $${paramCount})`;
+    const vector = 'opportunity_search_vector(o.title, o.description, o.tags)';
+    query += ` AND ${vector} @@ ${tsQuery}`;
+    selectColumns += `,
+      ts_rank_cd(${vector}, ${tsQuery}, 32) as rank,
+      ts_headline('${SEARCH_CONFIG}', o.title, ${tsQuery}, '${SEARCH_HEADLINE_OPTIONS}') as headline,
+      ts_headline('${SEARCH_CONFIG}', o.description, ${tsQuery}, '${SEARCH_HEADLINE_OPTIONS}') as snippet`;
+    orderBy = 'rank DESC, o.created_at DESC';
+    params.push(search);
+  }
+
+  // Ordenação explícita prevalece sobre a relevância da busca
+  if (sort) {
+    orderBy = OPPORTUNITY_SORTS[sort];
+  }
+
+  return { selectColumns, query, params, orderBy };
+}
+
+// LISTAR OPORTUNIDADES (com filtros)
+app.get('/api/opportunities', rateLimit('public_ip'), validateRequest(opportunityListQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { currency, page, limit } = req.query;
+    const { selectColumns, query, params, orderBy } = buildOpportunityListQuery(req.query);
+
+    // Ordenação e paginação
+    const result = await db.query(
+      `SELECT ${selectColumns} ${query} ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    // Contagem total
+    const countResult = await db.query(`SELECT COUNT(*) ${query}`, params);
+
+    res.json({
+      success: true,
+      opportunities: result.rows.map(opportunity => withNormalizedBudget(applyContactVisibility(opportunity), currency)),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: parseInt(countResult.rows[0].count),
+        totalPages: Math.ceil(countResult.rows[0].count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar oportunidades:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EXPORTAR OPORTUNIDADES (mesmos filtros da listagem, sem paginação)
+app.get('/api/opportunities/export', rateLimit('public_ip'), validateRequest(opportunityExportQuerySchema, { source: 'query' }), sendExport((req) => {
+  const { selectColumns, query, params, orderBy } = buildOpportunityListQuery(req.query);
+  return {
+    name: 'opportunities',
+    sql: `SELECT ${selectColumns} ${query} ORDER BY ${orderBy}`,
+    params,
+    columns: [...OPPORTUNITY_EXPORT_COLUMNS, 'user_name', 'user_company'],
+    transform: (opportunity) => withNormalizedBudget(applyContactVisibility(opportunity), req.query.currency)
+  };
+}));
+
+// BUSCAR OPORTUNIDADE POR ID (contato completo para o dono ou após resposta a uma consulta)
+app.get('/api/opportunities/:id', rateLimit('public_ip'), optionalAuth, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT o.*, u.name as user_name, u.company_name as user_company,
+              EXISTS (
+                SELECT 1 FROM inquiry_threads t
+                WHERE t.opportunity_id = o.id AND t.requester_id = $2 AND t.owner_replied_at IS NOT NULL
+              ) as contact_unlocked
+       FROM opportunities o 
+       LEFT JOIN users u ON o.user_id = u.id 
+       WHERE o.id = $1`,
+      [id, req.user ? req.user.userId : null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    await recordListingView(req, 'opportunity', result.rows[0]);
+
+    res.json({
+      success: true,
+      opportunity: applyContactVisibility(result.rows[0], req.user && req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar oportunidade:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// CRIAR OPORTUNIDADE (PROTEGIDO)
+app.post('/api/opportunities', authenticateToken, requireVerifiedEmail, validateRequest(opportunitySchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const {
+      title,
+      description,
+      type,
+      category,
+      country,
+      budget,
+      budget_min,
+      budget_max,
+      budget_currency,
+      deadline,
+      contact_email,
+      contact_phone,
+      tags,
+      hide_contact
+    } = req.body;
+
+    const result = await withTransaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO opportunities (
+          user_id, title, description, type, category, country, 
+          budget, budget_min, budget_max, budget_currency, deadline, contact_email, contact_phone, tags, hide_contact
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *`,
+        [
+          req.user.userId,
+          title,
+          description,
+          type,
+          category,
+          country,
+          budget,
+          budget_min,
+          budget_max,
+          budget_currency,
+          deadline,
+          contact_email,
+          contact_phone,
+          tags,
+          hide_contact
+        ]
+      );
+      await auditChange(req, client, { action: 'create', entityType: 'opportunity', entityId: inserted.rows[0].id, after: inserted.rows[0] });
+      return inserted;
+    });
+
+    // Alertas de buscas salvas (não bloqueia a resposta)
+    matchSavedSearches(result.rows[0]);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Oportunidade criada com sucesso! 🎉'),
+      opportunity: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao criar oportunidade:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EDITAR OPORTUNIDADE (PROTEGIDO - apenas o dono)
+app.patch('/api/opportunities/:id', authenticateToken, validateRequest(opportunitySchema, { partial: true }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query(
+      'SELECT *, $2::date < CURRENT_DATE as deadline_in_past FROM opportunities WHERE id = $1',
+      [id, req.body.deadline || null]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    const opportunity = existing.rows[0];
+
+    if (opportunity.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para alterar esta oportunidade')
+      });
+    }
+
+    const fields = OPPORTUNITY_EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Nenhum campo para atualizar. Campos editáveis: {fields}', { fields: OPPORTUNITY_EDITABLE_FIELDS.join(', ') })
+      });
+    }
+
+    // A faixa de orçamento resultante precisa continuar coerente
+    const ruleErrors = checkRules(opportunitySchema, { ...opportunity, ...req.body });
+    if (ruleErrors.length > 0) {
+      return sendValidationError(req, res, ruleErrors);
+    }
+
+    // Prazo segue as mesmas regras de PATCH /api/opportunities/:id/deadline
+    const deadlineChanged = fields.includes('deadline');
+
+    if (deadlineChanged && opportunity.moderated_at) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('O status desta oportunidade foi definido pela moderação e não pode ser alterado pelo dono'),
+        moderation_reason: opportunity.moderation_reason
+      });
+    }
+
+    if (deadlineChanged && opportunity.deadline_in_past) {
+      return sendValidationError(req, res, [
+        { field: 'deadline', code: ERROR_CODES.OUT_OF_RANGE, message: 'O novo prazo não pode estar no passado' }
+      ]);
+    }
+
+    let setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    const params = fields.map(field => req.body[field]);
+    params.push(id);
+
+    // Novo prazo (ou sem prazo): o lembrete volta a ser enviado e oportunidades expiradas voltam a ficar ativas
+    const reactivated = deadlineChanged && opportunity.status === 'expired';
+    if (deadlineChanged) {
+      setClause += ', deadline_reminder_sent_at = NULL';
+    }
+    if (reactivated) {
+      setClause += ", status = 'active'";
+    }
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE opportunities SET ${setClause} WHERE id = $${params.length} RETURNING *`,
+        params
+      );
+      await auditChange(req, client, { action: 'update', entityType: 'opportunity', entityId: id, before: opportunity, after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: reactivated
+        ? req.t('Prazo estendido e oportunidade reativada! 🎉')
+        : req.t('Oportunidade atualizada com sucesso!'),
+      opportunity: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao atualizar oportunidade:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ALTERAR STATUS DA OPORTUNIDADE (PROTEGIDO - apenas o dono)
+app.patch('/api/opportunities/:id/status', authenticateToken, validateRequest(opportunityStatusSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const existing = await db.query(
+      'SELECT *, deadline < CURRENT_DATE as overdue FROM opportunities WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    const opportunity = existing.rows[0];
+
+    if (opportunity.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para alterar esta oportunidade')
+      });
+    }
+
+    if (opportunity.moderated_at) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('O status desta oportunidade foi definido pela moderação e não pode ser alterado pelo dono'),
+        moderation_reason: opportunity.moderation_reason
+      });
+    }
+
+    const allowed = OPPORTUNITY_STATUS_TRANSITIONS[opportunity.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Transição de "{from}" para "{to}" não permitida', { from: opportunity.status, to: status }),
+        allowed_transitions: allowed
+      });
+    }
+
+    // Com o prazo vencido a rotina de expiração desfaria a reativação
+    if (status === 'active' && opportunity.overdue) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('O prazo desta oportunidade já passou. Estenda o prazo para reativá-la')
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        'UPDATE opportunities SET status = $1 WHERE id = $2 RETURNING *',
+        [status, id]
+      );
+      await auditChange(req, client, { action: 'status_change', entityType: 'opportunity', entityId: id, before: opportunity, after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Status alterado para "{status}"', { status }),
+      opportunity: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao alterar status da oportunidade:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ESTENDER PRAZO DA OPORTUNIDADE (PROTEGIDO - apenas o dono)
+// Oportunidades expiradas voltam a ficar ativas com o novo prazo
+app.patch('/api/opportunities/:id/deadline', authenticateToken, validateRequest(deadlineSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { deadline } = req.body;
+
+    const existing = await db.query(
+      'SELECT *, $2::date < CURRENT_DATE as in_past FROM opportunities WHERE id = $1',
+      [id, deadline]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    const opportunity = existing.rows[0];
+
+    if (opportunity.user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para alterar esta oportunidade')
+      });
+    }
+
+    // Estender o prazo reativaria uma oportunidade expirada pela moderação
+    if (opportunity.moderated_at) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('O status desta oportunidade foi definido pela moderação e não pode ser alterado pelo dono'),
+        moderation_reason: opportunity.moderation_reason
+      });
+    }
+
+    if (!['active', 'paused', 'expired'].includes(opportunity.status)) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Não é possível estender o prazo de uma oportunidade "{status}"', { status: opportunity.status })
+      });
+    }
+
+    if (opportunity.in_past) {
+      return sendValidationError(req, res, [
+        { field: 'deadline', code: ERROR_CODES.OUT_OF_RANGE, message: 'O novo prazo não pode estar no passado' }
+      ]);
+    }
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE opportunities
+         SET deadline = $1,
+             deadline_reminder_sent_at = NULL,
+             status = CASE WHEN status = 'expired' THEN 'active' ELSE status END
+         WHERE id = $2
+         RETURNING *`,
+        [deadline, id]
+      );
+      await auditChange(req, client, { action: 'deadline_extend', entityType: 'opportunity', entityId: id, before: opportunity, after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: opportunity.status === 'expired'
+        ? req.t('Prazo estendido e oportunidade reativada! 🎉')
+        : req.t('Prazo estendido com sucesso!'),
+      opportunity: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao estender prazo da oportunidade:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EXCLUIR OPORTUNIDADE (PROTEGIDO - apenas o dono)
+app.delete('/api/opportunities/:id', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  let client;
+
+  try {
+    const { id } = req.params;
+    client = await db.connect();
+
+    const existing = await client.query(
+      'SELECT * FROM opportunities WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    if (existing.rows[0].user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para excluir esta oportunidade')
+      });
+    }
+
+    // Remover matches e visualizações vinculados junto com a oportunidade
+    await client.query('BEGIN');
+    const deletedMatches = await client.query('DELETE FROM matches WHERE opportunity_id = $1', [id]);
+    await client.query(`DELETE FROM listing_views WHERE entity_type = 'opportunity' AND entity_id = $1`, [id]);
+    await client.query('DELETE FROM opportunities WHERE id = $1', [id]);
+    await auditChange(req, client, {
+      action: 'delete',
+      entityType: 'opportunity',
+      entityId: id,
+      before: existing.rows[0],
+      context: { matches_deleted: deletedMatches.rowCount }
+    });
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: req.t('Oportunidade excluída com sucesso')
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Erro ao excluir oportunidade:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Consulta de GET /api/my-opportunities (também usada na exportação)
+function buildMyOpportunitiesQuery(userId, { status, deadline_before, deadline_after }) {
+  let query = 'SELECT * FROM opportunities WHERE user_id = $1';
+  const params = [userId];
+
+  if (status) {
+    params.push(status);
+    query += ` AND status = $${params.length}`;
+  }
+
+  if (deadline_before) {
+    params.push(deadline_before);
+    query += ` AND deadline <= $${params.length}`;
+  }
+
+  if (deadline_after) {
+    params.push(deadline_after);
+    query += ` AND deadline >= $${params.length}`;
+  }
+
+  query += ' ORDER BY created_at DESC';
+
+  return { query, params };
+}
+
+// MINHAS OPORTUNIDADES (PROTEGIDO)
+app.get('/api/my-opportunities', authenticateToken, validateRequest(myOpportunitiesQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { query, params } = buildMyOpportunitiesQuery(req.user.userId, req.query);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      opportunities: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar minhas oportunidades:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EXPORTAR MINHAS OPORTUNIDADES (PROTEGIDO)
+app.get('/api/my-opportunities/export', authenticateToken, validateRequest(myOpportunitiesExportQuerySchema, { source: 'query' }), sendExport((req) => {
+  const { query, params } = buildMyOpportunitiesQuery(req.user.userId, req.query);
+  return { name: 'my-opportunities', sql: query, params, columns: OPPORTUNITY_EXPORT_COLUMNS };
+}));
+
+// ==================== SISTEMA DE MATCHES ====================
+
+// Status geral do match a partir da resposta de cada lado
+function deriveMatchStatus(opportunityStatus, businessStatus) {
+  if (opportunityStatus === 'declined' || businessStatus === 'declined') return 'declined';
+  if (opportunityStatus === 'shortlisted' && businessStatus === 'accepted') return 'connected';
+  if (opportunityStatus === 'shortlisted') return 'shortlisted';
+  if (businessStatus === 'accepted') return 'accepted';
+  return 'pending';
+}
+
+// Grava os matches gerados (um por par oportunidade/empresa) preservando as respostas já dadas
+// Os matches novos entram na auditoria em nome de quem pediu a geração (req)
+// Retorna as empresas com os dados do match e os ids das empresas que ganharam um match novo
+async function persistMatches(opportunity, businesses, req) {
+  if (businesses.length === 0) return { matches: businesses, newBusinessIds: [] };
+
+  // xmax = 0 identifica as linhas recém-inseridas (matches novos)
+  const result = await withTransaction(async (client) => {
+    const upserted = await client.query(
+      `INSERT INTO matches (opportunity_id, business_id, match_score, score_breakdown)
+       SELECT $1, unnest($2::int[]), unnest($3::int[]), unnest($4::jsonb[])
+       ON CONFLICT (opportunity_id, business_id)
+       DO UPDATE SET match_score = EXCLUDED.match_score, score_breakdown = EXCLUDED.score_breakdown
+       RETURNING id, business_id, match_score, status, opportunity_status, business_status, (xmax = 0) as inserted`,
+      [
+        opportunity.id,
+        businesses.map(business => business.id),
+        businesses.map(business => parseInt(business.match_score) || 0),
+        businesses.map(business => JSON.stringify(business.score_breakdown || null))
+      ]
+    );
+    await auditChange(req, client, upserted.rows.filter(match => match.inserted).map(match => ({
+      action: 'create',
+      entityType: 'match',
+      entityId: match.id,
+      after: { opportunity_id: opportunity.id, business_id: match.business_id, match_score: match.match_score, status: match.status }
+    })));
+    return upserted;
+  });
+
+  const created = result.rows.filter(match => match.inserted);
+
+  return {
+    matches: withMatchState(businesses, result.rows),
+    newBusinessIds: created.map(match => match.business_id)
+  };
+}
+
+// Junta a cada empresa ranqueada o match gravado (null quando o par ainda não foi gerado)
+function withMatchState(businesses, storedMatches) {
+  const byBusiness = new Map(storedMatches.map(match => [match.business_id, match]));
+
+  return businesses.map(business => {
+    const match = byBusiness.get(business.id);
+    return {
+      ...business,
+      match_id: match ? match.id : null,
+      match_status: match ? match.status : null,
+      opportunity_status: match ? match.opportunity_status : null,
+      business_status: match ? match.business_status : null
+    };
+  });
+}
+
+// Busca candidatas com algum sinal de compatibilidade e aplica o motor de matches (sem gravar nada)
+async function rankMatchCandidates(opportunity, { weights = MATCH_WEIGHTS, minScore, limit } = {}) {
+  const candidates = await db.query(
+    `SELECT b.*
+     FROM businesses b
+     WHERE b.is_active = true
+     AND b.user_id IS DISTINCT FROM $1
+     AND (
+       $2 = ANY(b.brics_countries)
+       OR b.country = $2
+       OR EXISTS (SELECT 1 FROM unnest(b.tags) t WHERE lower(t) = ANY($3::text[]))
+       OR business_search_vector(b.company_name, b.description, b.products_services, b.tags)
+          @@ plainto_tsquery('${SEARCH_CONFIG}', $4)
+     )
+     ORDER BY b.is_verified DESC, b.updated_at DESC
+     LIMIT $5`,
+    [
+      opportunity.user_id,
+      opportunity.country,
+      (opportunity.tags || []).map(tag => tag.toLowerCase()),
+      opportunity.category,
+      MATCH_CANDIDATE_LIMIT
+    ]
+  );
+
+  return rankBusinesses(opportunity, candidates.rows, { weights, minScore, limit });
+}
+
+// Handler compartilhado pelas rotas de consulta de matches (mesmo motor, formatos compatíveis)
+// Somente leitura: os pesos da requisição reordenam a resposta; os matches gravados vêm junto quando existem
+const sendMatches = (version) => async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { weights, min_score, limit } = req.query;
+
+    // Buscar a oportunidade (contact_unlocked como no detalhe, para respeitar o hide_contact)
+    const opportunityResult = await db.query(
+      `SELECT o.*,
+              EXISTS (
+                SELECT 1 FROM inquiry_threads t
+                WHERE t.opportunity_id = o.id AND t.requester_id = $2 AND t.owner_replied_at IS NOT NULL
+              ) as contact_unlocked
+       FROM opportunities o
+       WHERE o.id = $1`,
+      [id, req.user.userId]
+    );
+
+    const isOwnerOrAdmin = opportunityResult.rows.length > 0 &&
+      (opportunityResult.rows[0].user_id === req.user.userId || req.user.role === 'admin');
+
+    // Pausadas, encerradas e moderadas só aparecem para o dono e o admin
+    if (opportunityResult.rows.length === 0 || (opportunityResult.rows[0].status !== 'active' && !isOwnerOrAdmin)) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    const opportunity = opportunityResult.rows[0];
+    const appliedWeights = resolveWeights(MATCH_WEIGHTS, parseWeightsParam(weights));
+
+    const ranked = await rankMatchCandidates(opportunity, {
+      weights: appliedWeights,
+      minScore: min_score !== undefined ? min_score : 1,
+      limit: limit
+    });
+
+    const storedMatches = await db.query(
+      `SELECT id, business_id, status, opportunity_status, business_status
+       FROM matches
+       WHERE opportunity_id = $1 AND business_id = ANY($2::int[])`,
+      [opportunity.id, ranked.map(business => business.id)]
+    );
+
+    const matches = withMatchState(ranked, storedMatches.rows);
+
+    const response = {
+      success: true,
+      opportunity: applyContactVisibility(opportunity, req.user.userId),
+      matches: matches.map(match => applyContactVisibility(match, req.user.userId)),
+      match_count: matches.length,
+      weights: appliedWeights
+    };
+
+    if (version === 'v2') {
+      response.match_logic = opportunity.type === 'offer' ? 'exportação → importação' : 'importação → exportação';
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Erro ao buscar matches:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+};
+
+// CONSULTAR MATCHES DE UMA OPORTUNIDADE (somente leitura)
+// Query opcional: weights=tags:40,countries:30 | min_score=0-100 | limit (máx. 100)
+app.get('/api/opportunities/:id/matches', authenticateToken, validateRequest(matchesQuerySchema, { source: 'query' }), sendMatches('v1'));
+
+// CONSULTAR MATCHES (rota legada, mantida por compatibilidade - mesmo motor)
+app.get('/api/opportunities/:id/matches-v2', authenticateToken, validateRequest(matchesQuerySchema, { source: 'query' }), sendMatches('v2'));
+
+// GERAR MATCHES (PROTEGIDO - dono da oportunidade ou admin; apenas oportunidades ativas)
+// Grava os matches com os pesos configurados (MATCH_WEIGHTS) e avisa as empresas com match novo
+app.post('/api/opportunities/:id/matches/generate', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const opportunityResult = await db.query(
+      'SELECT * FROM opportunities WHERE id = $1',
+      [id]
+    );
+
+    if (opportunityResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    const opportunity = opportunityResult.rows[0];
+
+    if (opportunity.user_id !== req.user.userId && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para gerar matches desta oportunidade')
+      });
+    }
+
+    if (opportunity.status !== 'active') {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Apenas oportunidades ativas geram matches')
+      });
+    }
+
+    const ranked = await rankMatchCandidates(opportunity, { minScore: 1, limit: MATCH_CANDIDATE_LIMIT });
+    const { matches, newBusinessIds } = await persistMatches(opportunity, ranked, req);
+
+    if (newBusinessIds.length > 0) {
+      notifyMatchedBusinesses(opportunity, newBusinessIds);
+    }
+
+    res.json({
+      success: true,
+      message: req.t('{count} match(es) novo(s) gerado(s)', { count: newBusinessIds.length }),
+      matches: matches.map(match => applyContactVisibility(match, req.user.userId)),
+      match_count: matches.length,
+      new_match_count: newBusinessIds.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao gerar matches:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// MEUS MATCHES (PROTEGIDO) - histórico de apresentações dos dois lados
+app.get('/api/my-matches', authenticateToken, validateRequest(myMatchesQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { role, status } = req.query;
+
+    let query = `
+      SELECT m.*,
+             o.title as opportunity_title, o.type as opportunity_type, o.user_id as opportunity_owner_id,
+             b.company_name as business_name, b.country as business_country, b.user_id as business_owner_id,
+             CASE WHEN o.user_id = $1 THEN 'opportunity' ELSE 'business' END as role
+      FROM matches m
+      JOIN opportunities o ON m.opportunity_id = o.id
+      JOIN businesses b ON m.business_id = b.id
+      WHERE (o.user_id = $1 OR b.user_id = $1)
+    `;
+    const params = [req.user.userId];
+    let paramCount = 1;
+
+    if (role === 'opportunity') {
+      query += ' AND o.user_id = $1';
+    } else if (role === 'business') {
+      query += ' AND b.user_id = $1';
+    }
+
+    if (status) {
+      paramCount++;
+      query += ` AND m.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    query += ' ORDER BY m.updated_at DESC';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      matches: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar meus matches:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// RESPONDER A UM MATCH (PROTEGIDO)
+// Dono da oportunidade: shortlisted/declined | Dono da empresa: accepted/declined
+app.patch('/api/matches/:id', authenticateToken, validateRequest(matchResponseSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const existing = await db.query(
+      `SELECT m.*, o.user_id as opportunity_owner_id, b.user_id as business_owner_id
+       FROM matches m
+       JOIN opportunities o ON m.opportunity_id = o.id
+       JOIN businesses b ON m.business_id = b.id
+       WHERE m.id = $1`,
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Match não encontrado')
+      });
+    }
+
+    const match = existing.rows[0];
+    const sides = [];
+    if (match.opportunity_owner_id === req.user.userId) sides.push('opportunity');
+    if (match.business_owner_id === req.user.userId) sides.push('business');
+
+    if (sides.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não participa deste match')
+      });
+    }
+
+    const side = sides.find(s => MATCH_RESPONSES[s].includes(status));
+    if (!side) {
+      const validStatuses = [...new Set(sides.flatMap(s => MATCH_RESPONSES[s]))];
+      return sendValidationError(req, res, [
+        { field: 'status', code: ERROR_CODES.INVALID_VALUE, message: 'Status inválido. Status válidos: {values}', params: { values: validStatuses.join(', ') } }
+      ]);
+    }
+
+    const opportunityStatus = side === 'opportunity' ? status : match.opportunity_status;
+    const businessStatus = side === 'business' ? status : match.business_status;
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE matches
+         SET opportunity_status = $1, business_status = $2, status = $3
+         WHERE id = $4
+         RETURNING *`,
+        [opportunityStatus, businessStatus, deriveMatchStatus(opportunityStatus, businessStatus), id]
+      );
+      await auditChange(req, client, { action: 'respond', entityType: 'match', entityId: id, before: match, after: updated.rows[0], context: { side } });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Resposta ao match registrada'),
+      match: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao responder match:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ==================== BUSCAS SALVAS ====================
+
+// Filtros de uma busca salva (os mesmos de GET /api/opportunities)
+const savedSearchSchema = createSchema(
+  {
+    name: { type: 'string', required: true, maxLength: 100 },
+    type: { type: 'string', enum: ['offer', 'demand'] },
+    category: categoryField,
+    country: bricsCountryField,
+    search: { type: 'string', maxLength: 200 },
+    tags: tagsField,
+    delivery: { type: 'string', enum: SAVED_SEARCH_DELIVERIES, default: 'digest' },
+    is_active: { type: 'boolean' }
+  },
+  ({ type, category, country, search, tags }) => !type && !category && !country && !search && !(tags && tags.length)
+    ? { field: 'filters', code: ERROR_CODES.REQUIRED, message: 'Informe pelo menos um filtro: type, category, country, search ou tags' }
+    : null
+);
+
+const SAVED_SEARCH_FIELDS = Object.keys(savedSearchSchema.fields);
+
+const savedSearchMatchesQuerySchema = createSchema({
+  all: { type: 'boolean', default: false }
+});
+
+// Tags das buscas salvas são gravadas em minúsculas para comparação sem distinção de caixa
+const normalizeSearchTags = (tags) => tags.map(tag => tag.trim().toLowerCase()).filter(Boolean);
+
+// Registra a nova oportunidade nas buscas salvas compatíveis e envia os alertas imediatos
+async function matchSavedSearches(opportunity) {
+  try {
+    const result = await db.query(
+      `INSERT INTO saved_search_matches (saved_search_id, opportunity_id)
+       SELECT s.id, $1
+       FROM saved_searches s
+       WHERE s.is_active = true
+       AND s.user_id <> $2
+       AND (s.type IS NULL OR s.type = $3)
+       AND (s.category IS NULL OR s.category = $4)
+       AND (s.country IS NULL OR s.country = $5)
+       AND (s.tags IS NULL OR cardinality(s.tags) = 0 OR s.tags && $9::text[])
+       AND (s.search IS NULL OR opportunity_search_vector($7, $8, $6::text[])
+            @@ websearch_to_tsquery('${SEARCH_CONFIG}', s.search))
+       ON CONFLICT (saved_search_id, opportunity_id) DO NOTHING
+       RETURNING saved_search_id`,
+      [
+        opportunity.id,
+        opportunity.user_id,
+        opportunity.type,
+        opportunity.category,
+        opportunity.country,
+        opportunity.tags || [],
+        opportunity.title,
+        opportunity.description,
+        normalizeSearchTags(opportunity.tags || [])
+      ]
+    );
+
+    if (result.rows.length === 0) return;
+
+    const immediate = await db.query(
+      `SELECT s.id, s.name, u.email, u.name as user_name
+       FROM saved_searches s
+       JOIN users u ON s.user_id = u.id
+       LEFT JOIN notification_preferences np ON np.user_id = u.id
+       WHERE s.id = ANY($1::int[])
+       AND s.delivery = 'immediate'
+       AND COALESCE(np.saved_search_alerts, true) = true`,
+      [result.rows.map(row => row.saved_search_id)]
+    );
+
+    for (const search of immediate.rows) {
+      const sent = await sendSavedSearchAlert(search, search.name, [opportunity]);
+
+      if (sent) {
+        await db.query(
+          'UPDATE saved_search_matches SET notified_at = CURRENT_TIMESTAMP WHERE saved_search_id = $1 AND opportunity_id = $2',
+          [search.id, opportunity.id]
+        );
+      }
+    }
+  } catch (error) {
+    console.error('Erro ao processar buscas salvas:', error);
+  }
+}
+
+// LISTAR MINHAS BUSCAS SALVAS (PROTEGIDO) - com total de matches não vistos
+app.get('/api/saved-searches', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT s.*,
+              COUNT(m.id) FILTER (WHERE m.seen_at IS NULL AND o.status = 'active') as unseen_count
+       FROM saved_searches s
+       LEFT JOIN saved_search_matches m ON m.saved_search_id = s.id
+       LEFT JOIN opportunities o ON m.opportunity_id = o.id
+       WHERE s.user_id = $1
+       GROUP BY s.id
+       ORDER BY s.created_at DESC`,
+      [req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      saved_searches: result.rows.map(search => ({ ...search, unseen_count: parseInt(search.unseen_count) })),
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar buscas salvas:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// CRIAR BUSCA SALVA (PROTEGIDO)
+app.post('/api/saved-searches', authenticateToken, validateRequest(savedSearchSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { name, type, category, country, search, tags, delivery } = req.body;
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM saved_searches WHERE user_id = $1',
+      [req.user.userId]
+    );
+
+    if (parseInt(countResult.rows[0].count) >= MAX_SAVED_SEARCHES) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Limite de {max} buscas salvas atingido', { max: MAX_SAVED_SEARCHES })
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO saved_searches (user_id, name, type, category, country, search, tags, delivery)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [req.user.userId, name, type || null, category || null, country || null, search || null, tags ? normalizeSearchTags(tags) : null, delivery]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Busca salva! Avisaremos quando surgirem novas oportunidades. 🔔'),
+      saved_search: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao criar busca salva:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EDITAR BUSCA SALVA (PROTEGIDO - apenas o dono)
+app.patch('/api/saved-searches/:id', authenticateToken, validateRequest(savedSearchSchema, { partial: true }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query(
+      'SELECT * FROM saved_searches WHERE id = $1 AND user_id = $2',
+      [id, req.user.userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Busca salva não encontrada')
+      });
+    }
+
+    const fields = SAVED_SEARCH_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Nenhum campo para atualizar. Campos editáveis: {fields}', { fields: SAVED_SEARCH_FIELDS.join(', ') })
+      });
+    }
+
+    // A busca editada ainda precisa de pelo menos um filtro
+    const ruleErrors = checkRules(savedSearchSchema, { ...existing.rows[0], ...req.body });
+    if (ruleErrors.length > 0) {
+      return sendValidationError(req, res, ruleErrors);
+    }
+
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    const params = fields.map(field => {
+      if (field === 'tags' && Array.isArray(req.body.tags)) return normalizeSearchTags(req.body.tags);
+      return req.body[field] === '' ? null : req.body[field];
+    });
+    params.push(id);
+
+    const result = await db.query(
+      `UPDATE saved_searches SET ${setClause} WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+
+    res.json({
+      success: true,
+      message: req.t('Busca salva atualizada'),
+      saved_search: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao atualizar busca salva:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// EXCLUIR BUSCA SALVA (PROTEGIDO - apenas o dono)
+app.delete('/api/saved-searches/:id', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      'DELETE FROM saved_searches WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Busca salva não encontrada')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: req.t('Busca salva excluída')
+    });
+
+  } catch (error) {
+    console.error('Erro ao excluir busca salva:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// OPORTUNIDADES DE UMA BUSCA SALVA (PROTEGIDO - apenas o dono)
+// Por padrão só as não vistas; ?all=true traz o histórico completo
+app.get('/api/saved-searches/:id/matches', authenticateToken, validateRequest(savedSearchMatchesQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { all } = req.query;
+
+    const existing = await db.query(
+      'SELECT * FROM saved_searches WHERE id = $1 AND user_id = $2',
+      [id, req.user.userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Busca salva não encontrada')
+      });
+    }
+
+    let query = `
+      SELECT o.*, m.created_at as matched_at, m.seen_at, u.name as user_name, u.company_name as user_company
+      FROM saved_search_matches m
+      JOIN opportunities o ON m.opportunity_id = o.id
+      LEFT JOIN users u ON o.user_id = u.id
+      WHERE m.saved_search_id = $1
+    `;
+
+    if (!all) {
+      query += ` AND m.seen_at IS NULL AND o.status = 'active'`;
+    }
+
+    query += ' ORDER BY m.created_at DESC';
+
+    const result = await db.query(query, [id]);
+
+    res.json({
+      success: true,
+      saved_search: existing.rows[0],
+      opportunities: result.rows.map(opportunity => applyContactVisibility(opportunity, req.user.userId)),
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar matches da busca salva:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// MARCAR MATCHES DA BUSCA SALVA COMO VISTOS (PROTEGIDO - apenas o dono)
+app.post('/api/saved-searches/:id/seen', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+
+    const existing = await db.query(
+      'SELECT id FROM saved_searches WHERE id = $1 AND user_id = $2',
+      [id, req.user.userId]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Busca salva não encontrada')
+      });
+    }
+
+    const result = await db.query(
+      'UPDATE saved_search_matches SET seen_at = CURRENT_TIMESTAMP WHERE saved_search_id = $1 AND seen_at IS NULL',
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: req.t('Oportunidades marcadas como vistas'),
+      marked: result.rowCount
+    });
+
+  } catch (error) {
+    console.error('Erro ao marcar matches como vistos:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ==================== CONSULTAS ENTRE EMPRESAS ====================
+// Conversas entre um interessado e o dono de uma oportunidade ou empresa
+
+// Estado da conversa do ponto de vista do usuário $1 (dono ou interessado)
+const INQUIRY_MY_ROLE = `CASE WHEN t.owner_id = $1 THEN 'owner' ELSE 'requester' END`;
+const INQUIRY_MY_ARCHIVED_AT = 'CASE WHEN t.owner_id = $1 THEN t.owner_archived_at ELSE t.requester_archived_at END';
+const INQUIRY_UNREAD_COUNT = `(
+  SELECT COUNT(*) FROM inquiry_messages im
+  WHERE im.thread_id = t.id
+  AND im.sender_id IS DISTINCT FROM $1
+  AND im.created_at > COALESCE(CASE WHEN t.owner_id = $1 THEN t.owner_read_at ELSE t.requester_read_at END, '-infinity')
+)`;
+
+const inquiryMessageField = { type: 'string', required: true, maxLength: INQUIRY_MESSAGE_MAX_LENGTH };
+
+const inquirySchema = createSchema(
+  {
+    opportunity_id: { type: 'integer', min: 1 },
+    business_id: { type: 'integer', min: 1 },
+    subject: { type: 'string', maxLength: 255 },
+    message: inquiryMessageField
+  },
+  ({ opportunity_id, business_id }) => !opportunity_id === !business_id
+    ? { field: 'opportunity_id', code: ERROR_CODES.INVALID_VALUE, message: 'Informe opportunity_id ou business_id (apenas um)' }
+    : null
+);
+
+const inquiryReplySchema = createSchema({
+  message: inquiryMessageField
+});
+
+const inquiriesQuerySchema = createSchema({
+  box: { type: 'string', enum: ['inbox', 'archived', 'all'], default: 'inbox' },
+  role: { type: 'string', enum: ['owner', 'requester'] },
+  unread: { type: 'boolean', default: false },
+  ...pageFields(20)
+});
+
+// Conversa em que o usuário participa, com o lado dele; null se não existir ou não for dele
+async function findInquiryThread(id, userId) {
+  const result = await db.query(
+    `SELECT t.*, ${INQUIRY_MY_ROLE} as role
+     FROM inquiry_threads t
+     WHERE t.id = $2 AND (t.owner_id = $1 OR t.requester_id = $1)`,
+    [userId, id]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Conversas e mensagens não lidas fora do arquivo (para badges)
+async function countUnreadInquiries(userId) {
+  const result = await db.query(
+    `SELECT COUNT(*) FILTER (WHERE unread > 0) as threads, COALESCE(SUM(unread), 0) as messages
+     FROM (
+       SELECT ${INQUIRY_UNREAD_COUNT} as unread
+       FROM inquiry_threads t
+       WHERE (t.owner_id = $1 OR t.requester_id = $1)
+       AND ${INQUIRY_MY_ARCHIVED_AT} IS NULL
+     ) counts`,
+    [userId]
+  );
+
+  return {
+    threads: parseInt(result.rows[0].threads),
+    messages: parseInt(result.rows[0].messages)
+  };
+}
+
+// Grava a mensagem e atualiza a conversa: lida por quem enviou, desarquivada para quem recebe
+async function addInquiryMessage(client, thread, senderId, body) {
+  const side = thread.owner_id === senderId ? 'owner' : 'requester';
+  const otherSide = side === 'owner' ? 'requester' : 'owner';
+
+  const message = await client.query(
+    'INSERT INTO inquiry_messages (thread_id, sender_id, body) VALUES ($1, $2, $3) RETURNING *',
+    [thread.id, senderId, body.trim()]
+  );
+
+  const updated = await client.query(
+    `UPDATE inquiry_threads
+     SET last_message_at = CURRENT_TIMESTAMP,
+         ${side}_read_at = CURRENT_TIMESTAMP,
+         ${otherSide}_archived_at = NULL
+         ${side === 'owner' ? ', owner_replied_at = COALESCE(owner_replied_at, CURRENT_TIMESTAMP)' : ''}
+     WHERE id = $1
+     RETURNING *`,
+    [thread.id]
+  );
+
+  return { thread: updated.rows[0], message: message.rows[0] };
+}
+
+// CAIXA DE CONSULTAS (PROTEGIDO)
+// Query opcional: box=inbox|archived|all | role=owner|requester | unread=true | page, limit
+app.get('/api/inquiries', authenticateToken, validateRequest(inquiriesQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { box, role, unread, page, limit } = req.query;
+
+    let query = `
+      FROM inquiry_threads t
+      JOIN users cu ON cu.id = CASE WHEN t.owner_id = $1 THEN t.requester_id ELSE t.owner_id END
+      LEFT JOIN opportunities o ON t.opportunity_id = o.id
+      LEFT JOIN businesses b ON t.business_id = b.id
+      LEFT JOIN LATERAL (
+        SELECT sender_id, body FROM inquiry_messages
+        WHERE thread_id = t.id ORDER BY created_at DESC, id DESC LIMIT 1
+      ) lm ON true
+      WHERE (t.owner_id = $1 OR t.requester_id = $1)
+    `;
+    const params = [req.user.userId];
+
+    if (box === 'inbox') {
+      query += ` AND ${INQUIRY_MY_ARCHIVED_AT} IS NULL`;
+    } else if (box === 'archived') {
+      query += ` AND ${INQUIRY_MY_ARCHIVED_AT} IS NOT NULL`;
+    }
+
+    if (role === 'owner') {
+      query += ' AND t.owner_id = $1';
+    } else if (role === 'requester') {
+      query += ' AND t.requester_id = $1';
+    }
+
+    if (unread) {
+      query += ` AND ${INQUIRY_UNREAD_COUNT} > 0`;
+    }
+
+    const result = await db.query(
+      `SELECT t.id, t.opportunity_id, t.business_id, t.subject, t.last_message_at, t.owner_replied_at, t.created_at,
+              ${INQUIRY_MY_ROLE} as role,
+              ${INQUIRY_MY_ARCHIVED_AT} as archived_at,
+              cu.name as counterpart_name, cu.company_name as counterpart_company,
+              o.title as opportunity_title, b.company_name as business_name,
+              ${INQUIRY_UNREAD_COUNT}::int as unread_count,
+              lm.sender_id as last_sender_id, left(lm.body, 200) as last_message
+       ${query}
+       ORDER BY t.last_message_at DESC
+       LIMIT $2 OFFSET $3`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const countResult = await db.query(`SELECT COUNT(*) ${query}`, params);
+
+    res.json({
+      success: true,
+      threads: result.rows,
+      unread: await countUnreadInquiries(req.user.userId),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: parseInt(countResult.rows[0].count),
+        totalPages: Math.ceil(countResult.rows[0].count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar consultas:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// TOTAL DE CONSULTAS NÃO LIDAS (PROTEGIDO)
+app.get('/api/inquiries/unread-count', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      unread: await countUnreadInquiries(req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Erro ao contar consultas não lidas:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ENVIAR CONSULTA SOBRE UMA OPORTUNIDADE OU EMPRESA (PROTEGIDO)
+// Body: opportunity_id ou business_id, message e subject (opcional)
+// Uma nova consulta sobre o mesmo item continua a conversa existente
+app.post('/api/inquiries', authenticateToken, requireVerifiedEmail, validateRequest(inquirySchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  let client;
+
+  try {
+    const { opportunity_id, business_id, subject, message } = req.body;
+
+    const target = opportunity_id
+      ? await db.query(
+        `SELECT id, user_id, title as name FROM opportunities WHERE id = $1 AND status = 'active'`,
+        [opportunity_id]
+      )
+      : await db.query(
+        'SELECT id, user_id, company_name as name FROM businesses WHERE id = $1 AND is_active = true',
+        [business_id]
+      );
+
+    if (target.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: opportunity_id ? req.t('Oportunidade não encontrada') : req.t('Empresa não encontrada')
+      });
+    }
+
+    const item = target.rows[0];
+
+    if (item.user_id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Você não pode enviar uma consulta para si mesmo')
+      });
+    }
+
+    const targetColumn = opportunity_id ? 'opportunity_id' : 'business_id';
+
+    client = await db.connect();
+    await client.query('BEGIN');
+
+    const threadResult = await client.query(
+      `INSERT INTO inquiry_threads (${targetColumn}, requester_id, owner_id, subject)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (${targetColumn}, requester_id) WHERE ${targetColumn} IS NOT NULL
+       DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+       RETURNING *, (xmax = 0) as inserted`,
+      [item.id, req.user.userId, item.user_id, (subject || `Consulta: ${item.name}`).slice(0, 255)]
+    );
+
+    const { inserted, ...thread } = threadResult.rows[0];
+    const sent = await addInquiryMessage(client, thread, req.user.userId, message);
+
+    await client.query('COMMIT');
+
+    // Avisar o dono por e-mail (não bloqueia a resposta)
+    notifyInquiryMessage(sent.thread, item.user_id, req.user.userId, sent.message.body);
+
+    res.status(201).json({
+      success: true,
+      message: inserted ? req.t('Consulta enviada! ✉️') : req.t('Mensagem adicionada à conversa existente'),
+      thread: sent.thread,
+      inquiry_message: sent.message
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Erro ao enviar consulta:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// VER CONVERSA (PROTEGIDO - apenas participantes) - marca as mensagens como lidas
+app.get('/api/inquiries/:id', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const thread = await findInquiryThread(req.params.id, req.user.userId);
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Conversa não encontrada')
+      });
+    }
+
+    const messages = await db.query(
+      `SELECT m.*, u.name as sender_name, u.company_name as sender_company
+       FROM inquiry_messages m
+       LEFT JOIN users u ON m.sender_id = u.id
+       WHERE m.thread_id = $1
+       ORDER BY m.created_at, m.id`,
+      [thread.id]
+    );
+
+    await db.query(
+      `UPDATE inquiry_threads SET ${thread.role}_read_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [thread.id]
+    );
+
+    res.json({
+      success: true,
+      thread: thread,
+      messages: messages.rows
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar conversa:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// RESPONDER NA CONVERSA (PROTEGIDO - apenas participantes)
+app.post('/api/inquiries/:id/messages', authenticateToken, validateRequest(inquiryReplySchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  let client;
+
+  try {
+    const { message } = req.body;
+
+    const thread = await findInquiryThread(req.params.id, req.user.userId);
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Conversa não encontrada')
+      });
+    }
+
+    client = await db.connect();
+    await client.query('BEGIN');
+    const sent = await addInquiryMessage(client, thread, req.user.userId, message);
+    await client.query('COMMIT');
+
+    const recipientId = thread.role === 'owner' ? thread.requester_id : thread.owner_id;
+    notifyInquiryMessage(sent.thread, recipientId, req.user.userId, sent.message.body);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Mensagem enviada'),
+      thread: sent.thread,
+      inquiry_message: sent.message
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Erro ao responder consulta:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Arquivar/desarquivar vale só para o lado de quem pediu
+const setInquiryArchived = (archived) => async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const thread = await findInquiryThread(req.params.id, req.user.userId);
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Conversa não encontrada')
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE inquiry_threads
+       SET ${thread.role}_archived_at = ${archived ? 'CURRENT_TIMESTAMP' : 'NULL'}
+       WHERE id = $1
+       RETURNING *`,
+      [thread.id]
+    );
+
+    res.json({
+      success: true,
+      message: archived ? req.t('Conversa arquivada') : req.t('Conversa movida para a caixa de entrada'),
+      thread: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao arquivar conversa:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+};
+
+// ARQUIVAR CONVERSA (PROTEGIDO - apenas participantes)
+app.patch('/api/inquiries/:id/archive', authenticateToken, setInquiryArchived(true));
+
+// DESARQUIVAR CONVERSA (PROTEGIDO - apenas participantes)
+app.patch('/api/inquiries/:id/unarchive', authenticateToken, setInquiryArchived(false));
+
+// ==================== NOTIFICAÇÕES POR E-MAIL ====================
+
+// Boas-vindas após o registro, com o link de confirmação do e-mail
+function sendWelcomeEmail(user, verificationToken) {
+  return mailer.send({
+    to: user.email,
+    subject: 'Bem-vindo ao BBH Business Hub! 🌍',
+    text: `Olá ${user.name},\n\n` +
+      `Sua conta para ${user.company_name} foi criada com sucesso.\n` +
+      `Confirme seu e-mail para publicar oportunidades: ${FRONTEND_URL}/verify-email?token=${verificationToken}\n\n` +
+      `Cadastre sua empresa e publique oportunidades para se conectar com parceiros em ${activeCountryNames().length} países BRICS+.\n\n` +
+      'Equipe BBH Business Hub'
+  });
+}
+
+// Avisa as empresas que acabaram de receber um match com a oportunidade
+async function notifyMatchedBusinesses(opportunity, businessIds) {
+  try {
+    const result = await db.query(
+      `SELECT b.id, b.company_name, COALESCE(b.contact_email, u.email) as email, u.name as user_name
+       FROM businesses b
+       JOIN users u ON b.user_id = u.id
+       LEFT JOIN notification_preferences np ON np.user_id = u.id
+       WHERE b.id = ANY($1::int[])
+       AND COALESCE(np.match_emails, true) = true`,
+      [businessIds]
+    );
+
+    for (const business of result.rows) {
+      await mailer.send({
+        to: business.email,
+        subject: `Nova oportunidade compatível: ${opportunity.title}`,
+        text: `Olá ${business.user_name},\n\n` +
+          `${business.company_name} foi identificada como compatível com a oportunidade "${opportunity.title}" ` +
+          `(${opportunity.category}, ${opportunity.country}).\n\n` +
+          'Acesse o BBH Business Hub para aceitar ou recusar a apresentação.\n\n' +
+          'Equipe BBH Business Hub'
+      });
+    }
+  } catch (error) {
+    console.error('Erro ao notificar matches:', error);
+  }
+}
+
+// Avisos de prazo e expiração de oportunidades vencidas (mesma rotina de node expiry.js)
+async function runOpportunityExpiry() {
+  if (!dbConnected) return;
+
+  try {
+    const { reminded, expired } = await runExpiryJob(db, mailer);
+    if (reminded > 0 || expired > 0) {
+      console.log(`⏰ Prazos: ${reminded} aviso(s) enviado(s), ${expired} oportunidade(s) expirada(s)`);
+    }
+  } catch (error) {
+    console.error('Erro na expiração de oportunidades:', error);
+  }
+}
+
+// Alerta de novas oportunidades para uma busca salva
+function sendSavedSearchAlert(recipient, searchName, opportunities) {
+  const list = opportunities
+    .map(opportunity => `- ${opportunity.title} (${opportunity.type}, ${opportunity.category}, ${opportunity.country})`)
+    .join('\n');
+
+  return mailer.send({
+    to: recipient.email,
+    subject: `${opportunities.length} nova(s) oportunidade(s) para "${searchName}"`,
+    text: `Olá ${recipient.user_name},\n\n` +
+      `Novas oportunidades correspondem à sua busca salva "${searchName}":\n\n${list}\n\n` +
+      'Acesse o BBH Business Hub para ver os detalhes.\n\n' +
+      'Equipe BBH Business Hub'
+  });
+}
+
+// Resumo diário: agrupa os matches ainda não notificados das buscas com entrega "digest"
+// Só entram oportunidades ativas (como em unseen_count); as demais ficam para quando voltarem a ficar ativas
+async function sendSavedSearchDigests() {
+  if (!dbConnected) return 0;
+
+  try {
+    const result = await db.query(
+      `SELECT s.id, s.name, u.email, u.name as user_name,
+              array_agg(m.id) as match_ids,
+              json_agg(json_build_object(
+                'title', o.title, 'type', o.type, 'category', o.category, 'country', o.country
+              ) ORDER BY o.created_at) as opportunities
+       FROM saved_searches s
+       JOIN users u ON s.user_id = u.id
+       JOIN saved_search_matches m ON m.saved_search_id = s.id
+       JOIN opportunities o ON m.opportunity_id = o.id
+       LEFT JOIN notification_preferences np ON np.user_id = u.id
+       WHERE s.delivery = 'digest'
+       AND s.is_active = true
+       AND m.notified_at IS NULL
+       AND o.status = 'active'
+       AND (s.last_digest_at IS NULL OR s.last_digest_at < CURRENT_TIMESTAMP - INTERVAL '24 hours')
+       AND COALESCE(np.saved_search_alerts, true) = true
+       GROUP BY s.id, u.email, u.name`
+    );
+
+    for (const search of result.rows) {
+      const sent = await sendSavedSearchAlert(search, search.name, search.opportunities);
+
+      if (sent) {
+        // Apenas os matches enviados neste resumo (novos matches chegam no próximo)
+        await db.query(
+          'UPDATE saved_search_matches SET notified_at = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])',
+          [search.match_ids]
+        );
+        await db.query(
+          'UPDATE saved_searches SET last_digest_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [search.id]
+        );
+      }
+    }
+
+    return result.rows.length;
+  } catch (error) {
+    console.error('Erro ao enviar resumo de buscas salvas:', error);
+    return 0;
+  }
+}
+
+// Avisa o outro participante sobre uma nova mensagem na conversa
+async function notifyInquiryMessage(thread, recipientId, senderId, body) {
+  try {
+    const result = await db.query(
+      `SELECT u.id, u.email, u.name, u.company_name, COALESCE(np.inquiry_emails, true) as inquiry_emails
+       FROM users u
+       LEFT JOIN notification_preferences np ON np.user_id = u.id
+       WHERE u.id = ANY($1::int[])`,
+      [[recipientId, senderId]]
+    );
+
+    const recipient = result.rows.find(user => user.id === recipientId);
+    const sender = result.rows.find(user => user.id === senderId);
+    if (!recipient || !sender || !recipient.inquiry_emails) return;
+
+    await mailer.send({
+      to: recipient.email,
+      subject: `Nova mensagem: ${thread.subject}`,
+      text: `Olá ${recipient.name},\n\n` +
+        `${sender.name} (${sender.company_name}) escreveu na conversa "${thread.subject}":\n\n` +
+        `${body}\n\n` +
+        `Responda pelo BBH Business Hub: ${FRONTEND_URL}/inquiries/${thread.id}\n\n` +
+        'Equipe BBH Business Hub'
+    });
+  } catch (error) {
+    console.error('Erro ao notificar mensagem de consulta:', error);
+  }
+}
+
+// PREFERÊNCIAS DE NOTIFICAÇÃO (PROTEGIDO)
+app.get('/api/notifications/preferences', authenticateToken, async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT ${NOTIFICATION_PREFERENCES.join(', ')} FROM notification_preferences WHERE user_id = $1`,
+      [req.user.userId]
+    );
+
+    const defaults = Object.fromEntries(NOTIFICATION_PREFERENCES.map(pref => [pref, true]));
+
+    res.json({
+      success: true,
+      preferences: result.rows[0] || defaults
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar preferências de notificação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ATUALIZAR PREFERÊNCIAS DE NOTIFICAÇÃO (PROTEGIDO)
+app.patch('/api/notifications/preferences', authenticateToken, validateRequest(notificationPreferencesSchema, { partial: true }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const fields = NOTIFICATION_PREFERENCES.filter(pref => req.body[pref] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Nenhuma preferência para atualizar. Preferências: {preferences}', { preferences: NOTIFICATION_PREFERENCES.join(', ') })
+      });
+    }
+
+    const params = [req.user.userId, ...fields.map(pref => req.body[pref])];
+    const columns = fields.join(', ');
+    const placeholders = fields.map((pref, index) => `$${index + 2}`).join(', ');
+    const updates = fields.map(pref => `${pref} = EXCLUDED.${pref}`).join(', ');
+
+    const result = await db.query(
+      `INSERT INTO notification_preferences (user_id, ${columns})
+       VALUES ($1, ${placeholders})
+       ON CONFLICT (user_id) DO UPDATE SET ${updates}, updated_at = CURRENT_TIMESTAMP
+       RETURNING ${NOTIFICATION_PREFERENCES.join(', ')}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      message: req.t('Preferências atualizadas'),
+      preferences: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao atualizar preferências de notificação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ==================== ADMINISTRAÇÃO E MODERAÇÃO ====================
+
+// ALTERAR PAPEL DE UM USUÁRIO (PROTEGIDO - apenas admin)
+app.patch('/api/admin/users/:id/role', authenticateToken, authorizeRoles('admin'), validateRequest(adminRoleSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (parseInt(id) === req.user.userId && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: req.t('Você não pode remover seu próprio acesso de admin')
+      });
+    }
+
+    const existing = await db.query(
+      'SELECT role FROM users WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Usuário não encontrado')
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE users SET role = $1 WHERE id = $2
+         RETURNING id, name, email, company_name, country, business_segment, role, created_at`,
+        [role, id]
+      );
+      await auditChange(req, client, { action: 'role_change', entityType: 'user', entityId: id, before: existing.rows[0], after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Papel alterado para "{role}"', { role }),
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao alterar papel do usuário:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// VERIFICAR/REMOVER VERIFICAÇÃO DE EMPRESA (PROTEGIDO - admin e moderador)
+app.patch('/api/admin/businesses/:id/verify', authenticateToken, authorizeRoles('admin', 'moderator'), validateRequest(adminVerifySchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { is_verified } = req.body;
+
+    const existing = await db.query(
+      'SELECT * FROM businesses WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Empresa não encontrada')
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE businesses
+         SET is_verified = $1, verified_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+         WHERE id = $2 RETURNING *`,
+        [is_verified, id]
+      );
+      await auditChange(req, client, { action: 'verify', entityType: 'business', entityId: id, before: existing.rows[0], after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: is_verified ? req.t('Empresa verificada') : req.t('Verificação da empresa removida'),
+      business: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao verificar empresa:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// VERIFICAR/REMOVER VERIFICAÇÃO DE OPORTUNIDADE (PROTEGIDO - admin e moderador)
+app.patch('/api/admin/opportunities/:id/verify', authenticateToken, authorizeRoles('admin', 'moderator'), validateRequest(adminVerifySchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { is_verified } = req.body;
+
+    const existing = await db.query(
+      'SELECT * FROM opportunities WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE opportunities
+         SET is_verified = $1, verified_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+         WHERE id = $2 RETURNING *`,
+        [is_verified, id]
+      );
+      await auditChange(req, client, { action: 'verify', entityType: 'opportunity', entityId: id, before: existing.rows[0], after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: is_verified ? req.t('Oportunidade verificada') : req.t('Verificação da oportunidade removida'),
+      opportunity: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao verificar oportunidade:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// FILA DE VERIFICAÇÕES (PROTEGIDO - admin e moderador)
+app.get('/api/admin/verifications', authenticateToken, authorizeRoles('admin', 'moderator'), validateRequest(adminVerificationsQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { status } = req.query;
+
+    const result = await db.query(
+      `SELECT v.*, b.company_name, b.country, b.business_type,
+              u.name as user_name, u.email as user_email
+       FROM verification_requests v
+       JOIN businesses b ON v.business_id = b.id
+       LEFT JOIN users u ON v.user_id = u.id
+       WHERE v.status = $1
+       ORDER BY v.created_at ASC`,
+      [status]
+    );
+
+    res.json({
+      success: true,
+      verifications: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar verificações:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// APROVAR/REJEITAR VERIFICAÇÃO (PROTEGIDO - admin e moderador)
+app.patch('/api/admin/verifications/:id', authenticateToken, authorizeRoles('admin', 'moderator'), validateRequest(verificationReviewSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  let client;
+
+  try {
+    const { id } = req.params;
+    const { decision, reason } = req.body;
+
+    client = await db.connect();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE verification_requests
+       SET status = $1, review_reason = $2, reviewer_id = $3, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND status = 'pending'
+       RETURNING *`,
+      [decision, reason, req.user.userId, id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: req.t('Solicitação pendente não encontrada')
+      });
+    }
+
+    const verification = result.rows[0];
+
+    if (decision === 'approved') {
+      const previous = await client.query(
+        'SELECT * FROM businesses WHERE id = $1 FOR UPDATE',
+        [verification.business_id]
+      );
+      const business = await client.query(
+        `UPDATE businesses SET is_verified = true, verified_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+        [verification.business_id]
+      );
+      await auditChange(req, client, {
+        action: 'verify',
+        entityType: 'business',
+        entityId: verification.business_id,
+        before: previous.rows[0],
+        after: business.rows[0],
+        context: { verification_id: verification.id }
+      });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: decision === 'approved' ? req.t('Empresa verificada com sucesso!') : req.t('Solicitação de verificação rejeitada'),
+      verification: verification
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Erro ao revisar verificação:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// MODERAR EMPRESA - ativar/desativar (PROTEGIDO - admin e moderador)
+app.patch('/api/admin/businesses/:id/moderate', authenticateToken, authorizeRoles('admin', 'moderator'), validateRequest(adminModerateSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { is_active, reason } = req.body;
+
+    const existing = await db.query(
+      'SELECT * FROM businesses WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Empresa não encontrada')
+      });
+    }
+
+    // Desativar registra o bloqueio (o dono não pode reativar); reativar pela moderação o remove
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE businesses
+         SET is_active = $1,
+             moderated_at = CASE WHEN $1 THEN NULL ELSE NOW() END,
+             moderated_by = CASE WHEN $1 THEN NULL ELSE $3::int END,
+             moderation_reason = CASE WHEN $1 THEN NULL ELSE $4::text END
+         WHERE id = $2
+         RETURNING *`,
+        [is_active, id, req.user.userId, reason || null]
+      );
+      await auditChange(req, client, { action: 'moderate', entityType: 'business', entityId: id, before: existing.rows[0], after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: is_active ? req.t('Empresa reativada pela moderação') : req.t('Empresa desativada pela moderação'),
+      business: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao moderar empresa:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// MODERAR OPORTUNIDADE - forçar status (PROTEGIDO - admin e moderador)
+app.patch('/api/admin/opportunities/:id/moderate', authenticateToken, authorizeRoles('admin', 'moderator'), validateRequest(adminOpportunityModerateSchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    const existing = await db.query(
+      'SELECT * FROM opportunities WHERE id = $1',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Oportunidade não encontrada')
+      });
+    }
+
+    // A moderação ignora a tabela de transições do dono; qualquer status diferente de active
+    // bloqueia as alterações de status pelo dono até a moderação reativar
+    const locked = status !== 'active';
+    const result = await withTransaction(async (client) => {
+      const updated = await client.query(
+        `UPDATE opportunities
+         SET status = $1,
+             moderated_at = CASE WHEN $3 THEN NOW() ELSE NULL END,
+             moderated_by = CASE WHEN $3 THEN $4::int ELSE NULL END,
+             moderation_reason = CASE WHEN $3 THEN $5::text ELSE NULL END
+         WHERE id = $2
+         RETURNING *`,
+        [status, id, locked, req.user.userId, reason || null]
+      );
+      await auditChange(req, client, { action: 'moderate', entityType: 'opportunity', entityId: id, before: existing.rows[0], after: updated.rows[0] });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Status alterado para "{status}" pela moderação', { status }),
+      opportunity: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Erro ao moderar oportunidade:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// BLOQUEIOS DE LOGIN (PROTEGIDO - apenas admin)
+// Query opcional: status=active|expired|released|all | email (parte do e-mail) | page, limit
+app.get('/api/admin/lockouts', authenticateToken, authorizeRoles('admin'), validateRequest(adminLockoutsQuerySchema, { source: 'query' }), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { status, email, page, limit } = req.query;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (status === 'active') {
+      whereClause += ' AND l.released_at IS NULL AND l.locked_until > NOW()';
+    } else if (status === 'expired') {
+      whereClause += ' AND l.released_at IS NULL AND l.locked_until <= NOW()';
+    } else if (status === 'released') {
+      whereClause += ' AND l.released_at IS NOT NULL';
+    }
+
+    if (email) {
+      params.push(`%${email.toLowerCase()}%`);
+      whereClause += ` AND l.email LIKE $${params.length}`;
+    }
+
+    const result = await db.query(
+      `SELECT l.*, (l.released_at IS NULL AND l.locked_until > NOW()) as is_active,
+              u.name as user_name, r.name as released_by_name
+       FROM login_lockouts l
+       LEFT JOIN users u ON l.user_id = u.id
+       LEFT JOIN users r ON l.released_by = r.id
+       ${whereClause}
+       ORDER BY l.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, (page - 1) * limit]
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM login_lockouts l ${whereClause}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      lockouts: result.rows,
+      pagination: {
+        page: page,
+        limit: limit,
+        total: parseInt(countResult.rows[0].count),
+        totalPages: Math.ceil(countResult.rows[0].count / limit)
+      }
     });
 
   } catch (error) {
-    console.error('Erro no registro:', error);
+    console.error('Erro ao listar bloqueios de login:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// LOGIN DE USUÁRIO
-app.post('/api/auth/login', async (req, res) => {
+// LIBERAR BLOQUEIO DE LOGIN (PROTEGIDO - apenas admin)
+app.patch('/api/admin/lockouts/:id/release', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const { email, password } = req.body;
-
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email e senha são obrigatórios'
-      });
-    }
+    const { id } = req.params;
 
-    // Buscar usuário
-    const result = await db.query(
-      `SELECT id, name, email, password, company_name, country, business_segment, created_at 
-       FROM users WHERE email = $1`,
-      [email.toLowerCase()]
+    const existing = await db.query(
+      'SELECT id, email, released_at, locked_until <= NOW() as expired FROM login_lockouts WHERE id = $1',
+      [id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Credenciais inválidas'
+        message: req.t('Bloqueio não encontrado')
       });
     }
 
-    const user = result.rows[0];
-
-    // Verificar senha
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({
+    if (existing.rows[0].released_at || existing.rows[0].expired) {
+      return res.status(409).json({
         success: false,
-        message: 'Credenciais inválidas'
+        message: req.t('Este bloqueio não está mais ativo')
       });
     }
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
+    const result = await db.query(
+      `UPDATE login_lockouts SET released_at = CURRENT_TIMESTAMP, released_by = $1
+       WHERE id = $2
+       RETURNING *, false as is_active`,
+      [req.user.userId, id]
     );
 
+    // Recomeça a contagem de falhas do zero
+    await clearLoginFailures(existing.rows[0].email);
+
     res.json({
       success: true,
-      message: 'Login realizado com sucesso! 👋',
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        company_name: user.company_name,
-        country: user.country,
-        business_segment: user.business_segment,
-        created_at: user.created_at
-      },
-      token: token
+      message: req.t('Bloqueio liberado'),
+      lockout: result.rows[0]
     });
 
   } catch (error) {
-    console.error('Erro no login:', error);
+    console.error('Erro ao liberar bloqueio de login:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// PERFIL DO USUÁRIO (PROTEGIDO)
-app.get('/api/auth/profile', authenticateToken, async (req, res) => {
+// ==================== HISTÓRICO DE ALTERAÇÕES ====================
+// Leitura da auditoria: cada dono vê o histórico dos próprios registros; admins consultam tudo
+
+// Colunas do histórico; a consulta de admin acrescenta IP e navegador
+const AUDIT_ENTRY_COLUMNS = `a.id, a.action, a.entity_type, a.entity_id, a.changes, a.context, a.created_at,
+  a.actor_id, u.name as actor_name, u.role as actor_role`;
+
+// Entradas da auditoria (mais recentes primeiro) com paginação
+async function listAuditEntries({ whereClause, params, page, limit, columns = AUDIT_ENTRY_COLUMNS }) {
+  const result = await db.query(
+    `SELECT ${columns}
+     FROM audit_log a
+     LEFT JOIN users u ON a.actor_id = u.id
+     ${whereClause}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  const countResult = await db.query(
+    `SELECT COUNT(*) FROM audit_log a ${whereClause}`,
+    params
+  );
+
+  return {
+    entries: result.rows,
+    pagination: {
+      page: page,
+      limit: limit,
+      total: parseInt(countResult.rows[0].count),
+      totalPages: Math.ceil(countResult.rows[0].count / limit)
+    }
+  };
+}
+
+// Handler compartilhado pelo histórico de empresas e oportunidades (dono, admin e moderador)
+const sendRecordHistory = (entityType, table, notFoundMessage) => async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const result = await db.query(
-      `SELECT id, name, email, company_name, country, business_segment, created_at 
-       FROM users WHERE id = $1`,
-      [req.user.userId]
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    const existing = await db.query(
+      `SELECT user_id FROM ${table} WHERE id = $1`,
+      [id]
     );
 
-    if (result.rows.length === 0) {
+    if (existing.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Usuário não encontrado'
+        message: req.t(notFoundMessage)
       });
     }
 
-    const user = result.rows[0];
+    if (existing.rows[0].user_id !== req.user.userId && !['admin', 'moderator'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para ver o histórico deste registro')
+      });
+    }
+
+    const { entries, pagination } = await listAuditEntries({
+      whereClause: 'WHERE a.entity_type = $1 AND a.entity_id = $2',
+      params: [entityType, id],
+      page,
+      limit
+    });
 
     res.json({
       success: true,
-      user: user
+      history: entries,
+      pagination
     });
 
   } catch (error) {
-    console.error('Erro ao buscar perfil:', error);
+    console.error('Erro ao buscar histórico:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
-});
+};
+
+// HISTÓRICO DA EMPRESA (PROTEGIDO - dono, admin e moderador)
+app.get('/api/businesses/:id/history', authenticateToken, validateRequest(historyQuerySchema, { source: 'query' }), sendRecordHistory('business', 'businesses', 'Empresa não encontrada'));
 
-// LISTAR USUÁRIOS (PROTEGIDO - para admin)
-app.get('/api/users', authenticateToken, async (req, res) => {
+// HISTÓRICO DA OPORTUNIDADE (PROTEGIDO - dono, admin e moderador)
+app.get('/api/opportunities/:id/history', authenticateToken, validateRequest(historyQuerySchema, { source: 'query' }), sendRecordHistory('opportunity', 'opportunities', 'Oportunidade não encontrada'));
+
+// HISTÓRICO DA CONTA (PROTEGIDO)
+app.get('/api/auth/profile/history', authenticateToken, validateRequest(historyQuerySchema, { source: 'query' }), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const result = await db.query(
-      `SELECT id, name, email, company_name, country, business_segment, created_at 
-       FROM users ORDER BY created_at DESC`
-    );
+    const { page, limit } = req.query;
+
+    const { entries, pagination } = await listAuditEntries({
+      whereClause: `WHERE a.entity_type = 'user' AND a.entity_id = $1`,
+      params: [req.user.userId],
+      page,
+      limit
+    });
 
     res.json({
       success: true,
-      users: result.rows,
-      count: result.rows.length
+      history: entries,
+      pagination
     });
 
   } catch (error) {
-    console.error('Erro ao listar usuários:', error);
+    console.error('Erro ao buscar histórico da conta:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// ==================== EMPRESAS BRICS+ ====================
-
-// LISTAR TODAS AS EMPRESAS (com filtros)
-app.get('/api/businesses', async (req, res) => {
+// CONSULTA DA AUDITORIA (PROTEGIDO - apenas admin)
+// Query opcional: entity_type, entity_id, actor_id, action, from, to (AAAA-MM-DD) | page, limit
+app.get('/api/admin/audit-log', authenticateToken, authorizeRoles('admin'), validateRequest(adminAuditQuerySchema, { source: 'query' }), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const { 
-      country, 
-      business_type, 
-      search, 
-      page = 1, 
-      limit = 10 
-    } = req.query;
+    const { entity_type, entity_id, actor_id, action, from, to, page, limit } = req.query;
 
-    let query = `
-      SELECT b.*, u.name as user_name, u.email as user_email 
-      FROM businesses b 
-      LEFT JOIN users u ON b.user_id = u.id 
-      WHERE b.is_active = true
-    `;
+    let whereClause = 'WHERE 1=1';
     const params = [];
-    let paramCount = 0;
 
-    // Filtros
-    if (country) {
-      paramCount++;
-      query += ` AND b.country = $${paramCount}`;
-      params.push(country);
+    if (entity_type) {
+      params.push(entity_type);
+      whereClause += ` AND a.entity_type = $${params.length}`;
     }
 
-    if (business_type) {
-      paramCount++;
-      query += ` AND b.business_type = $${paramCount}`;
-      params.push(business_type);
+    if (entity_id) {
+      params.push(entity_id);
+      whereClause += ` AND a.entity_id = $${params.length}`;
     }
 
-    if (search) {
-      paramCount++;
-      query += ` AND (
-        b.company_name ILIKE $${paramCount} OR 
-        b.description ILIKE $${paramCount} OR 
-        b.products_services ILIKE $${paramCount}
-      )`;
-      params.push(`%${search}%`);
+    if (actor_id) {
+      params.push(actor_id);
+      whereClause += ` AND a.actor_id = $${params.length}`;
     }
 
-    // Ordenação e paginação
-    query += ` ORDER BY b.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(parseInt(limit), (parseInt(page) - 1) * parseInt(limit));
+    if (action) {
+      params.push(action);
+      whereClause += ` AND a.action = $${params.length}`;
+    }
 
-    const result = await db.query(query, params);
+    if (from) {
+      params.push(from);
+      whereClause += ` AND a.created_at >= $${params.length}::date`;
+    }
 
-    // Contagem total
-    let countQuery = query.replace(/SELECT b\.\*, u\.name as user_name, u\.email as user_email/, 'SELECT COUNT(*)')
-                         .replace(/ORDER BY b\.created_at DESC LIMIT \$\d+ OFFSET \$\d+/, '');
-    const countResult = await db.query(countQuery, params.slice(0, -2));
+    if (to) {
+      params.push(to);
+      whereClause += ` AND a.created_at < $${params.length}::date + 1`;
+    }
+
+    const { entries, pagination } = await listAuditEntries({
+      whereClause,
+      params,
+      page,
+      limit,
+      columns: `${AUDIT_ENTRY_COLUMNS}, a.ip, a.user_agent`
+    });
 
     res.json({
       success: true,
-      businesses: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count),
-        totalPages: Math.ceil(countResult.rows[0].count / limit)
-      }
+      entries,
+      pagination
     });
 
   } catch (error) {
-    console.error('Erro ao listar empresas:', error);
+    console.error('Erro ao consultar auditoria:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// BUSCAR EMPRESA POR ID
-app.get('/api/businesses/:id', async (req, res) => {
+// ==================== DADOS DE REFERÊNCIA (PAÍSES, CATEGORIAS E CÂMBIO) ====================
+// Gerenciados pelo admin; desativar tira o item das validações e de /api/countries e /api/categories
+// sem mexer nos registros que já o usam
+
+const countrySchema = createSchema(
+  {
+    code: { type: 'string', required: true, minLength: 2, maxLength: 2 },
+    name: { type: 'string', required: true, maxLength: 100 },
+    membership: { type: 'string', enum: COUNTRY_MEMBERSHIPS, default: 'partner' },
+    is_active: { type: 'boolean', default: true }
+  },
+  ({ code }) => !/^[A-Za-z]{2}$/.test(code)
+    ? { field: 'code', code: ERROR_CODES.INVALID_FORMAT, message: '{field} deve ter 2 letras (ISO 3166-1 alfa-2)' }
+    : null
+);
+
+// O código ISO identifica o país na URL e não é editável
+const countryUpdateSchema = createSchema({
+  name: countrySchema.fields.name,
+  membership: { type: 'string', enum: COUNTRY_MEMBERSHIPS },
+  is_active: { type: 'boolean' }
+});
+
+const categorySchema = createSchema({
+  name: { type: 'string', required: true, maxLength: 100 },
+  translations: { type: 'object', keys: SUPPORTED_LOCALES, values: { type: 'string', maxLength: 100 }, default: {} },
+  is_active: { type: 'boolean', default: true }
+});
+
+const referenceListQuerySchema = createSchema({
+  active: { type: 'boolean' }
+});
+
+// Renomear um país/categoria: as FKs propagam para empresas e oportunidades (ON UPDATE CASCADE);
+// listas e filtros em texto livre são atualizados aqui, na mesma transação
+async function renameCountryReferences(client, oldName, newName) {
+  await client.query(
+    'UPDATE businesses SET brics_countries = array_replace(brics_countries, $1, $2) WHERE $1 = ANY(brics_countries)',
+    [oldName, newName]
+  );
+  await client.query('UPDATE saved_searches SET country = $2 WHERE country = $1', [oldName, newName]);
+  await client.query('UPDATE users SET country = $2 WHERE country = $1', [oldName, newName]);
+}
+
+async function renameCategoryReferences(client, oldName, newName) {
+  await client.query('UPDATE saved_searches SET category = $2 WHERE category = $1', [oldName, newName]);
+}
+
+// LISTAR PAÍSES, INCLUINDO INATIVOS (PROTEGIDO - apenas admin)
+app.get('/api/admin/countries', authenticateToken, authorizeRoles('admin'), validateRequest(referenceListQuerySchema, { source: 'query' }), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const { id } = req.params;
+    const { active } = req.query;
 
+    // Uso de cada país, para decidir entre excluir e desativar
     const result = await db.query(
-      `SELECT b.*, u.name as user_name, u.email as user_email 
-       FROM businesses b 
-       LEFT JOIN users u ON b.user_id = u.id 
-       WHERE b.id = $1 AND b.is_active = true`,
-      [id]
+      `SELECT c.*,
+        (SELECT COUNT(*) FROM businesses b WHERE b.country = c.name)::int as businesses_count,
+        (SELECT COUNT(*) FROM opportunities o WHERE o.country = c.name)::int as opportunities_count
+       FROM countries c
+       WHERE $1::boolean IS NULL OR c.is_active = $1
+       ORDER BY c.name`,
+      [active === undefined ? null : active]
+    );
+
+    res.json({
+      success: true,
+      countries: result.rows,
+      count: result.rows.length
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar países:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// CADASTRAR PAÍS (PROTEGIDO - apenas admin)
+app.post('/api/admin/countries', authenticateToken, authorizeRoles('admin'), validateRequest(countrySchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { code, name, membership, is_active } = req.body;
+
+    const result = await db.query(
+      `INSERT INTO countries (code, name, membership, is_active)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT DO NOTHING
+       RETURNING *`,
+      [code.toUpperCase(), name, membership, is_active]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({
+      return res.status(409).json({
         success: false,
-        message: 'Empresa não encontrada'
+        message: req.t('Já existe um país com este código ou nome')
       });
     }
 
-    res.json({
+    await loadReferenceData();
+
+    res.status(201).json({
       success: true,
-      business: result.rows[0]
+      message: req.t('País cadastrado'),
+      country: result.rows[0]
     });
 
   } catch (error) {
-    console.error('Erro ao buscar empresa:', error);
+    console.error('Erro ao cadastrar país:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// CRIAR EMPRESA (PROTEGIDO)
-app.post('/api/businesses', authenticateToken, async (req, res) => {
+// EDITAR PAÍS - nome, membresia, ativo (PROTEGIDO - apenas admin)
+app.patch('/api/admin/countries/:code', authenticateToken, authorizeRoles('admin'), validateRequest(countryUpdateSchema, { partial: true }), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  const fields = Object.keys(countryUpdateSchema.fields).filter(field => req.body[field] !== undefined);
+  if (fields.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: req.t('Nenhum campo para atualizar. Campos editáveis: {fields}', { fields: Object.keys(countryUpdateSchema.fields).join(', ') })
     });
   }
 
+  let client;
   try {
-    const {
-      company_name,
-      description,
-      country,
-      business_type,
-      products_services,
-      contact_email,
-      contact_phone,
-      website,
-      address,
-      annual_revenue,
-      employee_count,
-      brics_countries,
-      tags
-    } = req.body;
+    client = await db.connect();
+    await client.query('BEGIN');
 
-    // Validações
-    if (!company_name || !country || !business_type) {
-      return res.status(400).json({
+    const current = await client.query(
+      'SELECT * FROM countries WHERE code = $1 FOR UPDATE',
+      [req.params.code.toUpperCase()]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
         success: false,
-        message: 'Nome da empresa, país e tipo de negócio são obrigatórios'
+        message: req.t('País não encontrado')
       });
     }
 
-    // Validar países BRICS+
-    if (brics_countries) {
-      const invalidCountries = brics_countries.filter(country => !BRICS_PLUS_COUNTRIES.includes(country));
-      if (invalidCountries.length > 0) {
-        return res.status(400).json({
+    const country = current.rows[0];
+
+    if (req.body.name !== undefined && req.body.name !== country.name) {
+      const taken = await client.query('SELECT 1 FROM countries WHERE name = $1', [req.body.name]);
+      if (taken.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
           success: false,
-          message: `Países BRICS+ inválidos: ${invalidCountries.join(', ')}. Países válidos: ${BRICS_PLUS_COUNTRIES.join(', ')}`
+          message: req.t('Já existe um país com este código ou nome')
         });
       }
     }
 
-    const result = await db.query(
-      `INSERT INTO businesses (
-        user_id, company_name, description, country, business_type, 
-        products_services, contact_email, contact_phone, website, 
-        address, annual_revenue, employee_count, brics_countries, tags
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-      RETURNING *`,
-      [
-        req.user.userId,
-        company_name,
-        description,
-        country,
-        business_type,
-        products_services,
-        contact_email,
-        contact_phone,
-        website,
-        address,
-        annual_revenue,
-        employee_count,
-        brics_countries,
-        tags
-      ]
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    const result = await client.query(
+      `UPDATE countries SET ${setClause} WHERE code = $${fields.length + 1} RETURNING *`,
+      [...fields.map(field => req.body[field]), country.code]
     );
 
-    res.status(201).json({
+    if (result.rows[0].name !== country.name) {
+      await renameCountryReferences(client, country.name, result.rows[0].name);
+    }
+
+    await client.query('COMMIT');
+    await loadReferenceData();
+
+    res.json({
       success: true,
-      message: 'Empresa cadastrada com sucesso! 🎉',
-      business: result.rows[0]
+      message: req.t('País atualizado'),
+      country: result.rows[0]
     });
 
   } catch (error) {
-    console.error('Erro ao criar empresa:', error);
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Erro ao editar país:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// MINHAS EMPRESAS (PROTEGIDO)
-app.get('/api/my-businesses', authenticateToken, async (req, res) => {
+// EXCLUIR PAÍS - apenas se nada o usa; caso contrário, desative (PROTEGIDO - apenas admin)
+app.delete('/api/admin/countries/:code', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const result = await db.query(
-      'SELECT * FROM businesses WHERE user_id = $1 ORDER BY created_at DESC',
-      [req.user.userId]
+    const current = await db.query('SELECT name FROM countries WHERE code = $1', [req.params.code.toUpperCase()]);
+
+    if (current.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('País não encontrado')
+      });
+    }
+
+    const usage = await db.query(
+      `SELECT
+        (SELECT COUNT(*) FROM businesses WHERE country = $1 OR $1 = ANY(brics_countries))
+        + (SELECT COUNT(*) FROM opportunities WHERE country = $1)
+        + (SELECT COUNT(*) FROM saved_searches WHERE country = $1) as total`,
+      [current.rows[0].name]
     );
 
+    const inUse = parseInt(usage.rows[0].total);
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('País em uso por {count} registro(s). Desative-o em vez de excluir', { count: inUse })
+      });
+    }
+
+    await db.query('DELETE FROM countries WHERE code = $1', [req.params.code.toUpperCase()]);
+    await loadReferenceData();
+
     res.json({
       success: true,
-      businesses: result.rows,
-      count: result.rows.length
+      message: req.t('País excluído')
     });
 
   } catch (error) {
-    console.error('Erro ao buscar minhas empresas:', error);
+    console.error('Erro ao excluir país:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// ==================== SISTEMA DE OPORTUNIDADES ====================
-
-// LISTAR OPORTUNIDADES (com filtros)
-app.get('/api/opportunities', async (req, res) => {
+// LISTAR CATEGORIAS, INCLUINDO INATIVAS (PROTEGIDO - apenas admin)
+app.get('/api/admin/categories', authenticateToken, authorizeRoles('admin'), validateRequest(referenceListQuerySchema, { source: 'query' }), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const { 
-      type, 
-      category, 
-      country, 
-      search, 
-      page = 1, 
-      limit = 10 
-    } = req.query;
+    const { active } = req.query;
 
-    let query = `
-      SELECT o.*, u.name as user_name, u.company_name as user_company 
-      FROM opportunities o 
-      LEFT JOIN users u ON o.user_id = u.id 
-      WHERE o.status = 'active'
-    `;
-    const params = [];
-    let paramCount = 0;
+    const result = await db.query(
+      `SELECT c.*,
+        (SELECT COUNT(*) FROM opportunities o WHERE o.category = c.name)::int as opportunities_count
+       FROM categories c
+       WHERE $1::boolean IS NULL OR c.is_active = $1
+       ORDER BY c.name`,
+      [active === undefined ? null : active]
+    );
 
-    // Filtros
-    if (type) {
-      paramCount++;
-      query += ` AND o.type = $${paramCount}`;
-      params.push(type);
-    }
+    res.json({
+      success: true,
+      categories: result.rows,
+      count: result.rows.length
+    });
 
-    if (category) {
-      paramCount++;
-      query += ` AND o.category = $${paramCount}`;
-      params.push(category);
-    }
+  } catch (error) {
+    console.error('Erro ao listar categorias:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
 
-    if (country) {
-      paramCount++;
-      query += ` AND o.country = $${paramCount}`;
-      params.push(country);
-    }
+// CADASTRAR CATEGORIA (PROTEGIDO - apenas admin)
+app.post('/api/admin/categories', authenticateToken, authorizeRoles('admin'), validateRequest(categorySchema), async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
 
-    if (search) {
-      paramCount++;
-      query += ` AND (
-        o.title ILIKE $${paramCount} OR 
-        o.description ILIKE $${paramCount} OR
-        o.tags::text ILIKE $${paramCount}
-      )`;
-      params.push(`%${search}%`);
-    }
+  try {
+    const { name, translations, is_active } = req.body;
 
-    // Ordenação e paginação
-    query += ` ORDER BY o.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(parseInt(limit), (parseInt(page) - 1) * parseInt(limit));
+    const result = await db.query(
+      `INSERT INTO categories (name, translations, is_active)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING *`,
+      [name, translations, is_active]
+    );
 
-    const result = await db.query(query, params);
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: req.t('Já existe uma categoria com este nome')
+      });
+    }
 
-    // Contagem total
-    let countQuery = query.replace(/SELECT o\.\*, u\.name as user_name, u\.company_name as user_company/, 'SELECT COUNT(*)')
-                         .replace(/ORDER BY o\.created_at DESC LIMIT \$\d+ OFFSET \$\d+/, '');
-    const countResult = await db.query(countQuery, params.slice(0, -2));
+    await loadReferenceData();
 
-    res.json({
+    res.status(201).json({
       success: true,
-      opportunities: result.rows,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: parseInt(countResult.rows[0].count),
-        totalPages: Math.ceil(countResult.rows[0].count / limit)
-      }
+      message: req.t('Categoria cadastrada'),
+      category: result.rows[0]
     });
 
   } catch (error) {
-    console.error('Erro ao listar oportunidades:', error);
+    console.error('Erro ao cadastrar categoria:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// BUSCAR OPORTUNIDADE POR ID
-app.get('/api/opportunities/:id', async (req, res) => {
+// EDITAR CATEGORIA (PROTEGIDO - apenas admin)
+app.patch('/api/admin/categories/:id', authenticateToken, authorizeRoles('admin'), validateRequest(categorySchema, { partial: true }), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
-  try {
-    const { id } = req.params;
-
-    // Incrementar contador de visualizações
-    await db.query(
-      'UPDATE opportunities SET view_count = view_count + 1 WHERE id = $1',
-      [id]
-    );
-
-    const result = await db.query(
-      `SELECT o.*, u.name as user_name, u.company_name as user_company, u.email as user_email 
-       FROM opportunities o 
-       LEFT JOIN users u ON o.user_id = u.id 
-       WHERE o.id = $1`,
-      [id]
-    );
+  const fields = Object.keys(categorySchema.fields).filter(field => req.body[field] !== undefined);
+  if (fields.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: req.t('Nenhum campo para atualizar. Campos editáveis: {fields}', { fields: Object.keys(categorySchema.fields).join(', ') })
+    });
+  }
 
-    if (result.rows.length === 0) {
+  let client;
+  try {
+    client = await db.connect();
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT * FROM categories WHERE id = $1 FOR UPDATE', [req.params.id]);
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
-        message: 'Oportunidade não encontrada'
+        message: req.t('Categoria não encontrada')
       });
     }
 
+    const category = current.rows[0];
+
+    if (req.body.name !== undefined && req.body.name !== category.name) {
+      const taken = await client.query('SELECT 1 FROM categories WHERE name = $1', [req.body.name]);
+      if (taken.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: req.t('Já existe uma categoria com este nome')
+        });
+      }
+    }
+
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    const result = await client.query(
+      `UPDATE categories SET ${setClause} WHERE id = $${fields.length + 1} RETURNING *`,
+      [...fields.map(field => req.body[field]), category.id]
+    );
+
+    if (result.rows[0].name !== category.name) {
+      await renameCategoryReferences(client, category.name, result.rows[0].name);
+    }
+
+    await client.query('COMMIT');
+    await loadReferenceData();
+
     res.json({
       success: true,
-      opportunity: result.rows[0]
+      message: req.t('Categoria atualizada'),
+      category: result.rows[0]
     });
 
   } catch (error) {
-    console.error('Erro ao buscar oportunidade:', error);
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Erro ao editar categoria:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// CRIAR OPORTUNIDADE (PROTEGIDO)
-app.post('/api/opportunities', authenticateToken, async (req, res) => {
+// EXCLUIR CATEGORIA - apenas se nada a usa; caso contrário, desative (PROTEGIDO - apenas admin)
+app.delete('/api/admin/categories/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const {
-      title,
-      description,
-      type,
-      category,
-      country,
-      budget,
-      deadline,
-      contact_email,
-      contact_phone,
-      tags
-    } = req.body;
+    const current = await db.query('SELECT name FROM categories WHERE id = $1', [req.params.id]);
 
-    // Validações
-    if (!title || !description || !type || !category || !country) {
-      return res.status(400).json({
+    if (current.rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Título, descrição, tipo, categoria e país são obrigatórios'
+        message: req.t('Categoria não encontrada')
       });
     }
 
-    if (!['offer', 'demand'].includes(type)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Tipo deve ser "offer" ou "demand"'
-      });
-    }
+    const usage = await db.query(
+      `SELECT
+        (SELECT COUNT(*) FROM opportunities WHERE category = $1)
+        + (SELECT COUNT(*) FROM saved_searches WHERE category = $1) as total`,
+      [current.rows[0].name]
+    );
 
-    if (!OPPORTUNITY_CATEGORIES.includes(category)) {
-      return res.status(400).json({
+    const inUse = parseInt(usage.rows[0].total);
+    if (inUse > 0) {
+      return res.status(409).json({
         success: false,
-        message: `Categoria inválida. Categorias válidas: ${OPPORTUNITY_CATEGORIES.join(', ')}`
+        message: req.t('Categoria em uso por {count} registro(s). Desative-a em vez de excluir', { count: inUse })
       });
     }
 
-    const result = await db.query(
-      `INSERT INTO opportunities (
-        user_id, title, description, type, category, country, 
-        budget, deadline, contact_email, contact_phone, tags
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-      RETURNING *`,
-      [
-        req.user.userId,
-        title,
-        description,
-        type,
-        category,
-        country,
-        budget,
-        deadline,
-        contact_email,
-        contact_phone,
-        tags
-      ]
-    );
+    await db.query('DELETE FROM categories WHERE id = $1', [req.params.id]);
+    await loadReferenceData();
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Oportunidade criada com sucesso! 🎉',
-      opportunity: result.rows[0]
+      message: req.t('Categoria excluída')
     });
 
   } catch (error) {
-    console.error('Erro ao criar oportunidade:', error);
+    console.error('Erro ao excluir categoria:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// MINHAS OPORTUNIDADES (PROTEGIDO)
-app.get('/api/my-opportunities', authenticateToken, async (req, res) => {
+// COTAÇÕES DE CÂMBIO - quanto vale 1 unidade de cada moeda em USD (PÚBLICO)
+app.get('/api/fx-rates', async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
-    const result = await db.query(
-      'SELECT * FROM opportunities WHERE user_id = $1 ORDER BY created_at DESC',
-      [req.user.userId]
-    );
+    const result = await db.query('SELECT currency, rate_to_usd, updated_at FROM fx_rates ORDER BY currency');
 
     res.json({
       success: true,
-      opportunities: result.rows,
+      reference_currency: REFERENCE_CURRENCY,
+      rates: result.rows,
       count: result.rows.length
     });
 
   } catch (error) {
-    console.error('Erro ao buscar minhas oportunidades:', error);
+    console.error('Erro ao listar cotações:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
-// ==================== SISTEMA DE MATCHES ====================
+const fxRateSchema = createSchema(
+  {
+    rate_to_usd: { type: 'number', required: true, min: 0, max: 1000000 }
+  },
+  ({ rate_to_usd }) => rate_to_usd === 0
+    ? { field: 'rate_to_usd', code: ERROR_CODES.OUT_OF_RANGE, message: '{field} deve ser maior que zero' }
+    : null
+);
+
+// Código de moeda da URL: ISO 4217, sempre em maiúsculas; a moeda de referência é fixa
+function parseCurrencyParam(req, res) {
+  const currency = req.params.currency.toUpperCase();
+
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    sendValidationError(req, res, [
+      { field: 'currency', code: ERROR_CODES.INVALID_FORMAT, message: '{field} deve ser um código ISO 4217 de 3 letras' }
+    ]);
+    return null;
+  }
+
+  if (currency === REFERENCE_CURRENCY) {
+    res.status(400).json({
+      success: false,
+      message: req.t('{currency} é a moeda de referência e não pode ser alterada', { currency })
+    });
+    return null;
+  }
+
+  return currency;
+}
 
-// GERAR MATCHES PARA UMA OPORTUNIDADE
-app.get('/api/opportunities/:id/matches', authenticateToken, async (req, res) => {
+// CADASTRAR/ATUALIZAR COTAÇÃO (PROTEGIDO - apenas admin)
+app.put('/api/admin/fx-rates/:currency', authenticateToken, authorizeRoles('admin'), validateRequest(fxRateSchema), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
-  try {
-    const { id } = req.params;
+  const currency = parseCurrencyParam(req, res);
+  if (!currency) return;
 
-    // Buscar a oportunidade
-    const opportunityResult = await db.query(
-      'SELECT * FROM opportunities WHERE id = $1',
-      [id]
+  try {
+    const result = await db.query(
+      `INSERT INTO fx_rates (currency, rate_to_usd) VALUES ($1, $2)
+       ON CONFLICT (currency) DO UPDATE SET rate_to_usd = EXCLUDED.rate_to_usd
+       RETURNING currency, rate_to_usd, updated_at`,
+      [currency, req.body.rate_to_usd]
     );
 
-    if (opportunityResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Oportunidade não encontrada'
-      });
-    }
-
-    const opportunity = opportunityResult.rows[0];
-
-    // Buscar matches potenciais (empresas com interesses compatíveis)
-    let matchQuery = `
-      SELECT b.*, 
-             CASE 
-               WHEN b.country = $1 THEN 10
-               WHEN $2::text[] && b.brics_countries THEN 5
-               ELSE 0
-             END as match_score
-      FROM businesses b
-      WHERE b.is_active = true
-      AND ($3::text IS NULL OR b.business_type = $3)
-      AND ($2::text[] && b.brics_countries OR b.country = $1)
-      ORDER BY match_score DESC
-      LIMIT 20
-    `;
-
-    const matchResult = await db.query(matchQuery, [
-      opportunity.country,
-      [opportunity.country],
-      opportunity.category
-    ]);
+    await loadReferenceData();
 
     res.json({
       success: true,
-      opportunity: opportunity,
-      matches: matchResult.rows,
-      match_count: matchResult.rows.length
+      message: req.t('Cotação atualizada'),
+      rate: result.rows[0]
     });
 
   } catch (error) {
-    console.error('Erro ao gerar matches:', error);
+    console.error('Erro ao atualizar cotação:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
-// ==================== SISTEMA DE MATCHES ====================
-
-// GERAR MATCHES (versão atual - pode manter para compatibilidade)
-app.get('/api/opportunities/:id/matches', authenticateToken, async (req, res) => {
-  // ... (código atual existente)
-});
 
-// GERAR MATCHES MELHORADO (NOVA VERSÃO - adicione aqui)
-app.get('/api/opportunities/:id/matches-v2', authenticateToken, async (req, res) => {
+// EXCLUIR COTAÇÃO - apenas moedas sem uso (PROTEGIDO - apenas admin)
+app.delete('/api/admin/fx-rates/:currency', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
-  try {
-    const { id } = req.params;
+  const currency = parseCurrencyParam(req, res);
+  if (!currency) return;
 
-    // Buscar a oportunidade
-    const opportunityResult = await db.query(
-      'SELECT * FROM opportunities WHERE id = $1',
-      [id]
+  try {
+    const usage = await db.query(
+      `SELECT
+        (SELECT COUNT(*) FROM opportunities WHERE budget_currency = $1)
+        + (SELECT COUNT(*) FROM businesses WHERE annual_revenue_currency = $1) as total`,
+      [currency]
     );
 
-    if (opportunityResult.rows.length === 0) {
-      return res.status(404).json({
+    const inUse = parseInt(usage.rows[0].total);
+    if (inUse > 0) {
+      return res.status(409).json({
         success: false,
-        message: 'Oportunidade não encontrada'
+        message: req.t('Moeda em uso por {count} registro(s) e não pode ser excluída', { count: inUse })
       });
     }
 
-    const opportunity = opportunityResult.rows[0];
-    let matchQuery = '';
-    let params = [];
-
-    if (opportunity.type === 'offer') {
-      // OPORTUNIDADE DE EXPORTAÇÃO: buscar importadores em outros países
-      matchQuery = `
-        SELECT b.*, 
-               CASE 
-                 WHEN $1::text = ANY(b.brics_countries) THEN 10
-                 WHEN b.business_type ILIKE '%import%' THEN 8
-                 ELSE 0
-               END as match_score
-        FROM businesses b
-        WHERE b.is_active = true
-        AND b.country != $2  -- Não buscar no mesmo país
-        AND ($1::text = ANY(b.brics_countries) OR b.business_type ILIKE '%import%')
-        ORDER BY match_score DESC
-        LIMIT 20
-      `;
-      params = [opportunity.country, opportunity.country];
-    } else {
-      // OPORTUNIDADE DE IMPORTAÇÃO: buscar exportadores
-      matchQuery = `
-        SELECT b.*, 
-               CASE 
-                 WHEN b.country = $1 THEN 10
-                 WHEN $2::text = ANY(b.brics_countries) THEN 8
-                 WHEN b.business_type ILIKE '%export%' THEN 6
-                 ELSE 0
-               END as match_score
-        FROM businesses b
-        WHERE b.is_active = true
-        AND (b.country = $1 OR $2::text = ANY(b.brics_countries) OR b.business_type ILIKE '%export%')
-        ORDER BY match_score DESC
-        LIMIT 20
-      `;
-      params = [opportunity.country, opportunity.country];
+    const result = await db.query('DELETE FROM fx_rates WHERE currency = $1 RETURNING currency', [currency]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t('Cotação não encontrada')
+      });
     }
 
-    const matchResult = await db.query(matchQuery, params);
+    await loadReferenceData();
 
     res.json({
       success: true,
-      opportunity: opportunity,
-      matches: matchResult.rows,
-      match_count: matchResult.rows.length,
-      match_logic: opportunity.type === 'offer' ? 'exportação → importação' : 'importação → exportação'
+      message: req.t('Cotação excluída')
     });
 
   } catch (error) {
-    console.error('Erro ao gerar matches:', error);
+    console.error('Erro ao excluir cotação:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
     });
   }
 });
 
 // ==================== DASHBOARD ====================
 
-// DASHBOARD COMPLETO (PROTEGIDO)
-app.get('/api/dashboard', authenticateToken, async (req, res) => {
-  // ... (código atual do dashboard)
-});
-// ==================== DASHBOARD ====================
+// "AAAA-MM-DD" deslocada em dias
+const shiftDate = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Período das séries: sem to vale hoje, sem from os DASHBOARD_DEFAULT_DAYS dias até to
+const resolveDashboardRange = ({ from, to }) => {
+  const end = to || new Date().toISOString().slice(0, 10);
+  return { from: from || shiftDate(end, 1 - DASHBOARD_DEFAULT_DAYS), to: end };
+};
+
+const dashboardQuerySchema = createSchema(
+  {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    interval: { type: 'string', enum: DASHBOARD_INTERVALS, default: 'day' }
+  },
+  (data) => {
+    const { from, to } = resolveDashboardRange(data);
+    return to < from
+      ? { field: 'to', code: ERROR_CODES.OUT_OF_RANGE, message: '{field} não pode ser menor que {other}', params: { other: 'from' } }
+      : null;
+  },
+  (data) => {
+    const { from, to } = resolveDashboardRange(data);
+    return shiftDate(from, DASHBOARD_MAX_DAYS) < to
+      ? { field: 'to', code: ERROR_CODES.OUT_OF_RANGE, message: '{field} deve ficar a no máximo {max} dias de {other}', params: { max: DASHBOARD_MAX_DAYS, other: 'from' } }
+      : null;
+  }
+);
+
+// Nas consultas das séries: $1 = interval, $2 = from, $3 = to (first: posição de from quando não há interval)
+const periodOf = (column) => `to_char(date_trunc($1::text, ${column}), 'YYYY-MM-DD')`;
+const withinRange = (column, first = 2) => `${column} >= $${first}::date AND ${column} < $${first + 1}::date + 1`;
+
+// Série com todos os períodos; os que não têm registros entram com zero
+function fillSeries(periods, rows, fields) {
+  const byPeriod = new Map(rows.map(row => [row.period, row]));
+
+  return periods.map(period => ({
+    period,
+    ...Object.fromEntries(fields.map(field => [field, byPeriod.has(period) ? byPeriod.get(period)[field] : 0]))
+  }));
+}
+
+// Linhas { period, [field], count } -> os maiores grupos do período, cada um com total e série
+function groupSeries(periods, rows, field) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[field])) groups.set(row[field], []);
+    groups.get(row[field]).push(row);
+  }
+
+  return [...groups]
+    .map(([name, groupRows]) => ({
+      [field]: name,
+      total: groupRows.reduce((sum, row) => sum + row.count, 0),
+      series: fillSeries(periods, groupRows, ['count'])
+    }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, 10);
+}
 
 // DASHBOARD COMPLETO (PROTEGIDO)
-app.get('/api/dashboard', authenticateToken, async (req, res) => {
+// Query opcional: from, to (AAAA-MM-DD; padrão: últimos 30 dias), interval (day, week, month)
+app.get('/api/dashboard', authenticateToken, validateRequest(dashboardQuerySchema, { source: 'query' }), async (req, res) => {
   if (!dbConnected) {
     return res.status(503).json({
       success: false,
-      message: 'Serviço de banco de dados indisponível'
+      message: req.t('Serviço de banco de dados indisponível')
     });
   }
 
   try {
+    const { interval } = req.query;
+    const { from, to } = resolveDashboardRange(req.query);
+    const rangeParams = [interval, from, to];
+
+    // O país não vai no token: vem do cadastro atual
+    const userResult = await db.query(
+      'SELECT country FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    const userCountry = userResult.rows.length > 0 ? userResult.rows[0].country : null;
+
     // Estatísticas de empresas
     const businessesStats = await db.query(
       'SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE country = $1) as from_user_country FROM businesses WHERE is_active = true',
-      [req.user.country]
+      [userCountry]
     );
 
     // Estatísticas de oportunidades
@@ -1130,7 +6399,15 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
         COUNT(*) FILTER (WHERE country = $1) as from_user_country
       FROM opportunities 
       WHERE status = 'active'
-    `, [req.user.country]);
+    `, [userCountry]);
+
+    // Oportunidades do usuário por status
+    const myOpportunitiesByStatus = await db.query(`
+      SELECT status, COUNT(*) as count 
+      FROM opportunities 
+      WHERE user_id = $1 
+      GROUP BY status
+    `, [req.user.userId]);
 
     // Oportunidades por categoria
     const opportunitiesByCategory = await db.query(`
@@ -1152,13 +6429,113 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
       LIMIT 10
     `);
 
+    // Períodos das séries (semanas começam na segunda-feira)
+    const periodsResult = await db.query(
+      `SELECT to_char(period, 'YYYY-MM-DD') as period
+       FROM generate_series(date_trunc($1::text, $2::date), $3::date, ('1 ' || $1)::interval) period`,
+      rangeParams
+    );
+    const periods = periodsResult.rows.map(row => row.period);
+
+    // Oportunidades criadas por período, tipo, categoria e país
+    const opportunitiesTrend = await db.query(`
+      SELECT ${periodOf('created_at')} as period,
+        COUNT(*)::int as total,
+        COUNT(*) FILTER (WHERE type = 'offer')::int as offers,
+        COUNT(*) FILTER (WHERE type = 'demand')::int as demands
+      FROM opportunities
+      WHERE ${withinRange('created_at')}
+      GROUP BY 1
+    `, rangeParams);
+
+    const opportunitiesTrendByCategory = await db.query(`
+      SELECT ${periodOf('created_at')} as period, category, COUNT(*)::int as count
+      FROM opportunities
+      WHERE ${withinRange('created_at')}
+      GROUP BY 1, 2
+    `, rangeParams);
+
+    const opportunitiesTrendByCountry = await db.query(`
+      SELECT ${periodOf('created_at')} as period, country, COUNT(*)::int as count
+      FROM opportunities
+      WHERE ${withinRange('created_at')}
+      GROUP BY 1, 2
+    `, rangeParams);
+
+    // Cadastros de usuários e empresas por período
+    const signupsTrend = await db.query(`
+      SELECT ${periodOf('created_at')} as period,
+        COUNT(*) FILTER (WHERE kind = 'user')::int as users,
+        COUNT(*) FILTER (WHERE kind = 'business')::int as businesses
+      FROM (
+        SELECT created_at, 'user' as kind FROM users
+        UNION ALL
+        SELECT created_at, 'business' as kind FROM businesses
+      ) signups
+      WHERE ${withinRange('created_at')}
+      GROUP BY 1
+    `, rangeParams);
+
+    // Desempenho das listagens do usuário: visualizações, matches e consultas recebidos no período
+    const myListings = await db.query(`
+      SELECT * FROM (
+        SELECT 'opportunity' as type, o.id, o.title, o.status,
+          (SELECT COUNT(*)::int FROM listing_views v WHERE v.entity_type = 'opportunity' AND v.entity_id = o.id AND ${withinRange('v.created_at', 1)}) as views,
+          (SELECT COUNT(*)::int FROM matches m WHERE m.opportunity_id = o.id AND ${withinRange('m.created_at', 1)}) as matches,
+          (SELECT COUNT(*)::int FROM inquiry_threads t WHERE t.opportunity_id = o.id AND ${withinRange('t.created_at', 1)}) as inquiries
+        FROM opportunities o
+        WHERE o.user_id = $3
+        UNION ALL
+        SELECT 'business' as type, b.id, b.company_name as title,
+          CASE WHEN b.is_active THEN 'active' ELSE 'inactive' END as status,
+          (SELECT COUNT(*)::int FROM listing_views v WHERE v.entity_type = 'business' AND v.entity_id = b.id AND ${withinRange('v.created_at', 1)}) as views,
+          (SELECT COUNT(*)::int FROM matches m WHERE m.business_id = b.id AND ${withinRange('m.created_at', 1)}) as matches,
+          (SELECT COUNT(*)::int FROM inquiry_threads t WHERE t.business_id = b.id AND ${withinRange('t.created_at', 1)}) as inquiries
+        FROM businesses b
+        WHERE b.user_id = $3
+      ) listings
+      ORDER BY matches + inquiries DESC, views DESC, id DESC
+      LIMIT $4
+    `, [from, to, req.user.userId, DASHBOARD_TOP_LISTINGS]);
+
+    const myMatchesTrend = await db.query(`
+      SELECT ${periodOf('m.created_at')} as period, COUNT(*)::int as matches
+      FROM matches m
+      JOIN opportunities o ON o.id = m.opportunity_id
+      JOIN businesses b ON b.id = m.business_id
+      WHERE (o.user_id = $4 OR b.user_id = $4) AND ${withinRange('m.created_at')}
+      GROUP BY 1
+    `, [...rangeParams, req.user.userId]);
+
+    const myInquiriesTrend = await db.query(`
+      SELECT ${periodOf('created_at')} as period, COUNT(*)::int as inquiries
+      FROM inquiry_threads
+      WHERE owner_id = $4 AND ${withinRange('created_at')}
+      GROUP BY 1
+    `, [...rangeParams, req.user.userId]);
+
+    const myViewsTrend = await db.query(`
+      SELECT ${periodOf('v.created_at')} as period, COUNT(*)::int as views
+      FROM listing_views v
+      LEFT JOIN opportunities o ON v.entity_type = 'opportunity' AND o.id = v.entity_id
+      LEFT JOIN businesses b ON v.entity_type = 'business' AND b.id = v.entity_id
+      WHERE (o.user_id = $4 OR b.user_id = $4) AND ${withinRange('v.created_at')}
+      GROUP BY 1
+    `, [...rangeParams, req.user.userId]);
+
+    const myViewsSeries = fillSeries(periods, myViewsTrend.rows, ['views']);
+    const myMatchesSeries = fillSeries(periods, myMatchesTrend.rows, ['matches']);
+    const myInquiriesSeries = fillSeries(periods, myInquiriesTrend.rows, ['inquiries']);
+
     res.json({
       success: true,
       dashboard: {
         user: {
           id: req.user.userId,
-          email: req.user.email
+          email: req.user.email,
+          country: userCountry
         },
+        range: { from, to, interval },
         businesses: {
           total: parseInt(businessesStats.rows[0].total),
           from_user_country: parseInt(businessesStats.rows[0].from_user_country),
@@ -1169,11 +6546,31 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
           offers: parseInt(opportunitiesStats.rows[0].offers),
           demands: parseInt(opportunitiesStats.rows[0].demands),
           from_user_country: parseInt(opportunitiesStats.rows[0].from_user_country),
-          by_category: opportunitiesByCategory.rows
+          by_category: opportunitiesByCategory.rows,
+          mine_by_status: myOpportunitiesByStatus.rows
+        },
+        trends: {
+          opportunities: fillSeries(periods, opportunitiesTrend.rows, ['total', 'offers', 'demands']),
+          opportunities_by_category: groupSeries(periods, opportunitiesTrendByCategory.rows, 'category'),
+          opportunities_by_country: groupSeries(periods, opportunitiesTrendByCountry.rows, 'country'),
+          signups: fillSeries(periods, signupsTrend.rows, ['users', 'businesses'])
+        },
+        my_performance: {
+          totals: {
+            views: myViewsSeries.reduce((sum, point) => sum + point.views, 0),
+            matches: myMatchesSeries.reduce((sum, point) => sum + point.matches, 0),
+            inquiries: myInquiriesSeries.reduce((sum, point) => sum + point.inquiries, 0)
+          },
+          series: myViewsSeries.map((point, index) => ({
+            ...point,
+            matches: myMatchesSeries[index].matches,
+            inquiries: myInquiriesSeries[index].inquiries
+          })),
+          listings: myListings.rows
         },
         platform: {
-          countries_supported: BRICS_PLUS_COUNTRIES.length,
-          categories_available: OPPORTUNITY_CATEGORIES.length
+          countries_supported: activeCountryNames().length,
+          categories_available: activeCategoryNames().length
         }
       }
     });
@@ -1182,19 +6579,919 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
     console.error('Erro ao buscar dashboard:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: req.t('Erro interno do servidor')
+    });
+  }
+});
+
+// ==================== ESTATÍSTICAS DE VISUALIZAÇÃO ====================
+// Visitas registradas em listing_views, no mesmo período e agrupamento do dashboard (from, to, interval)
+
+// Handler compartilhado pelas estatísticas de oportunidades e empresas (apenas o dono)
+const sendListingStats = (entityType, table, notFoundMessage) => async (req, res) => {
+  if (!dbConnected) {
+    return res.status(503).json({
+      success: false,
+      message: req.t('Serviço de banco de dados indisponível')
+    });
+  }
+
+  try {
+    const { id } = req.params;
+    const { interval } = req.query;
+    const { from, to } = resolveDashboardRange(req.query);
+    const rangeParams = [interval, from, to, entityType, id];
+
+    const existing = await db.query(
+      `SELECT user_id, view_count FROM ${table} WHERE id = $1`,
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: req.t(notFoundMessage)
+      });
+    }
+
+    if (existing.rows[0].user_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: req.t('Você não tem permissão para ver as estatísticas desta listagem')
+      });
+    }
+
+    const periodsResult = await db.query(
+      `SELECT to_char(period, 'YYYY-MM-DD') as period
+       FROM generate_series(date_trunc($1::text, $2::date), $3::date, ('1 ' || $1)::interval) period`,
+      [interval, from, to]
+    );
+    const periods = periodsResult.rows.map(row => row.period);
+
+    const viewsTrend = await db.query(`
+      SELECT ${periodOf('created_at')} as period,
+        COUNT(*)::int as views,
+        COUNT(DISTINCT viewer_key)::int as unique_viewers
+      FROM listing_views
+      WHERE entity_type = $4 AND entity_id = $5 AND ${withinRange('created_at')}
+      GROUP BY 1
+    `, rangeParams);
+
+    // Totais, países e segmentos contam cada visitante uma vez no período (anônimos ficam sem país/segmento)
+    const totals = await db.query(`
+      SELECT COUNT(*)::int as views,
+        COUNT(DISTINCT viewer_key)::int as unique_viewers,
+        COUNT(DISTINCT viewer_key) FILTER (WHERE viewer_id IS NULL)::int as anonymous_viewers
+      FROM listing_views
+      WHERE entity_type = $3 AND entity_id = $4 AND ${withinRange('created_at', 1)}
+    `, [from, to, entityType, id]);
+
+    const viewersByCountry = await db.query(`
+      SELECT viewer_country as country, COUNT(DISTINCT viewer_key)::int as viewers
+      FROM listing_views
+      WHERE entity_type = $3 AND entity_id = $4 AND ${withinRange('created_at', 1)}
+      GROUP BY viewer_country
+      ORDER BY viewers DESC, country NULLS LAST
+      LIMIT 10
+    `, [from, to, entityType, id]);
+
+    const viewersBySegment = await db.query(`
+      SELECT viewer_segment as segment, COUNT(DISTINCT viewer_key)::int as viewers
+      FROM listing_views
+      WHERE entity_type = $3 AND entity_id = $4 AND ${withinRange('created_at', 1)}
+      GROUP BY viewer_segment
+      ORDER BY viewers DESC, segment NULLS LAST
+      LIMIT 10
+    `, [from, to, entityType, id]);
+
+    res.json({
+      success: true,
+      stats: {
+        range: { from, to, interval },
+        lifetime_views: existing.rows[0].view_count || 0,
+        totals: totals.rows[0],
+        series: fillSeries(periods, viewsTrend.rows, ['views', 'unique_viewers']),
+        by_country: viewersByCountry.rows,
+        by_segment: viewersBySegment.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar estatísticas:', error);
+    res.status(500).json({
+      success: false,
+      message: req.t('Erro interno do servidor')
     });
   }
+};
+
+// ESTATÍSTICAS DA OPORTUNIDADE (PROTEGIDO - apenas o dono)
+app.get('/api/opportunities/:id/stats', authenticateToken, validateRequest(dashboardQuerySchema, { source: 'query' }), sendListingStats('opportunity', 'opportunities', 'Oportunidade não encontrada'));
+
+// ESTATÍSTICAS DA EMPRESA (PROTEGIDO - apenas o dono)
+app.get('/api/businesses/:id/stats', authenticateToken, validateRequest(dashboardQuerySchema, { source: 'query' }), sendListingStats('business', 'businesses', 'Empresa não encontrada'));
+
+// ==================== DOCUMENTAÇÃO DA API (OPENAPI) ====================
+// As operações saem das rotas registradas acima (ver listRoutes): parâmetros, corpo e autenticação vêm dos
+// middlewares (validateRequest, authenticateToken, authorizeRoles...); API_DOCS completa com resumo e resposta
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: 'array', items });
+const docString = { type: 'string' };
+const docInteger = { type: 'integer' };
+const docNumber = { type: 'number' };
+const docBoolean = { type: 'boolean' };
+const docTimestamp = { type: 'string', format: 'date-time' };
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+// Corpo de sucesso padrão: { success: true, message?, ...campos }; optional lista campos que podem faltar
+const successBody = (properties = {}, optional = []) => ({
+  type: 'object',
+  required: ['success', ...Object.keys(properties).filter(field => !optional.includes(field))],
+  properties: { success: { type: 'boolean', enum: [true] }, message: docString, ...properties }
+});
+
+// Registro do banco descrito pelo esquema de criação + colunas gerenciadas pelo servidor
+const entitySchema = (schema, extraProperties, required) => ({
+  type: 'object',
+  required,
+  properties: { ...objectSchema(schema, { forResponse: true }).properties, ...extraProperties }
+});
+
+const unreadSchema = {
+  type: 'object',
+  required: ['threads', 'messages'],
+  properties: { threads: docInteger, messages: docInteger }
+};
+
+const paginationSchema = {
+  type: 'object',
+  required: ['page', 'limit', 'total', 'totalPages'],
+  properties: { page: docInteger, limit: docInteger, total: docInteger, totalPages: docInteger }
+};
+
+// Contagens agrupadas (COUNT do PostgreSQL chega como texto)
+const dateString = { type: 'string', format: 'date' };
+
+// Série do dashboard: { period, ...contagens }
+const seriesSchema = (fields) => arrayOf({
+  type: 'object',
+  required: ['period', ...fields],
+  properties: { period: dateString, ...Object.fromEntries(fields.map(field => [field, docInteger])) }
+});
+
+const groupSeriesSchema = (field) => arrayOf({
+  type: 'object',
+  properties: { [field]: docString, total: docInteger, series: seriesSchema(['count']) }
+});
+
+const groupCountSchema = (field) => arrayOf({
+  type: 'object',
+  properties: { [field]: nullable(docString), count: { type: 'string', description: 'Contagem (bigint em texto)' } }
+});
+
+const fileResponse = (description, contentTypes) => ({
+  description,
+  content: Object.fromEntries(contentTypes.map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+});
+
+const exportResponse = fileResponse(
+  'Arquivo com todas as linhas (format=csv, json ou ndjson)',
+  Object.values(EXPORT_FORMATS).map(type => type.split(';')[0])
+);
+
+const userProfileSchema = {
+  type: 'object',
+  required: ['id', 'name', 'email'],
+  properties: {
+    id: docInteger,
+    name: docString,
+    email: docString,
+    company_name: docString,
+    country: nullable(docString),
+    business_segment: nullable(docString),
+    locale: nullable(docString),
+    role: { type: 'string', enum: USER_ROLES },
+    email_verified: docBoolean,
+    created_at: docTimestamp
+  }
+};
+
+const authTokensProperties = {
+  user: schemaRef('User'),
+  token: { type: 'string', description: 'Token de acesso (JWT, Authorization: Bearer)' },
+  refresh_token: docString,
+  expires_in: { type: 'string', description: 'Validade do token de acesso (ex.: 15m)' }
+};
+
+const searchResultProperties = {
+  rank: docNumber,
+  headline: { type: 'string', description: 'Trecho com os termos buscados entre <mark>' },
+  snippet: docString
+};
+
+// Bloqueio de moderação (ver PATCH /api/admin/*/moderate)
+const moderationProperties = {
+  moderated_at: nullable(docTimestamp),
+  moderated_by: nullable(docInteger),
+  moderation_reason: nullable(docString)
+};
+
+const API_COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['success', 'message'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        message: docString,
+        code: { type: 'string', description: 'validation_error nos erros de validação' },
+        errors: arrayOf(schemaRef('FieldError')),
+        retry_after: { type: 'integer', description: 'Segundos até liberar (429, igual ao Retry-After)' }
+      }
+    },
+    FieldError: {
+      type: 'object',
+      required: ['field', 'code', 'message'],
+      properties: {
+        field: docString,
+        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+        message: docString,
+        params: { type: 'object' }
+      }
+    },
+    User: userProfileSchema,
+    Business: entitySchema(businessSchema, {
+      id: docInteger,
+      user_id: nullable(docInteger),
+      is_verified: nullable(docBoolean),
+      is_active: nullable(docBoolean),
+      view_count: nullable(docInteger),
+      verified_at: nullable(docTimestamp),
+      ...moderationProperties,
+      created_at: nullable(docTimestamp),
+      updated_at: nullable(docTimestamp),
+      user_name: nullable(docString),
+      contact_hidden: { type: 'boolean', description: 'Contato escondido pelo dono (hide_contact)' },
+      ...searchResultProperties
+    }, ['id', 'company_name', 'country', 'business_type']),
+    Opportunity: entitySchema(opportunitySchema, {
+      id: docInteger,
+      user_id: nullable(docInteger),
+      status: { type: 'string', enum: Object.keys(OPPORTUNITY_STATUS_TRANSITIONS) },
+      view_count: nullable(docInteger),
+      is_verified: nullable(docBoolean),
+      verified_at: nullable(docTimestamp),
+      deadline_reminder_sent_at: nullable(docTimestamp),
+      ...moderationProperties,
+      created_at: nullable(docTimestamp),
+      updated_at: nullable(docTimestamp),
+      user_name: nullable(docString),
+      user_company: nullable(docString),
+      contact_hidden: docBoolean,
+      budget_normalized: nullable({
+        type: 'object',
+        properties: { min: nullable(docNumber), max: nullable(docNumber), currency: docString }
+      }),
+      matched_at: docTimestamp,
+      seen_at: nullable(docTimestamp),
+      ...searchResultProperties
+    }, ['id', 'title', 'type', 'category', 'country']),
+    RankedBusiness: {
+      type: 'object',
+      required: ['id', 'company_name', 'match_score', 'score_breakdown', 'match_id', 'match_status'],
+      properties: {
+        ...entitySchema(businessSchema, {}, []).properties,
+        id: docInteger,
+        match_score: { type: 'integer', minimum: 0, maximum: 100 },
+        score_breakdown: arrayOf({
+          type: 'object',
+          properties: { factor: docString, weight: docNumber, applicable: docBoolean, score: docNumber, points: docNumber, reason: nullable(docString) }
+        }),
+        match_id: nullable({ type: 'integer', description: 'null enquanto o match não foi gerado (POST .../matches/generate)' }),
+        match_status: nullable(docString),
+        opportunity_status: nullable(docString),
+        business_status: nullable(docString)
+      }
+    },
+    Match: {
+      type: 'object',
+      required: ['id', 'opportunity_id', 'business_id', 'status'],
+      properties: {
+        id: docInteger,
+        opportunity_id: docInteger,
+        business_id: docInteger,
+        match_score: nullable(docInteger),
+        score_breakdown: nullable({ type: 'array' }),
+        status: { type: 'string', enum: myMatchesQuerySchema.fields.status.enum },
+        opportunity_status: nullable(docString),
+        business_status: nullable(docString),
+        created_at: nullable(docTimestamp),
+        updated_at: nullable(docTimestamp),
+        opportunity_title: docString,
+        opportunity_type: docString,
+        business_name: docString,
+        business_country: docString,
+        role: { type: 'string', enum: Object.keys(MATCH_RESPONSES) }
+      }
+    },
+    VerificationRequest: {
+      type: 'object',
+      required: ['id', 'status'],
+      properties: {
+        ...objectSchema(verificationRequestSchema, { forResponse: true }).properties,
+        id: docInteger,
+        business_id: docInteger,
+        user_id: nullable(docInteger),
+        status: { type: 'string', enum: adminVerificationsQuerySchema.fields.status.enum },
+        reviewer_id: nullable(docInteger),
+        review_reason: nullable(docString),
+        reviewed_at: nullable(docTimestamp),
+        created_at: nullable(docTimestamp)
+      }
+    },
+    SavedSearch: entitySchema(savedSearchSchema, {
+      id: docInteger,
+      user_id: docInteger,
+      last_digest_at: nullable(docTimestamp),
+      created_at: nullable(docTimestamp),
+      updated_at: nullable(docTimestamp),
+      unseen_count: docInteger
+    }, ['id', 'name', 'delivery', 'is_active']),
+    InquiryThread: {
+      type: 'object',
+      required: ['id', 'subject'],
+      properties: {
+        id: docInteger,
+        opportunity_id: nullable(docInteger),
+        business_id: nullable(docInteger),
+        requester_id: docInteger,
+        owner_id: docInteger,
+        subject: docString,
+        role: { type: 'string', enum: ['owner', 'requester'] },
+        last_message_at: nullable(docTimestamp),
+        owner_replied_at: nullable(docTimestamp),
+        archived_at: nullable(docTimestamp),
+        unread_count: docInteger,
+        counterpart_name: nullable(docString),
+        counterpart_company: nullable(docString),
+        opportunity_title: nullable(docString),
+        business_name: nullable(docString),
+        last_sender_id: nullable(docInteger),
+        last_message: nullable(docString),
+        created_at: nullable(docTimestamp)
+      }
+    },
+    InquiryMessage: {
+      type: 'object',
+      required: ['id', 'thread_id', 'body'],
+      properties: {
+        id: docInteger,
+        thread_id: docInteger,
+        sender_id: nullable(docInteger),
+        body: docString,
+        sender_name: nullable(docString),
+        sender_company: nullable(docString),
+        created_at: nullable(docTimestamp)
+      }
+    },
+    NotificationPreferences: {
+      type: 'object',
+      required: NOTIFICATION_PREFERENCES,
+      properties: Object.fromEntries(NOTIFICATION_PREFERENCES.map(pref => [pref, docBoolean]))
+    },
+    Country: {
+      type: 'object',
+      required: ['code', 'name', 'membership', 'is_active'],
+      properties: {
+        ...objectSchema(countrySchema, { forResponse: true }).properties,
+        businesses_count: docInteger,
+        opportunities_count: docInteger,
+        created_at: nullable(docTimestamp),
+        updated_at: nullable(docTimestamp)
+      }
+    },
+    Category: {
+      type: 'object',
+      required: ['id', 'name', 'is_active'],
+      properties: {
+        ...objectSchema(categorySchema, { forResponse: true }).properties,
+        id: docInteger,
+        opportunities_count: docInteger,
+        created_at: nullable(docTimestamp),
+        updated_at: nullable(docTimestamp)
+      }
+    },
+    FxRate: {
+      type: 'object',
+      required: ['currency', 'rate_to_usd'],
+      properties: {
+        currency: docString,
+        rate_to_usd: { type: 'number', description: `Valor de 1 unidade em ${REFERENCE_CURRENCY}` },
+        updated_at: nullable(docTimestamp)
+      }
+    },
+    BusinessImport: {
+      type: 'object',
+      required: ['id', 'status', 'columns', 'total_rows', 'processed_rows'],
+      properties: {
+        id: docInteger,
+        user_id: docInteger,
+        filename: nullable(docString),
+        format: { type: 'string', enum: ['csv', 'xlsx'] },
+        status: { type: 'string', enum: ['uploaded', 'queued', 'running', 'completed', 'failed'] },
+        columns: arrayOf(docString),
+        mapping: nullable({ type: 'object', additionalProperties: docString }),
+        total_rows: docInteger,
+        processed_rows: docInteger,
+        imported_count: docInteger,
+        duplicate_count: docInteger,
+        error_count: docInteger,
+        progress: { type: 'integer', minimum: 0, maximum: 100 },
+        created_at: nullable(docTimestamp),
+        started_at: nullable(docTimestamp),
+        finished_at: nullable(docTimestamp)
+      }
+    },
+    AuditEntry: {
+      type: 'object',
+      required: ['id', 'action', 'entity_type', 'entity_id', 'changes', 'created_at'],
+      properties: {
+        id: { type: 'string', description: 'Identificador (bigint em texto)' },
+        action: { type: 'string', enum: AUDIT_ACTIONS },
+        entity_type: { type: 'string', enum: AUDIT_ENTITY_TYPES },
+        entity_id: docInteger,
+        changes: {
+          type: 'object',
+          description: 'Campos alterados: { campo: { before, after } }',
+          additionalProperties: { type: 'object', properties: { before: {}, after: {} } }
+        },
+        context: nullable({ type: 'object' }),
+        actor_id: nullable({ type: 'integer', description: 'null = rotina do sistema' }),
+        actor_name: nullable(docString),
+        actor_role: nullable(docString),
+        ip: nullable({ type: 'string', description: 'Apenas na consulta de admin' }),
+        user_agent: nullable({ type: 'string', description: 'Apenas na consulta de admin' }),
+        created_at: docTimestamp
+      }
+    },
+    ListingStats: {
+      type: 'object',
+      required: ['range', 'lifetime_views', 'totals', 'series', 'by_country', 'by_segment'],
+      properties: {
+        range: {
+          type: 'object',
+          properties: { from: dateString, to: dateString, interval: { type: 'string', enum: DASHBOARD_INTERVALS } }
+        },
+        lifetime_views: { type: 'integer', description: 'view_count: visitas contadas desde a criação' },
+        totals: {
+          type: 'object',
+          properties: { views: docInteger, unique_viewers: docInteger, anonymous_viewers: docInteger }
+        },
+        series: seriesSchema(['views', 'unique_viewers']),
+        by_country: arrayOf({ type: 'object', properties: { country: nullable(docString), viewers: docInteger } }),
+        by_segment: arrayOf({ type: 'object', properties: { segment: nullable(docString), viewers: docInteger } })
+      }
+    },
+    LoginLockout: {
+      type: 'object',
+      required: ['id', 'email', 'failed_attempts', 'lock_minutes', 'locked_until', 'is_active'],
+      properties: {
+        id: docInteger,
+        user_id: nullable(docInteger),
+        email: docString,
+        ip: nullable(docString),
+        user_agent: nullable(docString),
+        failed_attempts: docInteger,
+        lock_minutes: docInteger,
+        locked_until: docTimestamp,
+        released_at: nullable(docTimestamp),
+        released_by: nullable(docInteger),
+        is_active: docBoolean,
+        user_name: nullable(docString),
+        released_by_name: nullable(docString),
+        created_at: nullable(docTimestamp)
+      }
+    },
+    ImportRowError: {
+      type: 'object',
+      required: ['line', 'field', 'code', 'message'],
+      properties: {
+        line: { type: 'integer', description: 'Linha da planilha (cabeçalho = 1)' },
+        column: nullable(docString),
+        field: docString,
+        code: { type: 'string', enum: Object.values(ERROR_CODES) },
+        message: docString,
+        params: { type: 'object' }
+      }
+    }
+  }
+};
+
+const businessResponse = successBody({ business: schemaRef('Business') });
+const opportunityResponse = successBody({ opportunity: schemaRef('Opportunity') });
+const messageResponse = successBody();
+
+// Resumo, resposta de sucesso e erros específicos de cada rota ("MÉTODO /caminho" como no Express)
+// status: código de sucesso (padrão 200) | errors: códigos além dos deduzidos dos middlewares
+const API_DOCS = {
+  // Sistema
+  'GET /': { tag: 'Sistema', summary: 'Informações da API', database: false, response: successBody({ timestamp: docTimestamp, database: { type: 'string', enum: ['connected', 'disconnected'] }, countries: arrayOf(docString), categories: arrayOf(docString) }) },
+  'GET /api/health': { tag: 'Sistema', summary: 'Verificação de saúde', database: false, response: successBody({ timestamp: docTimestamp, database: { type: 'string', enum: ['connected', 'disconnected'] }, version: docString }) },
+  'GET /api/openapi.json': { tag: 'Sistema', summary: 'Este documento OpenAPI', database: false, response: { type: 'object', required: ['openapi', 'paths'] } },
+  'GET /api/docs': { tag: 'Sistema', summary: 'Documentação navegável (Swagger UI)', database: false, responses: { 200: fileResponse('Página HTML', ['text/html']) } },
+
+  // Dados de referência
+  'GET /api/countries': { tag: 'Dados de referência', summary: 'Países BRICS+ ativos', database: false, response: successBody({ countries: arrayOf(docString), localized: arrayOf({ type: 'object', properties: { value: docString, code: docString, membership: docString, name: docString } }), locale: docString, count: docInteger, timestamp: docTimestamp }) },
+  'GET /api/categories': { tag: 'Dados de referência', summary: 'Categorias de oportunidade ativas', database: false, response: successBody({ categories: arrayOf(docString), localized: arrayOf({ type: 'object', properties: { value: docString, name: docString } }), locale: docString, count: docInteger, timestamp: docTimestamp }) },
+  'GET /api/fx-rates': { tag: 'Dados de referência', summary: 'Cotações das moedas', response: successBody({ reference_currency: docString, rates: arrayOf(schemaRef('FxRate')), count: docInteger }) },
+
+  // Autenticação
+  'POST /api/auth/register': { tag: 'Autenticação', summary: 'Cadastro de usuário', status: 201, errors: [409], response: successBody(authTokensProperties) },
+  'POST /api/auth/login': {
+    tag: 'Autenticação',
+    summary: 'Login com e-mail e senha',
+    description: 'Falhas seguidas na mesma conta bloqueiam o login temporariamente (429 com Retry-After), com duração crescente a cada novo bloqueio.',
+    errors: [401],
+    response: successBody(authTokensProperties)
+  },
+  'POST /api/auth/refresh': { tag: 'Autenticação', summary: 'Troca o refresh token por um novo par de tokens', errors: [401], response: successBody({ token: authTokensProperties.token, refresh_token: docString, expires_in: authTokensProperties.expires_in }) },
+  'POST /api/auth/logout': { tag: 'Autenticação', summary: 'Revoga o refresh token (ou todas as sessões)', errors: [401], response: messageResponse },
+  'GET /api/auth/profile': { tag: 'Autenticação', summary: 'Perfil do usuário logado', errors: [404], response: successBody({ user: schemaRef('User') }) },
+  'PATCH /api/auth/profile': { tag: 'Autenticação', summary: 'Atualiza o perfil (idioma)', errors: [404], response: successBody({ user: schemaRef('User') }) },
+  'POST /api/auth/verify-email': { tag: 'Autenticação', summary: 'Confirma o e-mail com o token recebido', response: messageResponse },
+  'POST /api/auth/resend-verification': { tag: 'Autenticação', summary: 'Reenvia o link de confirmação de e-mail', errors: [404, 409], response: messageResponse },
+  'POST /api/auth/forgot-password': { tag: 'Autenticação', summary: 'Envia o link de redefinição de senha', response: messageResponse },
+  'POST /api/auth/reset-password': { tag: 'Autenticação', summary: 'Redefine a senha com o token recebido', response: messageResponse },
+
+  // Usuários e administração
+  'GET /api/auth/profile/history': { tag: 'Autenticação', summary: 'Histórico de alterações da conta', response: successBody({ history: arrayOf(schemaRef('AuditEntry')), pagination: paginationSchema }) },
+  'GET /api/users': { tag: 'Administração', summary: 'Lista os usuários', response: successBody({ users: arrayOf(schemaRef('User')), count: docInteger }) },
+  'PATCH /api/admin/users/:id/role': { tag: 'Administração', summary: 'Altera o papel de um usuário', response: successBody({ user: schemaRef('User') }) },
+  'PATCH /api/admin/businesses/:id/verify': { tag: 'Administração', summary: 'Marca ou desmarca uma empresa como verificada', response: businessResponse },
+  'PATCH /api/admin/opportunities/:id/verify': { tag: 'Administração', summary: 'Marca ou desmarca uma oportunidade como verificada', response: opportunityResponse },
+  'GET /api/admin/verifications': { tag: 'Administração', summary: 'Fila de solicitações de verificação', response: successBody({ verifications: arrayOf(schemaRef('VerificationRequest')), count: docInteger }) },
+  'PATCH /api/admin/verifications/:id': { tag: 'Administração', summary: 'Aprova ou rejeita uma solicitação de verificação', errors: [409], response: successBody({ verification: schemaRef('VerificationRequest') }) },
+  'PATCH /api/admin/businesses/:id/moderate': {
+    tag: 'Administração',
+    summary: 'Ativa ou desativa uma empresa (moderação)',
+    description: 'Desativar registra moderated_at/moderated_by/moderation_reason e impede o dono de reativar; reativar remove o bloqueio.',
+    response: businessResponse
+  },
+  'PATCH /api/admin/opportunities/:id/moderate': {
+    tag: 'Administração',
+    summary: 'Altera o status de uma oportunidade (moderação)',
+    description: 'Status diferente de active bloqueia as alterações de status e prazo pelo dono; active remove o bloqueio.',
+    response: opportunityResponse
+  },
+  'GET /api/admin/countries': { tag: 'Administração', summary: 'Países cadastrados, com uso', response: successBody({ countries: arrayOf(schemaRef('Country')), count: docInteger }) },
+  'POST /api/admin/countries': { tag: 'Administração', summary: 'Cadastra um país', status: 201, errors: [409], response: successBody({ country: schemaRef('Country') }) },
+  'PATCH /api/admin/countries/:code': { tag: 'Administração', summary: 'Renomeia, muda a participação ou desativa um país', errors: [409], response: successBody({ country: schemaRef('Country') }) },
+  'DELETE /api/admin/countries/:code': { tag: 'Administração', summary: 'Exclui um país sem uso', errors: [409], response: messageResponse },
+  'GET /api/admin/categories': { tag: 'Administração', summary: 'Categorias cadastradas, com uso', response: successBody({ categories: arrayOf(schemaRef('Category')), count: docInteger }) },
+  'POST /api/admin/categories': { tag: 'Administração', summary: 'Cadastra uma categoria', status: 201, errors: [409], response: successBody({ category: schemaRef('Category') }) },
+  'PATCH /api/admin/categories/:id': { tag: 'Administração', summary: 'Renomeia, traduz ou desativa uma categoria', errors: [409], response: successBody({ category: schemaRef('Category') }) },
+  'DELETE /api/admin/categories/:id': { tag: 'Administração', summary: 'Exclui uma categoria sem uso', errors: [409], response: messageResponse },
+  'GET /api/admin/audit-log': { tag: 'Administração', summary: 'Consulta a trilha de auditoria', response: successBody({ entries: arrayOf(schemaRef('AuditEntry')), pagination: paginationSchema }) },
+  'GET /api/admin/lockouts': { tag: 'Administração', summary: 'Bloqueios de login por tentativas seguidas', response: successBody({ lockouts: arrayOf(schemaRef('LoginLockout')), pagination: paginationSchema }) },
+  'PATCH /api/admin/lockouts/:id/release': { tag: 'Administração', summary: 'Libera um bloqueio de login ativo', errors: [409], response: successBody({ lockout: schemaRef('LoginLockout') }) },
+  'PUT /api/admin/fx-rates/:currency': { tag: 'Administração', summary: 'Cadastra ou atualiza a cotação de uma moeda', response: successBody({ rate: schemaRef('FxRate') }) },
+  'DELETE /api/admin/fx-rates/:currency': { tag: 'Administração', summary: 'Exclui a cotação de uma moeda sem uso', errors: [409], response: messageResponse },
+
+  // Empresas
+  'GET /api/businesses': { tag: 'Empresas', summary: 'Lista empresas ativas (filtros e busca textual)', response: successBody({ businesses: arrayOf(schemaRef('Business')), pagination: paginationSchema }) },
+  'GET /api/businesses/export': { tag: 'Empresas', summary: 'Exporta as empresas da listagem (sem paginação)', responses: { 200: exportResponse } },
+  'GET /api/businesses/:id': { tag: 'Empresas', summary: 'Detalhes de uma empresa', response: businessResponse },
+  'POST /api/businesses': { tag: 'Empresas', summary: 'Cadastra uma empresa', status: 201, response: businessResponse },
+  'PATCH /api/businesses/:id': {
+    tag: 'Empresas',
+    summary: 'Edita uma empresa (apenas o dono)',
+    description: `Alterar ${BUSINESS_IDENTITY_FIELDS.join(', ')} de uma empresa verificada remove a verificação (is_verified = false).`,
+    response: businessResponse
+  },
+  'PATCH /api/businesses/:id/deactivate': { tag: 'Empresas', summary: 'Desativa uma empresa (apenas o dono)', response: businessResponse },
+  'PATCH /api/businesses/:id/reactivate': { tag: 'Empresas', summary: 'Reativa uma empresa (apenas o dono)', response: businessResponse },
+  'POST /api/businesses/:id/verification': { tag: 'Empresas', summary: 'Solicita a verificação de uma empresa', status: 201, errors: [409], response: successBody({ verification: schemaRef('VerificationRequest') }) },
+  'GET /api/businesses/:id/verification': { tag: 'Empresas', summary: 'Situação da verificação de uma empresa', response: successBody({ is_verified: nullable(docBoolean), verified_at: nullable(docTimestamp), requests: arrayOf(schemaRef('VerificationRequest')) }) },
+  'GET /api/businesses/:id/history': { tag: 'Empresas', summary: 'Histórico de alterações de uma empresa (dono, admin e moderador)', response: successBody({ history: arrayOf(schemaRef('AuditEntry')), pagination: paginationSchema }) },
+  'GET /api/businesses/:id/stats': { tag: 'Empresas', summary: 'Visualizações da empresa no período (apenas o dono)', response: successBody({ stats: schemaRef('ListingStats') }) },
+  'GET /api/my-businesses': { tag: 'Empresas', summary: 'Empresas do usuário logado', response: successBody({ businesses: arrayOf(schemaRef('Business')), count: docInteger }) },
+  'GET /api/my-businesses/export': { tag: 'Empresas', summary: 'Exporta as empresas do usuário logado', responses: { 200: exportResponse } },
+
+  // Importação
+  'POST /api/imports/businesses': {
+    tag: 'Importação',
+    summary: 'Envia uma planilha (CSV ou XLSX) de empresas',
+    status: 201,
+    errors: [400, 413, 415],
+    requestBody: {
+      required: true,
+      content: {
+        'text/csv': { schema: { type: 'string', format: 'binary' } },
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } },
+        'application/octet-stream': { schema: { type: 'string', format: 'binary' }, description: 'Formato pela extensão de filename' }
+      }
+    },
+    response: successBody({ import: schemaRef('BusinessImport'), available_fields: arrayOf(docString) })
+  },
+  'GET /api/imports': { tag: 'Importação', summary: 'Importações do usuário logado', response: successBody({ imports: arrayOf(schemaRef('BusinessImport')), pagination: paginationSchema }) },
+  'GET /api/imports/:id': { tag: 'Importação', summary: 'Status e progresso de uma importação', response: successBody({ import: schemaRef('BusinessImport') }) },
+  'POST /api/imports/:id/dry-run': {
+    tag: 'Importação',
+    summary: 'Simula a importação e valida cada linha',
+    errors: [409],
+    response: successBody({
+      dry_run: {
+        type: 'object',
+        required: ['mapping', 'total_rows', 'valid_rows', 'duplicate_rows', 'error_rows', 'errors'],
+        properties: {
+          mapping: { type: 'object', additionalProperties: docString },
+          total_rows: docInteger,
+          valid_rows: docInteger,
+          duplicate_rows: docInteger,
+          error_rows: docInteger,
+          errors: arrayOf(schemaRef('ImportRowError'))
+        }
+      }
+    })
+  },
+  'POST /api/imports/:id/start': { tag: 'Importação', summary: 'Coloca a importação na fila de processamento', status: 202, errors: [409], response: successBody({ import: schemaRef('BusinessImport') }) },
+  'GET /api/imports/:id/errors': { tag: 'Importação', summary: 'Relatório de erros da importação', responses: { 200: fileResponse('CSV com line, column, field, code e message', ['text/csv']) } },
+
+  // Oportunidades
+  'GET /api/opportunities': { tag: 'Oportunidades', summary: 'Lista oportunidades ativas (filtros, orçamento e busca textual)', response: successBody({ opportunities: arrayOf(schemaRef('Opportunity')), pagination: paginationSchema }) },
+  'GET /api/opportunities/export': { tag: 'Oportunidades', summary: 'Exporta as oportunidades da listagem (sem paginação)', responses: { 200: exportResponse } },
+  'GET /api/opportunities/:id': { tag: 'Oportunidades', summary: 'Detalhes de uma oportunidade', response: opportunityResponse },
+  'POST /api/opportunities': { tag: 'Oportunidades', summary: 'Cria uma oportunidade', status: 201, response: opportunityResponse },
+  'PATCH /api/opportunities/:id': {
+    tag: 'Oportunidades',
+    summary: 'Edita uma oportunidade (apenas o dono)',
+    description: 'Um novo deadline não pode estar no passado e reativa oportunidades expiradas, como em /deadline.',
+    response: opportunityResponse
+  },
+  'PATCH /api/opportunities/:id/status': { tag: 'Oportunidades', summary: 'Muda o status (pausar, encerrar, reativar...)', errors: [409], response: opportunityResponse },
+  'PATCH /api/opportunities/:id/deadline': { tag: 'Oportunidades', summary: 'Estende o prazo (reativa oportunidades expiradas)', errors: [409], response: opportunityResponse },
+  'DELETE /api/opportunities/:id': { tag: 'Oportunidades', summary: 'Exclui uma oportunidade (apenas o dono)', response: messageResponse },
+  'GET /api/opportunities/:id/history': { tag: 'Oportunidades', summary: 'Histórico de alterações de uma oportunidade (dono, admin e moderador)', response: successBody({ history: arrayOf(schemaRef('AuditEntry')), pagination: paginationSchema }) },
+  'GET /api/opportunities/:id/stats': { tag: 'Oportunidades', summary: 'Visualizações da oportunidade no período (apenas o dono)', response: successBody({ stats: schemaRef('ListingStats') }) },
+  'GET /api/my-opportunities': { tag: 'Oportunidades', summary: 'Oportunidades do usuário logado', response: successBody({ opportunities: arrayOf(schemaRef('Opportunity')), count: docInteger }) },
+  'GET /api/my-opportunities/export': { tag: 'Oportunidades', summary: 'Exporta as oportunidades do usuário logado', responses: { 200: exportResponse } },
+
+  // Matches
+  'GET /api/opportunities/:id/matches': {
+    tag: 'Matches',
+    summary: 'Empresas compatíveis com uma oportunidade (somente leitura)',
+    description: 'weights ajusta os pesos do motor só nesta resposta, no formato fator:peso separado por vírgula (ex.: tags:40,countries:30). Oportunidades que não estão ativas respondem 404 para quem não é o dono nem admin; o contato da oportunidade segue o hide_contact, como no detalhe.',
+    response: successBody({ opportunity: schemaRef('Opportunity'), matches: arrayOf(schemaRef('RankedBusiness')), match_count: docInteger, weights: { type: 'object', additionalProperties: docNumber } })
+  },
+  'GET /api/opportunities/:id/matches-v2': {
+    tag: 'Matches',
+    summary: 'Empresas compatíveis com uma oportunidade (rota legada)',
+    deprecated: true,
+    response: successBody({ opportunity: schemaRef('Opportunity'), matches: arrayOf(schemaRef('RankedBusiness')), match_count: docInteger, weights: { type: 'object', additionalProperties: docNumber }, match_logic: docString })
+  },
+  'POST /api/opportunities/:id/matches/generate': {
+    tag: 'Matches',
+    summary: 'Gera e grava os matches de uma oportunidade ativa (dono ou admin)',
+    description: 'Usa os pesos configurados (MATCH_WEIGHTS) e avisa por e-mail as empresas com match novo.',
+    errors: [409],
+    response: successBody({ message: docString, matches: arrayOf(schemaRef('RankedBusiness')), match_count: docInteger, new_match_count: docInteger })
+  },
+  'GET /api/my-matches': { tag: 'Matches', summary: 'Histórico de matches do usuário (os dois lados)', response: successBody({ matches: arrayOf(schemaRef('Match')), count: docInteger }) },
+  'PATCH /api/matches/:id': { tag: 'Matches', summary: 'Responde a um match', response: successBody({ match: schemaRef('Match') }) },
+
+  // Buscas salvas
+  'GET /api/saved-searches': { tag: 'Buscas salvas', summary: 'Buscas salvas do usuário', response: successBody({ saved_searches: arrayOf(schemaRef('SavedSearch')), count: docInteger }) },
+  'POST /api/saved-searches': { tag: 'Buscas salvas', summary: 'Salva uma busca com alerta', status: 201, errors: [409], response: successBody({ saved_search: schemaRef('SavedSearch') }) },
+  'PATCH /api/saved-searches/:id': { tag: 'Buscas salvas', summary: 'Edita uma busca salva', response: successBody({ saved_search: schemaRef('SavedSearch') }) },
+  'DELETE /api/saved-searches/:id': { tag: 'Buscas salvas', summary: 'Exclui uma busca salva', response: messageResponse },
+  'GET /api/saved-searches/:id/matches': { tag: 'Buscas salvas', summary: 'Oportunidades encontradas por uma busca salva', response: successBody({ saved_search: schemaRef('SavedSearch'), opportunities: arrayOf(schemaRef('Opportunity')), count: docInteger }) },
+  'POST /api/saved-searches/:id/seen': { tag: 'Buscas salvas', summary: 'Marca as oportunidades da busca como vistas', response: successBody({ marked: docInteger }) },
+
+  // Consultas
+  'GET /api/inquiries': { tag: 'Consultas', summary: 'Caixa de consultas', response: successBody({ threads: arrayOf(schemaRef('InquiryThread')), unread: unreadSchema, pagination: paginationSchema }) },
+  'GET /api/inquiries/unread-count': { tag: 'Consultas', summary: 'Conversas e mensagens não lidas', response: successBody({ unread: unreadSchema }) },
+  'POST /api/inquiries': { tag: 'Consultas', summary: 'Envia uma consulta ao dono de uma oportunidade ou empresa', status: 201, errors: [404], response: successBody({ thread: schemaRef('InquiryThread'), inquiry_message: schemaRef('InquiryMessage') }) },
+  'GET /api/inquiries/:id': { tag: 'Consultas', summary: 'Conversa com todas as mensagens', response: successBody({ thread: schemaRef('InquiryThread'), messages: arrayOf(schemaRef('InquiryMessage')) }) },
+  'POST /api/inquiries/:id/messages': { tag: 'Consultas', summary: 'Responde em uma conversa', status: 201, response: successBody({ thread: schemaRef('InquiryThread'), inquiry_message: schemaRef('InquiryMessage') }) },
+  'PATCH /api/inquiries/:id/archive': { tag: 'Consultas', summary: 'Arquiva uma conversa', response: successBody({ thread: schemaRef('InquiryThread') }) },
+  'PATCH /api/inquiries/:id/unarchive': { tag: 'Consultas', summary: 'Move uma conversa de volta para a caixa de entrada', response: successBody({ thread: schemaRef('InquiryThread') }) },
+
+  // Notificações
+  'GET /api/notifications/preferences': { tag: 'Notificações', summary: 'Preferências de e-mail', response: successBody({ preferences: schemaRef('NotificationPreferences') }) },
+  'PATCH /api/notifications/preferences': { tag: 'Notificações', summary: 'Atualiza as preferências de e-mail', response: successBody({ preferences: schemaRef('NotificationPreferences') }) },
+
+  // Dashboard
+  'GET /api/dashboard': {
+    tag: 'Dashboard',
+    summary: 'Resumo da plataforma e do usuário',
+    response: successBody({
+      dashboard: {
+        type: 'object',
+        required: ['user', 'businesses', 'opportunities', 'platform'],
+        properties: {
+          user: { type: 'object', properties: { id: docInteger, email: docString, country: nullable(docString) } },
+          range: {
+            type: 'object',
+            properties: { from: dateString, to: dateString, interval: { type: 'string', enum: DASHBOARD_INTERVALS } }
+          },
+          businesses: { type: 'object', properties: { total: docInteger, from_user_country: docInteger, by_country: groupCountSchema('country') } },
+          opportunities: {
+            type: 'object',
+            properties: {
+              total: docInteger,
+              offers: docInteger,
+              demands: docInteger,
+              from_user_country: docInteger,
+              by_category: groupCountSchema('category'),
+              mine_by_status: groupCountSchema('status')
+            }
+          },
+          trends: {
+            type: 'object',
+            description: 'Séries do período (range), um ponto por dia, semana ou mês',
+            properties: {
+              opportunities: seriesSchema(['total', 'offers', 'demands']),
+              opportunities_by_category: groupSeriesSchema('category'),
+              opportunities_by_country: groupSeriesSchema('country'),
+              signups: seriesSchema(['users', 'businesses'])
+            }
+          },
+          my_performance: {
+            type: 'object',
+            description: 'Visualizações, matches e consultas recebidos no período',
+            properties: {
+              totals: { type: 'object', properties: { views: docInteger, matches: docInteger, inquiries: docInteger } },
+              series: seriesSchema(['views', 'matches', 'inquiries']),
+              listings: arrayOf({
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['opportunity', 'business'] },
+                  id: docInteger,
+                  title: docString,
+                  status: docString,
+                  views: docInteger,
+                  matches: docInteger,
+                  inquiries: docInteger
+                }
+              })
+            }
+          },
+          platform: { type: 'object', properties: { countries_supported: docInteger, categories_available: docInteger } }
+        }
+      }
+    })
+  }
+};
+
+const API_TAGS = [...new Set(Object.values(API_DOCS).map(doc => doc.tag))].map(name => ({ name }));
+
+const errorResponse = (status) => ({
+  description: STATUS_DESCRIPTIONS[status],
+  content: { 'application/json': { schema: schemaRef('Error') } }
+});
+
+// Operação OpenAPI de uma rota do Express
+function describeRoute({ method, path, handlers }) {
+  const doc = API_DOCS[`${method.toUpperCase()} ${path}`] || { tag: 'Outros', summary: path };
+  const validations = handlers.map(handler => handler.validation).filter(Boolean);
+  const query = validations.find(validation => validation.source === 'query');
+  const body = validations.find(validation => validation.source === 'body');
+  const roles = handlers.map(handler => handler.roles).find(Boolean);
+  const authenticated = handlers.includes(authenticateToken);
+  const pathParams = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  const errors = new Set(doc.errors || []);
+  if (validations.length > 0 || pathParams.length > 0) errors.add(400);
+  if (authenticated) [401, 403].forEach(status => errors.add(status));
+  if (roles || handlers.includes(requireVerifiedEmail)) errors.add(403);
+  if (pathParams.length > 0) errors.add(404);
+  if (handlers.some(handler => handler.rateLimit)) errors.add(429);
+  if (doc.database !== false) [500, 503].forEach(status => errors.add(status));
+
+  const notes = [
+    doc.description,
+    roles && `Restrito a: ${roles.join(', ')}.`,
+    handlers.includes(requireVerifiedEmail) && 'Exige e-mail confirmado.',
+    ...handlers.filter(handler => handler.rateLimit && RATE_LIMITS[handler.rateLimit].max).map(({ rateLimit: name }) =>
+      `Limite ${name}: ${RATE_LIMITS[name].max} requisições a cada ${RATE_LIMITS[name].windowSeconds} s (cabeçalhos RateLimit-*).`)
+  ].filter(Boolean);
+
+  const operation = {
+    method,
+    path,
+    tags: [doc.tag],
+    summary: doc.summary,
+    operationId: `${method}${path.replace(/[^a-zA-Z0-9]+(.)?/g, (match, char) => (char || '').toUpperCase())}`,
+    parameters: [
+      ...pathParams.map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: name === 'id' ? { type: 'integer', minimum: 1 } : { type: 'string' }
+      })),
+      ...(query ? queryParameters(query.schema) : [])
+    ],
+    responses: {
+      [doc.status || 200]: doc.response
+        ? { description: 'Sucesso', content: { 'application/json': { schema: doc.response } } }
+        : (doc.responses || {})[200] || { description: 'Sucesso' },
+      ...Object.fromEntries([...errors].sort().map(status => [status, errorResponse(status)]))
+    }
+  };
+
+  if (notes.length > 0) operation.description = notes.join(' ');
+  if (doc.deprecated) operation.deprecated = true;
+
+  if (authenticated) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (handlers.includes(optionalAuth)) {
+    operation.security = [{}, { bearerAuth: [] }];
+  }
+
+  if (doc.requestBody) {
+    operation.requestBody = doc.requestBody;
+  } else if (body) {
+    operation.requestBody = {
+      required: !body.partial,
+      content: { 'application/json': { schema: objectSchema(body.schema, { partial: body.partial }) } }
+    };
+  }
+
+  return operation;
+}
+
+function buildOpenApiDocument() {
+  return createOpenApiDocument({
+    info: {
+      title: 'BBH Backend API - BRICS Business Hub',
+      version: '2.0.0',
+      description: 'Respostas seguem { success, message, ... }. Mensagens no idioma de Accept-Language (pt, en, es, ru, zh).'
+    },
+    tags: API_TAGS,
+    components: API_COMPONENTS,
+    operations: listRoutes(app).map(describeRoute)
+  });
+}
+
+// Reaproveita o documento até a próxima recarga dos dados de referência
+function getOpenApiDocument() {
+  if (!openApiDocument) openApiDocument = buildOpenApiDocument();
+  return openApiDocument;
+}
+
+// DOCUMENTO OPENAPI
+app.get('/api/openapi.json', (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+// DOCUMENTAÇÃO NAVEGÁVEL (Swagger UI)
+app.get('/api/docs', (req, res) => {
+  res.type('html').send(docsPage('/api/openapi.json', 'BBH API - Documentação'));
 });
 
+// Rotas sem entrada em API_DOCS aparecem no documento só com o caminho
+const undocumentedRoutes = listRoutes(app).filter(({ method, path }) => !API_DOCS[`${method.toUpperCase()} ${path}`]);
+if (undocumentedRoutes.length > 0) {
+  console.warn(`⚠️ Rotas sem documentação em API_DOCS: ${undocumentedRoutes.map(({ method, path }) => `${method.toUpperCase()} ${path}`).join(', ')}`);
+}
+
+// Avisos de prazo e expiração de oportunidades vencidas
+if (EXPIRY_JOB_INTERVAL_MINUTES > 0) {
+  setInterval(runOpportunityExpiry, EXPIRY_JOB_INTERVAL_MINUTES * 60 * 1000);
+}
+
+// Importações paradas por uma instância que caiu
+setInterval(() => {
+  if (!dbConnected) return;
+  resumeBusinessImports();
+}, IMPORT_STALE_MINUTES * 60 * 1000);
+
+// Resumo diário das buscas salvas: verificação a cada hora
+setInterval(sendSavedSearchDigests, 60 * 60 * 1000);
+
+// Janelas vencidas do limite de requisições (o Redis expira as chaves sozinho)
+setInterval(() => {
+  if (rateLimitStore.name === 'postgres' && !dbConnected) return;
+  rateLimitStore.prune().catch(error => console.error('Erro ao limpar limites de requisições:', error.message));
+}, 10 * 60 * 1000);
+
+// Alterações de países/categorias feitas por outra instância
+setInterval(() => {
+  if (!dbConnected) return;
+  loadReferenceData().catch(error => console.error('Erro ao recarregar dados de referência:', error.message));
+}, REFERENCE_DATA_REFRESH_MINUTES * 60 * 1000);
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Servidor rodando na porta ${PORT}`);
   console.log(`🗄️ Status do banco: ${dbConnected ? 'CONECTADO' : 'DESCONECTADO'}`);
-  console.log(`🌍 Países BRICS+: ${BRICS_PLUS_COUNTRIES.length} países`);
-  console.log(`💼 Categorias: ${OPPORTUNITY_CATEGORIES.length} categorias`);
   console.log(`🔐 Sistema de autenticação: ✅ PRONTO`);
   console.log(`🏢 Sistema de empresas: ✅ PRONTO`);
   console.log(`💼 Sistema de oportunidades: ✅ PRONTO`);
   console.log(`🤝 Sistema de matches: ✅ PRONTO`);
   console.log(`📊 Dashboard: ✅ PRONTO`);
+  console.log(`📧 E-mails: ${mailer.transport}`);
 });
@@ -0,0 +1,154 @@
+const ExcelJS = require('exceljs');
+
+// ==================== LEITURA DE PLANILHAS ====================
+// Converte arquivos CSV ou XLSX em { columns, rows }: cabeçalho da primeira linha e cada linha
+// como objeto { coluna: texto }; todos os valores saem como texto para passar pela mesma
+// validação (com conversão) das requisições
+
+const SPREADSHEET_FORMATS = {
+  csv: ['text/csv', 'application/csv', 'text/plain'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+};
+
+// Formato pelo Content-Type ou, se genérico, pela extensão do nome do arquivo
+function detectFormat(contentType, filename) {
+  const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const format = Object.keys(SPREADSHEET_FORMATS).find(key => SPREADSHEET_FORMATS[key].includes(mimeType));
+  if (format) return format;
+
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  return SPREADSHEET_FORMATS[extension] ? extension : null;
+}
+
+// Exportações do Excel em português/russo costumam usar ";" como separador
+// O texto entre aspas não conta: "Nome, razão social";País usa ";"
+function detectDelimiter(headerLine) {
+  const unquoted = headerLine.replace(/"(?:[^"]|"")*"/g, '');
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: unquoted.split(delimiter).length }));
+  return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// CSV conforme a RFC 4180: campos entre aspas podem conter separador, quebra de linha e "" (aspas escapadas)
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+// Texto de uma célula do Excel (fórmulas pelo resultado, datas como AAAA-MM-DD, links pelo texto)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return String(value);
+  if (value.result !== undefined) return cellText(value.result);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellText(value.text);
+  return '';
+}
+
+// Primeira planilha do arquivo
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const values = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      values.push(cellText(row.getCell(column).value));
+    }
+    records.push(values);
+  });
+
+  return records;
+}
+
+// Monta { columns, rows } ignorando linhas em branco; line é o número da linha na planilha (cabeçalho = 1)
+async function readSpreadsheet(buffer, format) {
+  const records = format === 'xlsx' ? await parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+
+  const [header = [], ...data] = records;
+  const columns = header.map(column => String(column).trim());
+
+  const rows = data
+    .map((values, index) => ({ values, line: index + 2 }))
+    .filter(({ values }) => values.some(value => String(value).trim() !== ''))
+    .map(({ values, line }) => ({
+      line,
+      data: Object.fromEntries(columns.map((column, index) => [column, String(values[index] || '').trim()]))
+    }));
+
+  return { columns, rows };
+}
+
+// Texto de um valor no CSV: listas separadas por vírgula, datas em ISO 8601 e objetos em JSON
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Uma linha de CSV terminada em \r\n; campos com separador, aspas ou quebra de linha vão entre aspas
+function csvRow(values) {
+  return values
+    .map(csvValue)
+    .map(text => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text)
+    .join(',') + '\r\n';
+}
+
+// Gera um CSV completo (relatórios de erro); para resultados grandes use csvRow linha a linha
+function toCsv(columns, rows) {
+  return [columns, ...rows].map(csvRow).join('');
+}
+
+module.exports = {
+  SPREADSHEET_FORMATS,
+  detectFormat,
+  parseCsv,
+  readSpreadsheet,
+  csvRow,
+  toCsv
+};
@@ -0,0 +1,278 @@
+// Testes de contrato: sobe o server.js, chama as rotas por HTTP e confere cada resposta JSON com o
+// documento de /api/openapi.json. Sem banco cobre as respostas de validação/503; com
+// TEST_DATABASE_URL (migrations aplicadas) percorre o fluxo de cadastro, empresas, oportunidades e matches
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Pool } = require('pg');
+
+const { findOperationPath, checkResponse } = require('../openapi');
+
+const SERVER_FILE = path.join(__dirname, '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 20000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Sobe o servidor com o ambiente informado (sem herdar DATABASE_URL e afins do shell) e espera o
+// /api/health; com banco, espera também a conexão
+async function startServer(env, { database = false } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      JWT_SECRET: 'contract-test-secret',
+      MAIL_TRANSPORT: 'memory',
+      OPENAPI_VALIDATE_RESPONSES: 'true',
+      EXPIRY_JOB_INTERVAL_MINUTES: '0',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  let exitCode = null;
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  child.on('exit', code => { exitCode = code; });
+
+  const server = {
+    baseUrl: `http://127.0.0.1:${port}`,
+    output: () => output,
+    stop: () => new Promise(resolve => {
+      if (exitCode !== null) return resolve();
+      child.once('exit', () => resolve());
+      child.kill();
+    })
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (exitCode !== null) throw new Error(`server.js saiu com código ${exitCode}:\n${output}`);
+    try {
+      const health = await (await fetch(`${server.baseUrl}/api/health`)).json();
+      if (!database || health.database === 'connected') return server;
+    } catch (error) {
+      // Porta ainda fechada
+    }
+    await sleep(200);
+  }
+
+  await server.stop();
+  throw new Error(`server.js não ficou pronto em ${STARTUP_TIMEOUT_MS} ms:\n${output}`);
+}
+
+// Cliente HTTP que confere cada resposta JSON com o documento OpenAPI servido pelo próprio servidor
+async function createClient(server) {
+  const document = await (await fetch(`${server.baseUrl}/api/openapi.json`)).json();
+
+  const request = async (method, url, { body, token } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${server.baseUrl}${url}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    const responseBody = isJson ? await response.json() : await response.text();
+
+    const operationPath = findOperationPath(document, url);
+    assert.ok(operationPath, `${method} ${url} não está no documento`);
+    if (isJson) {
+      const problems = checkResponse(document, { method, path: operationPath, status: response.status, body: responseBody });
+      assert.deepEqual(problems, [], `${method} ${url} respondeu ${response.status} fora do contrato`);
+    }
+
+    return { status: response.status, body: responseBody };
+  };
+
+  return { document, request };
+}
+
+// O validador do próprio servidor (OPENAPI_VALIDATE_RESPONSES) não pode ter registrado divergências
+function assertNoServerViolations(server) {
+  const violations = server.output().split('\n').filter(line => line.includes('Contrato:'));
+  assert.deepEqual(violations, []);
+}
+
+describe('contrato sem banco de dados', () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer({});
+    api = await createClient(server);
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  test('documento OpenAPI descreve as rotas registradas', () => {
+    assert.equal(api.document.openapi, '3.0.3');
+    for (const path of ['/api/businesses', '/api/opportunities/{id}', '/api/opportunities/{id}/matches/generate']) {
+      assert.ok(api.document.paths[path], `${path} ausente`);
+    }
+  });
+
+  test('health informa o banco desconectado', async () => {
+    const { status, body } = await api.request('GET', '/api/health');
+    assert.equal(status, 200);
+    assert.equal(body.database, 'disconnected');
+  });
+
+  test('rotas com banco respondem 503', async () => {
+    assert.equal((await api.request('GET', '/api/businesses')).status, 503);
+    assert.equal((await api.request('GET', '/api/opportunities/1')).status, 503);
+    assert.equal((await api.request('POST', '/api/auth/login', { body: { email: 'ana@example.com', password: 'secret1' } })).status, 503);
+  });
+
+  test('corpo inválido responde 400 com os erros por campo', async () => {
+    const { status, body } = await api.request('POST', '/api/auth/register', { body: { email: 'x' } });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'validation_error');
+    assert.ok(body.errors.some(error => error.field === 'email'));
+  });
+
+  test('rotas protegidas exigem token', async () => {
+    assert.equal((await api.request('GET', '/api/auth/profile')).status, 401);
+    assert.equal((await api.request('POST', '/api/opportunities/1/matches/generate')).status, 401);
+  });
+
+  test('servidor não registrou divergências de contrato', () => {
+    assertNoServerViolations(server);
+  });
+});
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+describe('contrato com banco de dados', { skip: !TEST_DATABASE_URL && 'defina TEST_DATABASE_URL para rodar' }, () => {
+  const suffix = `${process.pid}${Date.now()}`;
+  const outbox = path.join(os.tmpdir(), `bbh-contract-${suffix}.log`);
+  let server;
+  let api;
+  let pool;
+  const userIds = [];
+
+  // Cadastra e confirma o e-mail pelo link enviado na mensagem de boas-vindas
+  async function registerUser(name, country) {
+    const email = `${name}-${suffix}@example.com`;
+    const registered = await api.request('POST', '/api/auth/register', {
+      body: { name, email, password: 'secret1', company_name: `${name} Co`, country }
+    });
+    assert.equal(registered.status, 201);
+    userIds.push(registered.body.user.id);
+
+    let token = null;
+    for (let attempt = 0; attempt < 25 && !token; attempt++) {
+      // Só as linhas completas: a última pode estar sendo gravada
+      const lines = fs.existsSync(outbox) ? fs.readFileSync(outbox, 'utf8').split('\n').slice(0, -1) : [];
+      const message = lines.map(line => JSON.parse(line)).find(entry => entry.to === email);
+      token = message && message.text.match(/verify-email\?token=(\S+)/)[1];
+      if (!token) await sleep(200);
+    }
+    assert.ok(token, `e-mail de confirmação para ${email} não chegou`);
+
+    assert.equal((await api.request('POST', '/api/auth/verify-email', { body: { token } })).status, 200);
+    return { id: registered.body.user.id, token: registered.body.token };
+  }
+
+  before(async () => {
+    pool = new Pool({ connectionString: TEST_DATABASE_URL });
+    server = await startServer({
+      DATABASE_URL: TEST_DATABASE_URL,
+      MAIL_TRANSPORT: 'file',
+      MAIL_OUTBOX_FILE: outbox,
+      RATE_LIMITS: '{"auth_ip":{"max":0},"login_account":{"max":0},"auth_email_account":{"max":0},"public_ip":{"max":0}}'
+    }, { database: true });
+    api = await createClient(server);
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+    if (pool) {
+      if (userIds.length > 0) {
+        await pool.query(
+          `DELETE FROM matches
+           WHERE opportunity_id IN (SELECT id FROM opportunities WHERE user_id = ANY($1))
+              OR business_id IN (SELECT id FROM businesses WHERE user_id = ANY($1))`,
+          [userIds]
+        );
+        await pool.query('DELETE FROM opportunities WHERE user_id = ANY($1)', [userIds]);
+        await pool.query('DELETE FROM businesses WHERE user_id = ANY($1)', [userIds]);
+        await pool.query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+      }
+      await pool.end();
+    }
+    fs.rmSync(outbox, { force: true });
+  });
+
+  test('fluxo de cadastro, empresa, oportunidade e matches segue o documento', async () => {
+    const buyer = await registerUser('buyer', 'China');
+    const seller = await registerUser('seller', 'China');
+
+    const login = await api.request('POST', '/api/auth/login', {
+      body: { email: `buyer-${suffix}@example.com`, password: 'secret1' }
+    });
+    assert.equal(login.status, 200);
+    assert.equal((await api.request('GET', '/api/auth/profile', { token: login.body.token })).status, 200);
+
+    const business = await api.request('POST', '/api/businesses', {
+      token: seller.token,
+      body: { company_name: `Soy Exporters ${suffix}`, country: 'China', business_type: 'Agriculture', tags: ['soy'] }
+    });
+    assert.equal(business.status, 201);
+    const businessId = business.body.business.id;
+
+    assert.equal((await api.request('GET', `/api/businesses?search=${suffix}`)).status, 200);
+    assert.equal((await api.request('GET', `/api/businesses/${businessId}`, { token: buyer.token })).status, 200);
+    assert.equal((await api.request('GET', '/api/my-businesses', { token: seller.token })).status, 200);
+
+    const opportunity = await api.request('POST', '/api/opportunities', {
+      token: buyer.token,
+      body: { type: 'demand', title: `Soy ${suffix}`, description: 'Buying soybeans in bulk', category: 'Agriculture', country: 'China', tags: ['soy'] }
+    });
+    assert.equal(opportunity.status, 201);
+    const opportunityId = opportunity.body.opportunity.id;
+
+    assert.equal((await api.request('GET', '/api/opportunities?category=Agriculture')).status, 200);
+    assert.equal((await api.request('GET', `/api/opportunities/${opportunityId}`, { token: seller.token })).status, 200);
+    assert.equal((await api.request('GET', '/api/opportunities/999999999')).status, 404);
+
+    const generated = await api.request('POST', `/api/opportunities/${opportunityId}/matches/generate`, { token: buyer.token });
+    assert.equal(generated.status, 200);
+    assert.equal((await api.request('POST', `/api/opportunities/${opportunityId}/matches/generate`, { token: seller.token })).status, 403);
+    assert.equal((await api.request('GET', `/api/opportunities/${opportunityId}/matches`, { token: buyer.token })).status, 200);
+    assert.equal((await api.request('GET', `/api/opportunities/${opportunityId}/matches-v2`, { token: buyer.token })).status, 200);
+    assert.equal((await api.request('GET', '/api/my-matches', { token: seller.token })).status, 200);
+
+    const paused = await api.request('PATCH', `/api/opportunities/${opportunityId}/status`, { token: buyer.token, body: { status: 'paused' } });
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.opportunity.status, 'paused');
+    assert.equal((await api.request('PATCH', `/api/opportunities/${opportunityId}/status`, { token: buyer.token, body: { status: 'paused' } })).status, 409);
+
+    assert.equal((await api.request('GET', `/api/opportunities/${opportunityId}/history`, { token: buyer.token })).status, 200);
+    assert.equal((await api.request('GET', `/api/opportunities/${opportunityId}/stats`, { token: buyer.token })).status, 200);
+    assert.equal((await api.request('GET', '/api/dashboard', { token: buyer.token })).status, 200);
+
+    assertNoServerViolations(server);
+  });
+});
@@ -0,0 +1,90 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createMailer,
+  createTransport,
+  createFileTransport,
+  createMemoryTransport
+} = require('../mailer');
+
+describe('createMailer', () => {
+  test('envia pelo transporte com o remetente padrão e html gerado a partir do texto', async () => {
+    const transport = createMemoryTransport();
+    const mailer = createMailer({ transport, from: 'hub@example.com' });
+
+    const sent = await mailer.send({ to: 'ana@example.com', subject: 'Olá', text: 'Linha 1\nLinha 2' });
+
+    assert.equal(sent, true);
+    assert.equal(mailer.transport, 'memory');
+    assert.deepEqual(transport.sent, [{
+      from: 'hub@example.com',
+      to: 'ana@example.com',
+      subject: 'Olá',
+      text: 'Linha 1\nLinha 2',
+      html: 'Linha 1<br>Linha 2'
+    }]);
+  });
+
+  test('mantém o html informado', async () => {
+    const transport = createMemoryTransport();
+    const mailer = createMailer({ transport, from: 'hub@example.com' });
+
+    await mailer.send({ to: 'ana@example.com', subject: 'Olá', text: 'texto', html: '<p>texto</p>' });
+
+    assert.equal(transport.sent[0].html, '<p>texto</p>');
+  });
+
+  test('falha do transporte retorna false sem lançar erro', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const mailer = createMailer({
+      transport: { name: 'broken', send: async () => { throw new Error('SMTP fora do ar'); } },
+      from: 'hub@example.com'
+    });
+
+    const sent = await mailer.send({ to: 'ana@example.com', subject: 'Olá', text: 'texto' });
+
+    assert.equal(sent, false);
+    assert.equal(logged.mock.callCount(), 1);
+    assert.match(logged.mock.calls[0].arguments.join(' '), /broken.*ana@example\.com.*SMTP fora do ar/);
+  });
+});
+
+describe('createTransport', () => {
+  test('escolhe o transporte por MAIL_TRANSPORT', () => {
+    assert.equal(createTransport({ MAIL_TRANSPORT: 'memory' }).name, 'memory');
+    assert.equal(createTransport({ MAIL_TRANSPORT: 'console' }).name, 'console');
+    assert.equal(createTransport({ MAIL_TRANSPORT: 'file', MAIL_OUTBOX_FILE: path.join(os.tmpdir(), 'outbox.log') }).name, 'file');
+  });
+
+  test('sem configuração usa o console', () => {
+    assert.equal(createTransport({}).name, 'console');
+  });
+
+  test('sendgrid exige SENDGRID_API_KEY', () => {
+    assert.throws(() => createTransport({ MAIL_TRANSPORT: 'sendgrid' }), /SENDGRID_API_KEY/);
+  });
+
+  test('recusa transportes desconhecidos', () => {
+    assert.throws(() => createTransport({ MAIL_TRANSPORT: 'pombo' }), /desconhecido: pombo/);
+  });
+});
+
+describe('createFileTransport', () => {
+  test('grava um JSON por linha com a data de envio', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bbh-mail-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const outbox = path.join(dir, 'outbox.log');
+
+    const mailer = createMailer({ transport: createFileTransport(outbox), from: 'hub@example.com' });
+    await mailer.send({ to: 'ana@example.com', subject: 'Um', text: 'a' });
+    await mailer.send({ to: 'bia@example.com', subject: 'Dois', text: 'b' });
+
+    const entries = fs.readFileSync(outbox, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(entries.map(entry => [entry.to, entry.subject]), [['ana@example.com', 'Um'], ['bia@example.com', 'Dois']]);
+    assert.ok(!isNaN(Date.parse(entries[0].sent_at)));
+  });
+});
@@ -0,0 +1,132 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_MATCH_WEIGHTS,
+  resolveWeights,
+  parseWeightsParam,
+  scoreBusiness,
+  rankBusinesses
+} = require('../matching');
+
+const opportunity = { type: 'demand', category: 'Agriculture', country: 'China', tags: ['soy', 'corn'] };
+
+const exporter = {
+  id: 1,
+  business_type: 'Agriculture exporter',
+  country: 'China',
+  employee_count: '300',
+  is_verified: true,
+  tags: ['Soy']
+};
+
+const sumPoints = (breakdown) => breakdown.reduce((sum, item) => sum + item.points, 0);
+const factor = (result, name) => result.score_breakdown.find(item => item.factor === name);
+
+describe('scoreBusiness', () => {
+  test('com os pesos padrão (soma 100) os pontos do detalhamento somam a nota', () => {
+    const result = scoreBusiness(opportunity, exporter);
+
+    assert.deepEqual(result.score_breakdown.map(item => [item.factor, item.score, item.points]), [
+      ['tags', 0.5, 15],
+      ['category', 1, 25],
+      ['countries', 0.7, 17.5],
+      ['size', 1, 10],
+      ['verification', 1, 10]
+    ]);
+    assert.equal(sumPoints(result.score_breakdown), 77.5);
+    assert.equal(result.match_score, 78);
+  });
+
+  test('com pesos personalizados a nota é a soma dos pontos sobre a soma dos pesos', () => {
+    const weights = resolveWeights({ tags: 60, size: 0 });
+    const result = scoreBusiness(opportunity, exporter, weights);
+
+    assert.equal(factor(result, 'size').points, 0);
+    assert.equal(sumPoints(result.score_breakdown), 82.5);
+    // 60 + 25 + 25 + 0 + 10 = 120 de peso aplicável
+    assert.equal(result.match_score, Math.round(82.5 / 120 * 100));
+  });
+
+  test('sem tags na oportunidade o fator não se aplica e sai da normalização', () => {
+    const result = scoreBusiness({ ...opportunity, tags: [] }, exporter);
+    const tags = factor(result, 'tags');
+
+    assert.equal(tags.applicable, false);
+    assert.equal(tags.points, 0);
+    assert.equal(tags.weight, DEFAULT_MATCH_WEIGHTS.tags);
+    // 62,5 pontos sobre os 70 de peso aplicável, não sobre 100
+    assert.equal(sumPoints(result.score_breakdown), 62.5);
+    assert.equal(result.match_score, 89);
+  });
+
+  test('sem nenhum fator com peso a nota é 0', () => {
+    const weights = { tags: 0, category: 0, countries: 0, size: 0, verification: 0 };
+    assert.equal(scoreBusiness(opportunity, exporter, weights).match_score, 0);
+  });
+});
+
+describe('rankBusinesses', () => {
+  const candidates = [
+    { id: 2, business_type: 'Retail', country: 'India', tags: [] },
+    exporter,
+    { id: 3, business_type: 'Farm supplier', country: 'Brazil', brics_countries: ['China'], tags: ['corn'] }
+  ];
+
+  test('ordena pela nota e aplica nota mínima e limite', () => {
+    const ranked = rankBusinesses(opportunity, candidates, { minScore: 1, limit: 2 });
+
+    assert.deepEqual(ranked.map(business => business.id), [1, 3]);
+    assert.ok(ranked[0].match_score >= ranked[1].match_score);
+    assert.ok(ranked.every(business => Array.isArray(business.score_breakdown)));
+  });
+
+  test('descarta candidatas abaixo da nota mínima', () => {
+    const ranked = rankBusinesses(opportunity, candidates, { minScore: 50 });
+    assert.ok(ranked.every(business => business.match_score >= 50));
+    assert.ok(!ranked.some(business => business.id === 2));
+  });
+});
+
+describe('resolveWeights', () => {
+  test('mescla as sobrescritas na ordem, sobre os padrões', () => {
+    assert.deepEqual(resolveWeights({ tags: 40 }, { tags: '50', size: 0 }), {
+      ...DEFAULT_MATCH_WEIGHTS,
+      tags: 50,
+      size: 0
+    });
+  });
+
+  test('ignora pesos negativos, não numéricos e fatores desconhecidos', () => {
+    const weights = resolveWeights({
+      tags: -5,
+      category: 'abc',
+      countries: 'Infinity',
+      size: '',
+      verification: null,
+      price: 50
+    });
+
+    assert.deepEqual(weights, DEFAULT_MATCH_WEIGHTS);
+  });
+
+  test('ignora sobrescritas ausentes', () => {
+    assert.deepEqual(resolveWeights(null, undefined), DEFAULT_MATCH_WEIGHTS);
+  });
+});
+
+describe('parseWeightsParam', () => {
+  test('converte pares fator:peso', () => {
+    assert.deepEqual(parseWeightsParam('tags:40, countries : 30'), { tags: '40', countries: '30' });
+  });
+
+  test('pares malformados não mudam os pesos', () => {
+    const parsed = parseWeightsParam('tags:-1,category:x,bogus,:5,size:');
+    assert.deepEqual(resolveWeights(parsed), DEFAULT_MATCH_WEIGHTS);
+  });
+
+  test('sem parâmetro retorna null', () => {
+    assert.equal(parseWeightsParam(undefined), null);
+    assert.equal(parseWeightsParam(''), null);
+  });
+});
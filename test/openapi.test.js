@@ -0,0 +1,72 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findOperationPath, checkResponse, toOpenApiPath } = require('../openapi');
+
+const document = {
+  paths: {
+    '/api/businesses/export': { get: { responses: { 200: { description: 'CSV' } } } },
+    '/api/businesses/{id}': {
+      get: {
+        responses: {
+          200: {
+            description: 'OK',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/BusinessResponse' } } }
+          }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      BusinessResponse: {
+        type: 'object',
+        required: ['success', 'business'],
+        properties: {
+          success: { type: 'boolean' },
+          business: {
+            type: 'object',
+            required: ['id'],
+            properties: { id: { type: 'integer' }, verified_at: { type: 'string', nullable: true } }
+          }
+        }
+      }
+    }
+  }
+};
+
+describe('findOperationPath', () => {
+  test('prefere o caminho fixo ao com parâmetro', () => {
+    assert.equal(findOperationPath(document, '/api/businesses/export?format=csv'), '/api/businesses/export');
+    assert.equal(findOperationPath(document, '/api/businesses/12'), '/api/businesses/{id}');
+  });
+
+  test('retorna null para caminhos fora do documento', () => {
+    assert.equal(findOperationPath(document, '/api/businesses/12/extra'), null);
+  });
+
+  test('bate com o caminho convertido de uma rota do Express', () => {
+    assert.equal(findOperationPath(document, toOpenApiPath('/api/businesses/:id')), '/api/businesses/{id}');
+  });
+});
+
+describe('checkResponse', () => {
+  const request = { method: 'GET', path: '/api/businesses/{id}' };
+
+  test('aceita o corpo conforme o esquema', () => {
+    const body = { success: true, business: { id: 1, verified_at: null } };
+    assert.deepEqual(checkResponse(document, { ...request, status: 200, body }), []);
+  });
+
+  test('aponta campos ausentes e tipos errados', () => {
+    const body = { success: 'sim', business: { verified_at: new Date(0) } };
+    assert.deepEqual(checkResponse(document, { ...request, status: 200, body }), [
+      'body.success deveria ser boolean',
+      'body.business.id ausente'
+    ]);
+  });
+
+  test('aponta status não documentado', () => {
+    assert.deepEqual(checkResponse(document, { ...request, status: 404, body: {} }), ['status 404 não documentado']);
+  });
+});
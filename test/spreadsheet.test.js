@@ -0,0 +1,92 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectFormat, parseCsv, readSpreadsheet, csvRow, toCsv } = require('../spreadsheet');
+
+describe('parseCsv', () => {
+  test('separa campos e linhas', () => {
+    assert.deepEqual(parseCsv('nome,pais\nSoy Co,Brazil\n'), [['nome', 'pais'], ['Soy Co', 'Brazil']]);
+  });
+
+  test('campos entre aspas aceitam separador, quebra de linha e aspas escapadas', () => {
+    const text = 'nome,descricao\n"Soy, Corn & Co","Linha 1\nLinha 2","Diz ""olá"""\n';
+
+    assert.deepEqual(parseCsv(text), [
+      ['nome', 'descricao'],
+      ['Soy, Corn & Co', 'Linha 1\nLinha 2', 'Diz "olá"']
+    ]);
+  });
+
+  test('campo vazio entre aspas e campos vazios no fim da linha', () => {
+    assert.deepEqual(parseCsv('a,b,c\n"",x,\n'), [['a', 'b', 'c'], ['', 'x', '']]);
+  });
+
+  test('ignora o BOM do início do arquivo', () => {
+    const [header] = parseCsv('\uFEFFnome,pais\nSoy Co,Brazil\n');
+    assert.deepEqual(header, ['nome', 'pais']);
+  });
+
+  test('aceita quebras de linha CRLF, inclusive dentro de aspas', () => {
+    assert.deepEqual(parseCsv('nome,obs\r\nSoy Co,"a\r\nb"\r\nCorn Co,c\r\n'), [
+      ['nome', 'obs'],
+      ['Soy Co', 'a\r\nb'],
+      ['Corn Co', 'c']
+    ]);
+  });
+
+  test('detecta ";" das exportações do Excel', () => {
+    assert.deepEqual(parseCsv('Nome;País;Faturamento\r\nSoy Co;Brasil;1,5\r\n'), [
+      ['Nome', 'País', 'Faturamento'],
+      ['Soy Co', 'Brasil', '1,5']
+    ]);
+  });
+
+  test('separador dentro de um cabeçalho entre aspas não conta na detecção', () => {
+    assert.deepEqual(parseCsv('"Nome, razão social";País\nSoy Co;Brasil\n'), [
+      ['Nome, razão social', 'País'],
+      ['Soy Co', 'Brasil']
+    ]);
+  });
+
+  test('detecta tabulação', () => {
+    assert.deepEqual(parseCsv('nome\tpais\nSoy Co\tBrazil'), [['nome', 'pais'], ['Soy Co', 'Brazil']]);
+  });
+
+  test('mantém a última linha sem quebra de linha no fim', () => {
+    assert.deepEqual(parseCsv('nome,pais\nSoy Co,Brazil'), [['nome', 'pais'], ['Soy Co', 'Brazil']]);
+    assert.deepEqual(parseCsv('nome,pais\nSoy Co,"Brazil"'), [['nome', 'pais'], ['Soy Co', 'Brazil']]);
+  });
+
+  test('lê de volta o que toCsv gera', () => {
+    const rows = [['Soy, Corn & Co', 'Diz "olá"\nfim', '']];
+    assert.deepEqual(parseCsv(toCsv(['nome', 'obs', 'vazio'], rows)), [['nome', 'obs', 'vazio'], ...rows]);
+  });
+});
+
+describe('readSpreadsheet', () => {
+  test('monta colunas e linhas, ignorando linhas em branco e contando a linha do cabeçalho', async () => {
+    const buffer = Buffer.from('\uFEFF Nome ;País\r\nSoy Co; Brasil \r\n;\r\nCorn Co;\r\n', 'utf8');
+
+    assert.deepEqual(await readSpreadsheet(buffer, 'csv'), {
+      columns: ['Nome', 'País'],
+      rows: [
+        { line: 2, data: { Nome: 'Soy Co', País: 'Brasil' } },
+        { line: 4, data: { Nome: 'Corn Co', País: '' } }
+      ]
+    });
+  });
+});
+
+describe('detectFormat', () => {
+  test('usa o Content-Type e, se genérico, a extensão do arquivo', () => {
+    assert.equal(detectFormat('text/csv; charset=utf-8', 'x.bin'), 'csv');
+    assert.equal(detectFormat('application/octet-stream', 'Empresas.XLSX'), 'xlsx');
+    assert.equal(detectFormat('application/pdf', 'empresas.pdf'), null);
+  });
+});
+
+describe('csvRow', () => {
+  test('coloca entre aspas só os campos que precisam', () => {
+    assert.equal(csvRow(['a', 'b,c', 'd"e', ['x', 'y'], null]), 'a,"b,c","d""e","x, y",\r\n');
+  });
+});
@@ -0,0 +1,154 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ERROR_CODES, isValidDate, createSchema, validate, checkRules, summarizeErrors } = require('../validation');
+
+// Orçamento mínimo não pode passar do máximo (regra entre campos, como nos esquemas do server.js)
+const budgetRule = (data) => data.budget_min !== undefined && data.budget_max !== undefined && data.budget_min > data.budget_max
+  ? { field: 'budget_min', code: ERROR_CODES.OUT_OF_RANGE, message: 'budget_min deve ser menor ou igual a budget_max' }
+  : null;
+
+const listingSchema = createSchema({
+  title: { type: 'string', required: true, maxLength: 10 },
+  status: { type: 'string', enum: ['active', 'paused'], default: 'active' },
+  hide_contact: { type: 'boolean', default: false },
+  budget_min: { type: 'number', min: 0 },
+  budget_max: { type: 'number', min: 0 },
+  deadline: { type: 'date' }
+}, budgetRule);
+
+describe('validate', () => {
+  test('aplica os padrões dos campos não enviados e confere as regras entre campos', () => {
+    assert.deepEqual(validate(listingSchema, { title: 'Soja' }), {
+      errors: [],
+      value: { title: 'Soja', status: 'active', hide_contact: false }
+    });
+
+    const { errors } = validate(listingSchema, { title: 'Soja', budget_min: 10, budget_max: 5 });
+    assert.deepEqual(errors.map(error => [error.field, error.code]), [['budget_min', 'out_of_range']]);
+  });
+
+  test('devolve todos os erros de campo com código estável', () => {
+    const { errors } = validate(listingSchema, { title: 'Soja em grãos', status: 'closed', budget_min: -1 });
+
+    assert.deepEqual(errors.map(error => [error.field, error.code, error.params]), [
+      ['title', 'too_long', { max: 10 }],
+      ['status', 'invalid_value', { values: 'active, paused' }],
+      ['budget_min', 'out_of_range', { min: 0, max: undefined }]
+    ]);
+    assert.equal(summarizeErrors(errors).split('; ').length, 3);
+  });
+
+  test('texto vazio conta como ausente', () => {
+    const { errors } = validate(listingSchema, { title: '   ' });
+    assert.deepEqual(errors.map(error => [error.field, error.code]), [['title', 'required']]);
+  });
+
+  describe('modo parcial', () => {
+    test('só confere e preenche os campos enviados', () => {
+      assert.deepEqual(validate(listingSchema, { hide_contact: true }, { partial: true }), {
+        errors: [],
+        value: { hide_contact: true }
+      });
+    });
+
+    test('campo enviado vazio volta ao padrão, e o obrigatório continua obrigatório', () => {
+      assert.deepEqual(validate(listingSchema, { status: null }, { partial: true }).value, { status: 'active' });
+
+      const { errors } = validate(listingSchema, { title: '' }, { partial: true });
+      assert.deepEqual(errors.map(error => [error.field, error.code]), [['title', 'required']]);
+    });
+
+    test('não roda as regras entre campos (conferidas depois com checkRules)', () => {
+      const body = { budget_min: 10, budget_max: 5 };
+
+      assert.deepEqual(validate(listingSchema, body, { partial: true }).errors, []);
+      assert.deepEqual(checkRules(listingSchema, body).map(error => error.field), ['budget_min']);
+    });
+  });
+
+  describe('conversão da query string', () => {
+    const querySchema = createSchema({
+      page: { type: 'integer', min: 1, default: 1 },
+      min_score: { type: 'number', min: 0, max: 100 },
+      verified: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string' } },
+      q: { type: 'string' }
+    });
+
+    test('converte números, booleanos e listas separadas por vírgula', () => {
+      const query = { page: '2', min_score: '12.5', verified: 'true', tags: 'soy, corn,,', q: '10' };
+
+      assert.deepEqual(validate(querySchema, query, { coerce: true }).value, {
+        page: 2,
+        min_score: 12.5,
+        verified: true,
+        tags: ['soy', 'corn'],
+        q: '10'
+      });
+    });
+
+    test('textos que não são do tipo do campo continuam inválidos', () => {
+      const { errors } = validate(querySchema, { page: '2.5', min_score: 'abc', verified: 'yes' }, { coerce: true });
+
+      assert.deepEqual(errors.map(error => [error.field, error.code]), [
+        ['page', 'invalid_type'],
+        ['min_score', 'invalid_type'],
+        ['verified', 'invalid_type']
+      ]);
+    });
+
+    test('sem coerce os textos não são convertidos', () => {
+      const { errors } = validate(querySchema, { page: '2' });
+      assert.deepEqual(errors.map(error => [error.field, error.code]), [['page', 'invalid_type']]);
+    });
+  });
+
+  test('rejeita datas impossíveis e fora do formato', () => {
+    const dates = { '2024-02-29': [], '2024-02-31': ['invalid_format'], '2023-02-29': ['invalid_format'], '2024-13-01': ['invalid_format'], '01/02/2024': ['invalid_format'] };
+
+    for (const [deadline, codes] of Object.entries(dates)) {
+      const { errors } = validate(listingSchema, { title: 'Soja', deadline });
+      assert.deepEqual(errors.map(error => error.code), codes, deadline);
+    }
+  });
+
+  describe('listas e objetos', () => {
+    const nestedSchema = createSchema({
+      tags: { type: 'array', maxItems: 3, items: { type: 'string', maxLength: 5 } },
+      weights: { type: 'object', keys: ['tags', 'size'], values: { type: 'number', min: 0 } },
+      contacts: { type: 'array', items: { type: 'object', values: { type: 'email' } } }
+    });
+
+    test('erros de item apontam o caminho do campo', () => {
+      const { errors } = validate(nestedSchema, {
+        tags: ['soy', 'soybeans'],
+        weights: { tags: -1 },
+        contacts: [{ sales: 'a@x.com' }, { support: 'not-an-email' }]
+      });
+
+      assert.deepEqual(errors.map(error => [error.field, error.code]), [
+        ['tags[1]', 'too_long'],
+        ['weights.tags', 'out_of_range'],
+        ['contacts[1].support', 'invalid_format']
+      ]);
+    });
+
+    test('chaves não aceitas e limite de itens', () => {
+      const { errors } = validate(nestedSchema, { tags: ['a', 'b', 'c', 'd'], weights: { price: 10 } });
+
+      assert.deepEqual(errors.map(error => [error.field, error.code, error.params]), [
+        ['tags', 'too_many_items', { max: 3 }],
+        ['weights.price', 'invalid_value', { values: 'tags, size' }]
+      ]);
+    });
+  });
+});
+
+describe('isValidDate', () => {
+  test('aceita datas do banco e recusa Date inválida', () => {
+    assert.equal(isValidDate(new Date('2024-02-29T00:00:00Z')), true);
+    assert.equal(isValidDate(new Date('invalid')), false);
+    assert.equal(isValidDate(20240229), false);
+  });
+});
@@ -0,0 +1,229 @@
+// ==================== VALIDAÇÃO DECLARATIVA ====================
+// Um esquema descreve os campos aceitos: { campo: { type, required, enum, min, max, minLength, maxLength, items, maxItems, keys, values, default } }
+// validate() confere todos os campos e devolve cada erro com um código estável para o cliente:
+// { field, code, message, params }
+
+const ERROR_CODES = {
+  REQUIRED: 'required',
+  INVALID_TYPE: 'invalid_type',
+  INVALID_VALUE: 'invalid_value',
+  INVALID_FORMAT: 'invalid_format',
+  TOO_SHORT: 'too_short',
+  TOO_LONG: 'too_long',
+  OUT_OF_RANGE: 'out_of_range',
+  TOO_MANY_ITEMS: 'too_many_items',
+  DUPLICATE: 'duplicate'
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Data no formato AAAA-MM-DD (ou Date vinda do banco)
+function isValidDate(value) {
+  if (value instanceof Date) return !isNaN(value.getTime());
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) return false;
+
+  // Rejeita datas que o Date "corrige", como 2024-02-31
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Converte valores de query string ("2", "true") para o tipo do campo
+function coerceValue(value, rule) {
+  if (typeof value !== 'string') return value;
+
+  if (rule.type === 'integer' && /^-?\d+$/.test(value.trim())) {
+    return parseInt(value);
+  }
+
+  if (rule.type === 'number' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return parseFloat(value);
+  }
+
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  if (rule.type === 'array') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  return value;
+}
+
+// Valida um valor não vazio; retorna { code, message, params } ou null
+// message é um modelo em português com {field} e {params}, traduzido na resposta (ver i18n.js)
+function checkValue(field, value, rule) {
+  const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum;
+
+  switch (rule.type) {
+    case 'string':
+    case 'email':
+    case 'url':
+      if (typeof value !== 'string') {
+        return { code: ERROR_CODES.INVALID_TYPE, message: '{field} deve ser um texto' };
+      }
+      if (rule.type === 'email' && !EMAIL_REGEX.test(value)) {
+        return { code: ERROR_CODES.INVALID_FORMAT, message: '{field} deve ser um e-mail válido' };
+      }
+      if (rule.type === 'url' && !isValidUrl(value)) {
+        return { code: ERROR_CODES.INVALID_FORMAT, message: '{field} deve ser um link http(s) válido' };
+      }
+      if (rule.minLength && value.length < rule.minLength) {
+        return { code: ERROR_CODES.TOO_SHORT, message: '{field} deve ter pelo menos {min} caracteres', params: { min: rule.minLength } };
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { code: ERROR_CODES.TOO_LONG, message: '{field} deve ter no máximo {max} caracteres', params: { max: rule.maxLength } };
+      }
+      break;
+
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return { code: ERROR_CODES.INVALID_TYPE, message: '{field} deve ser um número inteiro' };
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return { code: ERROR_CODES.OUT_OF_RANGE, message: '{field} deve estar entre {min} e {max}', params: { min: rule.min, max: rule.max } };
+      }
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { code: ERROR_CODES.INVALID_TYPE, message: '{field} deve ser um número' };
+      }
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return { code: ERROR_CODES.OUT_OF_RANGE, message: '{field} deve estar entre {min} e {max}', params: { min: rule.min, max: rule.max } };
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return { code: ERROR_CODES.INVALID_TYPE, message: '{field} deve ser true ou false' };
+      }
+      break;
+
+    case 'date':
+      if (!isValidDate(value)) {
+        return { code: ERROR_CODES.INVALID_FORMAT, message: '{field} deve ser uma data no formato AAAA-MM-DD' };
+      }
+      break;
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { code: ERROR_CODES.INVALID_TYPE, message: '{field} deve ser uma lista' };
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return { code: ERROR_CODES.TOO_MANY_ITEMS, message: '{field} aceita no máximo {max} itens', params: { max: rule.maxItems } };
+      }
+      if (rule.items) {
+        for (const [index, item] of value.entries()) {
+          const itemField = `${field}[${index}]`;
+          const error = checkValue(itemField, item, rule.items);
+          if (error) return { field: itemField, ...error };
+        }
+      }
+      break;
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { code: ERROR_CODES.INVALID_TYPE, message: '{field} deve ser um objeto' };
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const itemField = `${field}.${key}`;
+        if (rule.keys && !rule.keys.includes(key)) {
+          return { field: itemField, code: ERROR_CODES.INVALID_VALUE, message: '{field} não é aceito. Chaves aceitas: {values}', params: { values: rule.keys.join(', ') } };
+        }
+        if (rule.values) {
+          const error = checkValue(itemField, item, rule.values);
+          if (error) return { field: itemField, ...error };
+        }
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Tipo de campo desconhecido no esquema: ${rule.type}`);
+  }
+
+  if (allowed && !allowed.includes(value)) {
+    return { code: ERROR_CODES.INVALID_VALUE, message: '{field} inválido. Valores aceitos: {values}', params: { values: allowed.join(', ') } };
+  }
+
+  return null;
+}
+
+// Monta um esquema; regras extras recebem os dados e retornam { field, code, message } ou null
+function createSchema(fields, ...rules) {
+  return { fields, rules };
+}
+
+// Valida os dados contra o esquema
+// partial: só confere os campos enviados (PATCH) | coerce: converte textos da query string
+// Retorna { errors, value } com os valores convertidos e os padrões aplicados
+function validate(schema, data = {}, { partial = false, coerce = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const fieldValue = coerce ? coerceValue(data[field], rule) : data[field];
+
+    if (isEmpty(fieldValue)) {
+      // Em edições parciais só importam os campos enviados (null/"" limpa ou volta ao padrão)
+      const sent = !partial || data[field] !== undefined;
+      if (rule.required && sent) {
+        errors.push({ field, code: ERROR_CODES.REQUIRED, message: '{field} é obrigatório' });
+      } else if (sent && rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      continue;
+    }
+
+    const error = checkValue(field, fieldValue, rule);
+    if (error) {
+      errors.push({ field, ...error });
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  // Regras entre campos só fazem sentido quando os campos em si são válidos
+  if (errors.length === 0 && !partial) {
+    for (const rule of schema.rules) {
+      const error = rule({ ...data, ...value });
+      if (error) errors.push(error);
+    }
+  }
+
+  return { errors, value };
+}
+
+// Só as regras entre campos, para conferir o resultado final de uma edição parcial
+function checkRules(schema, data) {
+  return schema.rules.map(rule => rule(data)).filter(Boolean);
+}
+
+// Junta as mensagens em um texto único (campo "message" das respostas de erro)
+function summarizeErrors(errors) {
+  return errors.map(error => error.message).join('; ');
+}
+
+module.exports = {
+  ERROR_CODES,
+  EMAIL_REGEX,
+  isValidDate,
+  createSchema,
+  validate,
+  checkRules,
+  summarizeErrors
+};
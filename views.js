@@ -0,0 +1,56 @@
+// ==================== VISUALIZAÇÕES ====================
+// Cada visita a uma oportunidade ou empresa vira um evento em listing_views (ver migration 011);
+// visitas do dono e de robôs não contam, e o mesmo visitante só conta de novo depois da janela
+
+const crypto = require('crypto');
+
+const VIEW_TABLES = {
+  opportunity: 'opportunities',
+  business: 'businesses'
+};
+
+// Robôs, prévias de links e clientes HTTP de linha de comando; sem user agent também não conta
+const BOT_USER_AGENT_PATTERN = /bot|crawl|spider|slurp|preview|monitor|headless|lighthouse|curl|wget|python-|httpclient|okhttp|go-http-client|java\//i;
+
+const isBot = (userAgent) => !userAgent || BOT_USER_AGENT_PATTERN.test(userAgent);
+
+// Visitante: o usuário logado ou, sem login, o hash de IP + user agent (o IP não é gravado)
+function viewerKey({ viewerId, ip, userAgent }) {
+  if (viewerId) return `user:${viewerId}`;
+  return `anon:${crypto.createHash('sha256').update(`${ip}|${userAgent}`).digest('hex').slice(0, 32)}`;
+}
+
+// Registra a visualização e incrementa view_count da listagem; retorna se a visita contou
+// { entityType, entityId, ownerId, viewerId, ip, userAgent, windowMinutes }
+async function recordView(queryable, { entityType, entityId, ownerId, viewerId, ip, userAgent, windowMinutes }) {
+  if (viewerId && viewerId === ownerId) return false;
+  if (isBot(userAgent)) return false;
+
+  // País e segmento do visitante no momento da visita (anônimos ficam sem)
+  const result = await queryable.query(
+    `WITH viewer AS (
+       SELECT country, business_segment FROM users WHERE id = $4::int
+     ), inserted AS (
+       INSERT INTO listing_views (entity_type, entity_id, viewer_id, viewer_key, viewer_country, viewer_segment)
+       SELECT $1::varchar, $2::int, $4::int, $3::varchar, (SELECT country FROM viewer), (SELECT business_segment FROM viewer)
+       WHERE NOT EXISTS (
+         SELECT 1 FROM listing_views
+         WHERE entity_type = $1::varchar AND entity_id = $2::int AND viewer_key = $3::varchar
+           AND created_at > NOW() - $5::int * INTERVAL '1 minute'
+       )
+       RETURNING id
+     )
+     UPDATE ${VIEW_TABLES[entityType]} SET view_count = view_count + 1
+     WHERE id = $2::int AND EXISTS (SELECT 1 FROM inserted)`,
+    [entityType, entityId, viewerKey({ viewerId, ip, userAgent }), viewerId || null, windowMinutes]
+  );
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  VIEW_TABLES,
+  isBot,
+  viewerKey,
+  recordView
+};